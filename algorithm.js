@@ -1,9 +1,400 @@
 /**
  * algorithm.js
- * * Contains the core logic for the LRU Page Replacement Algorithm.
+ * * Contains the core logic for every supported Page Replacement policy.
  * This file does not interact with the DOM. It only performs calculations.
+ *
+ * Each policy is a small factory that keeps its own bookkeeping (a recency
+ * list, a FIFO queue, reference bits, ...) and answers three questions:
+ * what happens on a hit, what happens when a page is loaded, and which frame
+ * is the victim when memory is full. The shared runPolicy loop turns those
+ * answers into the step-by-step data the renderer consumes, so every policy
+ * returns exactly the same simulation-data contract.
  */
 
+import { getProcessName } from './multiprocess.js';
+import { CUSTOM_POLICY_ID, CUSTOM_POLICY } from './custom-policy.js';
+
+// --- Reference Helpers ---
+
+/**
+ * Normalizes a single reference into the {page, write} form used internally.
+ * References can be plain page numbers (treated as reads) or objects
+ * such as {page: 3, write: true}.
+ * @param {number|object} ref - A page number or a {page, write} object.
+ * @returns {object} An object {page, write}.
+ */
+export function normalizeReference(ref) {
+    if (typeof ref === 'object' && ref !== null) {
+        return { page: ref.page, write: Boolean(ref.write) };
+    }
+    return { page: ref, write: false };
+}
+
+// --- Cost Model ---
+
+/**
+ * Default latencies used to estimate the effective access time, in nanoseconds.
+ * - memory: One main-memory access (paid by every reference).
+ * - diskRead: Reading a page in from disk (paid by every fault).
+ * - diskWrite: Writing a dirty victim back to disk (paid by every write-back).
+ */
+export const DEFAULT_LATENCIES = {
+    memory: 100,
+    diskRead: 8000000, // 8 ms
+    diskWrite: 8000000 // 8 ms
+};
+
+// How often runPolicy reports progress, in references (its runs keep every step, so they are short)
+const PROGRESS_INTERVAL = 1000;
+
+/**
+ * Estimates the average time per reference.
+ * Every reference costs one memory access, every fault adds a disk read, and
+ * every dirty eviction adds a disk write on top of that.
+ * @param {number} requests - Number of references processed.
+ * @param {number} faults - Number of page faults among them.
+ * @param {number} writeBacks - Number of dirty pages written back.
+ * @param {object} latencies - {memory, diskRead, diskWrite} in nanoseconds.
+ * @returns {number} The effective access time in nanoseconds (0 if there were no references).
+ */
+export function computeEffectiveAccessTime(requests, faults, writeBacks, latencies) {
+    if (requests === 0) return 0;
+    const totalTime = requests * latencies.memory +
+        faults * latencies.diskRead +
+        writeBacks * latencies.diskWrite;
+    return totalTime / requests;
+}
+
+// --- Shared Simulation Loop ---
+
+/**
+ * One entry of the 'steps' array. Step 0 is the initial state (all frames
+ * empty); step i is the state right after the i-th reference. The renderer,
+ * the grid view and the exporters all read these fields, so they always agree.
+ * @typedef {object} Step
+ * @property {number[]} frames - Page in each frame after this step (-1 = empty).
+ * @property {number[]} dirtyBits - 1 for each frame written since it was loaded.
+ * @property {number|null} page - The page referenced (null on step 0).
+ * @property {boolean} write - Whether the reference was a write.
+ * @property {string} action - 'initial' (step 0), 'hit', 'cold-fill' (a fault that
+ *   used an empty frame) or 'eviction' (a fault that replaced a resident page).
+ * @property {number|null} frameIndex - The frame this step touched: the frame that
+ *   was hit or that received the page (null on step 0).
+ * @property {boolean} fault - true for 'cold-fill' and 'eviction'.
+ * @property {number|null} evictedPage - The page that was evicted ('eviction' only).
+ * @property {number|null} victimIndex - The frame the evicted page occupied before this
+ *   step ('eviction' only; it is also the frame the new page was loaded into).
+ * @property {string|null} reason - Why that frame was used: the policy's reason for
+ *   choosing the victim, or which empty frame was filled (null on hits and step 0).
+ * @property {boolean} writeBack - Whether the evicted page was dirty and written back.
+ * @property {number} faults - Running total of faults.
+ * @property {number} hits - Running total of hits.
+ * @property {number} writeBacks - Running total of write-backs.
+ * @property {object|null} prevState - frames, dirtyBits and policy fields before this step.
+ * Plus the policy's own snapshot fields (recency, queue, nextUse, counts, refBits, hand, ...).
+ * In a multi-process run (see multiprocess.js) pages are named like "A:1", and steps also have:
+ * @property {number|null} process - The index of the process that made the reference (null on step 0).
+ * @property {number[]} processFaults - Running total of faults per process.
+ * @property {number[]} processHits - Running total of hits per process.
+ */
+
+/**
+ * Runs any registered policy over a reference string.
+ * @param {string} policyId - A key of the POLICIES registry (e.g., 'lru'), or
+ *   CUSTOM_POLICY_ID for a policy written by the user (see custom-policy.js).
+ * @param {Array<number|object>} pages - The reference string (page numbers or {page, write} objects).
+ * @param {number} frameCount - The total number of available frames in memory.
+ * @param {object} [options] - Optional settings:
+ *   latencies: {memory, diskRead, diskWrite} in nanoseconds (defaults to DEFAULT_LATENCIES).
+ *   processes: For a multi-process run, one {name, quota} per process. 'quota' is
+ *     the number of frames the process may hold (local replacement), or null to let
+ *     every process take any frame (global replacement).
+ *   customPolicy: The code of a custom policy (only used with CUSTOM_POLICY_ID).
+ *   onProgress: Called now and then with the fraction of references processed (0 to 1).
+ * @returns {object} A simulation data object containing all steps and final stats:
+ *   {policy, steps, pageFaults, pageHits, writeBacks, hitRatio, missRatio, latencies,
+ *   effectiveAccessTime, totalSteps}. Every stat is a number; the ratios are percentages
+ *   (0 to 100, unrounded) and the effective access time is in nanoseconds.
+ */
+export function runPolicy(policyId, pages, frameCount, options = {}) {
+    const simulation = createSimulation(policyId, pages, frameCount, options);
+    const steps = [simulation.initialStep()]; // Stores the state at every step for animation
+
+    // --- Process Each Page in the Reference String ---
+    const count = simulation.references.length;
+    while (simulation.time < count) {
+        steps.push(simulation.next(true));
+        if (options.onProgress && simulation.time % PROGRESS_INTERVAL === 0) {
+            options.onProgress(simulation.time / count);
+        }
+    }
+
+    // Return the complete simulation data object
+    return {
+        policy: policyId,
+        steps,
+        ...summarizeSimulation(simulation),
+        totalSteps: steps.length
+    };
+}
+
+/**
+ * Creates a simulation that processes the reference string one reference at a time.
+ * runPolicy drives it to the end and keeps every step; step-store.js drives it
+ * without the per-step copies for long traces, and replays it to rebuild a
+ * single step on demand.
+ * @param {string} policyId - A key of the POLICIES registry (e.g., 'lru'), or CUSTOM_POLICY_ID.
+ * @param {Array<number|object>} pages - The reference string (page numbers or {page, write} objects).
+ * @param {number} frameCount - The total number of available frames in memory.
+ * @param {object} [options] - As for runPolicy.
+ * @returns {object} The simulation:
+ *   references, latencies: The normalized input.
+ *   time: How many references have been processed so far.
+ *   pageFaults, pageHits, writeBacks: Running totals.
+ *   initialStep(): Returns step 0 (all frames empty).
+ *   next(detailed): Processes the next reference and returns its step. With
+ *     detailed = false the step has no frames/dirtyBits copies, reason, prevState or
+ *     policy snapshot, which keeps long runs cheap.
+ *   saveState(): A copy of everything the run has done so far (null if the policy
+ *     cannot save its bookkeeping); restoreState(state) puts a run of the same policy
+ *     and references back there, so a replay can resume from a saved point.
+ */
+export function createSimulation(policyId, pages, frameCount, options = {}) {
+    const policy = getPolicy(policyId);
+    if (!policy) {
+        throw new Error(`Unknown replacement policy: ${policyId}`);
+    }
+
+    // --- Initialization ---
+    const references = pages.map(normalizeReference);
+    const hooks = policy.create(frameCount, references, options); // Policy-private bookkeeping
+    const frames = Array(frameCount).fill(-1); // Physical memory frames
+    const dirtyBits = Array(frameCount).fill(0); // 1 = the frame was written since it was loaded
+    const frameOf = new Map(); // Page -> the frame holding it, so hits are found in O(1)
+    let filled = 0; // Frames fill up in order and never empty again, so this is also the next empty frame
+
+    // --- Multi-Process Bookkeeping ---
+    const processes = options.processes || null;
+    const processIndex = new Map((processes || []).map((process, index) => [process.name, index]));
+    const local = processes !== null && processes[0].quota !== null; // Local replacement
+    // A process with no frames would leave selectVictim no frame to choose from
+    if (local && processes.some(process => !(process.quota >= 1))) {
+        throw new RangeError('Under local replacement every process needs a quota of at least one frame.');
+    }
+    const held = processes ? processes.map(() => 0) : null; // Frames each process holds
+    const processFaults = processes ? processes.map(() => 0) : null;
+    const processHits = processes ? processes.map(() => 0) : null;
+
+    const simulation = {
+        references,
+        latencies: options.latencies || DEFAULT_LATENCIES,
+        processes,
+        time: 0,
+        pageFaults: 0,
+        pageHits: 0,
+        writeBacks: 0, // Dirty victims that had to be written back to disk
+        processFaults,
+        processHits,
+
+        initialStep() {
+            return {
+                frames: [...frames],
+                dirtyBits: [...dirtyBits],
+                page: null,
+                write: false,
+                action: 'initial',
+                frameIndex: null,
+                fault: false,
+                evictedPage: null, // No page evicted yet
+                victimIndex: null,
+                reason: null,
+                writeBack: false,
+                faults: 0,
+                hits: 0,
+                writeBacks: 0,
+                prevState: null, // No previous state
+                ...(processes && { process: null, processFaults: [...processFaults], processHits: [...processHits] }),
+                ...hooks.snapshot(-1) // Policy-specific fields (recency, queue, bits, ...)
+            };
+        },
+
+        next(detailed = true) {
+            const time = simulation.time;
+            const { page, write } = references[time];
+            let action = 'hit';
+            let evictedPage = null; // Track which page gets evicted on a fault
+            let victimIndex = null;
+            let reason = null;
+            let writeBack = false; // Whether that page was dirty
+
+            // Store the state *before* processing this page
+            const prevState = detailed ? {
+                frames: [...frames],
+                dirtyBits: [...dirtyBits],
+                ...hooks.snapshot(time - 1)
+            } : null;
+
+            // Let the policy reset any per-step bookkeeping
+            if (hooks.beginStep) hooks.beginStep(time);
+
+            // The process making this reference, in a multi-process run
+            const process = processes ? processIndex.get(getProcessName(page)) : null;
+
+            // 1. Check for a PAGE HIT
+            let index = frameOf.has(page) ? frameOf.get(page) : -1;
+            if (index !== -1) {
+                simulation.pageHits++;
+                if (processes) processHits[process]++;
+                if (write) dirtyBits[index] = 1;
+                hooks.onHit(index, page, time, write);
+            } else {
+                // 2. Handle PAGE FAULT
+                simulation.pageFaults++;
+                if (processes) processFaults[process]++;
+
+                // Use an empty frame if there is one (and, under local replacement, the
+                // process is still below its allocation), otherwise ask the policy for a victim
+                if (filled < frameCount && (!local || held[process] < processes[process].quota)) {
+                    index = filled++;
+                    action = 'cold-fill';
+                    if (detailed) reason = `Frame ${index} was empty`;
+                } else {
+                    action = 'eviction';
+                    // Local replacement only lets a process replace its own pages
+                    const allowed = local ? (frame) => processIndex.get(getProcessName(frames[frame])) === process : null;
+                    index = hooks.selectVictim(frames, time, dirtyBits, allowed);
+                    // Asked before the policy forgets the victim
+                    if (detailed) {
+                        reason = hooks.explainVictim(index, time, dirtyBits) +
+                            (processes ? describeOwnership(frames[index], processes[process].name, local) : '');
+                    }
+                    evictedPage = frames[index];
+                    victimIndex = index;
+                    frameOf.delete(evictedPage);
+                    // A modified victim must be written back before its frame is reused
+                    if (dirtyBits[index] === 1) {
+                        writeBack = true;
+                        simulation.writeBacks++;
+                    }
+                }
+                if (processes) {
+                    if (evictedPage !== null) held[processIndex.get(getProcessName(evictedPage))]--;
+                    held[process]++;
+                }
+                frames[index] = page;
+                frameOf.set(page, index);
+                dirtyBits[index] = write ? 1 : 0; // A page loaded by a write is dirty straight away
+                hooks.onLoad(index, page, time, write, evictedPage);
+            }
+            simulation.time++;
+
+            const outcome = {
+                page: page,
+                write: write,
+                action: action,
+                frameIndex: index,
+                fault: action !== 'hit',
+                evictedPage: evictedPage, // Will be null on a hit or a cold fill, or the page number
+                victimIndex: victimIndex,
+                reason: reason,
+                writeBack: writeBack,
+                faults: simulation.pageFaults,
+                hits: simulation.pageHits,
+                writeBacks: simulation.writeBacks,
+                ...(processes && { process, processFaults: [...processFaults], processHits: [...processHits] })
+            };
+            if (!detailed) return outcome;
+
+            // 3. Store a snapshot of the current state
+            return {
+                frames: [...frames],
+                dirtyBits: [...dirtyBits],
+                ...outcome,
+                prevState: prevState, // Add the state from before
+                ...hooks.snapshot(time)
+            };
+        },
+
+        saveState() {
+            if (!hooks.saveState) return null;
+            return {
+                time: simulation.time,
+                pageFaults: simulation.pageFaults,
+                pageHits: simulation.pageHits,
+                writeBacks: simulation.writeBacks,
+                frames: [...frames],
+                dirtyBits: [...dirtyBits],
+                filled,
+                held: held && [...held],
+                processFaults: processFaults && [...processFaults],
+                processHits: processHits && [...processHits],
+                policy: hooks.saveState()
+            };
+        },
+
+        restoreState(state) {
+            simulation.time = state.time;
+            simulation.pageFaults = state.pageFaults;
+            simulation.pageHits = state.pageHits;
+            simulation.writeBacks = state.writeBacks;
+            Object.assign(frames, state.frames);
+            Object.assign(dirtyBits, state.dirtyBits);
+            frameOf.clear();
+            for (let i = 0; i < state.filled; i++) frameOf.set(frames[i], i);
+            filled = state.filled;
+            if (processes) {
+                Object.assign(held, state.held);
+                Object.assign(processFaults, state.processFaults);
+                Object.assign(processHits, state.processHits);
+            }
+            hooks.restoreState(state.policy);
+        }
+    };
+    return simulation;
+}
+
+/**
+ * Explains whose frame a multi-process eviction used, e.g. "; taken from process B"
+ * when global replacement lets one process steal another's frame.
+ * @param {string} victimPage - The page being evicted ("B:7").
+ * @param {string} processName - The process that faulted.
+ * @param {boolean} local - Whether the run uses local replacement.
+ * @returns {string} Text to append to the policy's reason.
+ */
+function describeOwnership(victimPage, processName, local) {
+    if (local) return ` among process ${processName}'s frames`;
+    const owner = getProcessName(victimPage);
+    return owner === processName ? '' : `; taken from process ${owner}`;
+}
+
+/**
+ * Computes the final statistics of a simulation that has processed its whole reference string.
+ * @param {object} simulation - A simulation from createSimulation.
+ * @returns {object} {pageFaults, pageHits, writeBacks, hitRatio, missRatio, latencies, effectiveAccessTime}.
+ */
+export function summarizeSimulation(simulation) {
+    const { pageFaults, pageHits, writeBacks, latencies } = simulation;
+    const totalRequests = simulation.references.length;
+    return {
+        pageFaults,
+        pageHits,
+        writeBacks,
+        hitRatio: totalRequests > 0 ? (pageHits / totalRequests) * 100 : 0,
+        missRatio: totalRequests > 0 ? (pageFaults / totalRequests) * 100 : 0,
+        latencies,
+        effectiveAccessTime: computeEffectiveAccessTime(totalRequests, pageFaults, writeBacks, latencies),
+        // Per-process totals in a multi-process run
+        ...(simulation.processes && {
+            processes: simulation.processes.map((process, index) => ({
+                name: process.name,
+                quota: process.quota,
+                pageFaults: simulation.processFaults[index],
+                pageHits: simulation.processHits[index]
+            }))
+        })
+    };
+}
+
 /**
  * Executes the LRU Page Replacement algorithm.
  * @param {number[]} pages - An array of page numbers (e.g., [1, 2, 3, 2, 4]).
@@ -11,103 +402,522 @@
  * @returns {object} A simulation data object containing all steps and final stats.
  */
 export function runLRUAlgorithm(pages, frameCount) {
-    // --- Initialization ---
-    const frames = Array(frameCount).fill(-1); // Physical memory frames
-    
-    // This is the "memory" of LRU. It stores page numbers in order of use.
-    // Index 0 = Least Recently Used (LRU)
-    // Index n-1 = Most Recently Used (MRU)
-    const recency = []; 
-    
-    let pageFaults = 0;
-    let pageHits = 0;
-    const steps = []; // Stores the state at every step for animation
-
-    // Push the initial state (all frames empty)
-    steps.push({
-        frames: [...frames],
-        recency: [...recency],
-        page: null,
-        fault: false,
-        evictedPage: null, // No page evicted yet
-        faults: 0,
-        hits: 0,
-        prevState: null // No previous state
-    });
+    return runPolicy('lru', pages, frameCount);
+}
 
-    // --- Process Each Page in the Reference String ---
-    for (const page of pages) {
-        let hit = false;
-        let evictedPage = null; // Track which page gets evicted on a fault
-
-        // Store the state *before* processing this page
-        const prevState = {
-            frames: [...frames],
-            recency: [...recency]
-        };
-
-        // 1. Check for a PAGE HIT
-        const hitIndex = frames.indexOf(page);
-        if (hitIndex !== -1) {
-            // Page is already in memory!
-            hit = true;
-            pageHits++;
-            // This is a "hit", so this page is now the Most Recently Used.
-            // We must update its position in the recency list.
-            // 1. Remove it from its old position
-            recency.splice(recency.indexOf(page), 1);
-            // 2. Add it to the end (MRU side)
-            recency.push(page);
-        } else {
-            // 2. Handle PAGE FAULT
-            pageFaults++;
-            
-            if (frames.includes(-1)) {
-                // There is still empty space in memory
-                const emptyIndex = frames.indexOf(-1);
-                frames[emptyIndex] = page;
-                recency.push(page); // This new page is now the MRU
-            } else {
-                // Memory is full. We must replace the LRU page.
-                // The LRU page is at index 0 of the recency list.
-                const lruPage = recency.shift(); // 1. Get and remove LRU page
-                evictedPage = lruPage;           // Store its name for animation
-                
-                // 2. Find and replace it in the frames array
-                const lruIndexInFrames = frames.indexOf(lruPage);
-                frames[lruIndexInFrames] = page;
-                
-                // 3. Add the new page to the MRU side of the list
-                recency.push(page);
+/**
+ * Executes the Clock (second-chance) Page Replacement algorithm.
+ * @param {number[]} pages - An array of page numbers (e.g., [1, 2, 3, 2, 4]).
+ * @param {number} frameCount - The total number of available frames in memory.
+ * @returns {object} A simulation data object containing all steps and final stats.
+ */
+export function runClockAlgorithm(pages, frameCount) {
+    return runPolicy('clock', pages, frameCount);
+}
+
+// --- Policy Factories ---
+// Every factory receives (frameCount, references, options) and returns an object with:
+//   onHit(index, page, time, write)                - a resident page was referenced
+//   onLoad(index, page, time, write, evictedPage)  - a page was placed into frame 'index'
+//   selectVictim(frames, time, dirtyBits, allowed) - memory is full; return the frame index to evict.
+//                                                    'allowed(index)', when given, limits the candidates
+//                                                    (local replacement: the faulting process's frames)
+//   explainVictim(index, time, dirtyBits)          - why that frame was chosen, as a short sentence
+//   snapshot(time)                                 - copy of the bookkeeping to store in the step
+//   beginStep(time)                                - optional; called before each reference
+//   saveState() / restoreState(state)              - optional; copy the bookkeeping out and back in
+//                                                    (lets step-store.js resume a replay part-way)
+
+/**
+ * LRU keeps a list of resident pages ordered by last use; every operation is O(1).
+ * In the snapshot's 'recency' array, index 0 = Least Recently Used (LRU) and
+ * index n-1 = Most Recently Used (MRU).
+ */
+function createLRUPolicy(frameCount) {
+    // Page -> its frame, in recency order. A Map keeps insertion order, so deleting
+    // and re-adding a page moves it to the MRU end in O(1), and the first entry is the LRU page.
+    const recency = new Map();
+    const lastUsedAt = Array(frameCount).fill(-1); // Per frame, for explaining the choice
+    return {
+        onHit(index, page, time) {
+            // Move the page to the MRU end of the list
+            recency.delete(page);
+            recency.set(page, index);
+            lastUsedAt[index] = time;
+        },
+        onLoad(index, page, time, write, evictedPage) {
+            if (evictedPage !== null) {
+                recency.delete(evictedPage);
+            }
+            recency.set(page, index); // The new page is now the MRU
+            lastUsedAt[index] = time;
+        },
+        selectVictim(frames, time, dirtyBits, allowed) {
+            // The LRU page is at the front
+            for (const index of recency.values()) {
+                if (!allowed || allowed(index)) return index;
+            }
+        },
+        explainVictim(index) {
+            return `Least recently used (last used at step ${lastUsedAt[index] + 1})`;
+        },
+        snapshot() {
+            return { recency: [...recency.keys()] };
+        },
+        saveState() {
+            return { recency: [...recency], lastUsedAt: [...lastUsedAt] };
+        },
+        restoreState(state) {
+            recency.clear();
+            for (const [page, index] of state.recency) recency.set(page, index);
+            Object.assign(lastUsedAt, state.lastUsedAt);
+        }
+    };
+}
+
+/**
+ * FIFO evicts the page that has been in memory the longest,
+ * no matter how often it has been used since.
+ */
+function createFIFOPolicy(frameCount) {
+    const queue = []; // Oldest page at index 0
+    const loadedAt = Array(frameCount).fill(-1); // Per frame, for explaining the choice
+    return {
+        onHit() {
+            // Hits do not change arrival order
+        },
+        onLoad(index, page, time, write, evictedPage) {
+            if (evictedPage !== null) {
+                queue.splice(queue.indexOf(evictedPage), 1);
             }
+            queue.push(page);
+            loadedAt[index] = time;
+        },
+        selectVictim(frames, time, dirtyBits, allowed) {
+            const oldest = allowed ? queue.find(page => allowed(frames.indexOf(page))) : queue[0];
+            return frames.indexOf(oldest);
+        },
+        explainVictim(index) {
+            return `Oldest page in memory (loaded at step ${loadedAt[index] + 1})`;
+        },
+        snapshot() {
+            return { queue: [...queue] };
+        },
+        saveState() {
+            return { queue: [...queue], loadedAt: [...loadedAt] };
+        },
+        restoreState(state) {
+            queue.length = 0;
+            queue.push(...state.queue);
+            Object.assign(loadedAt, state.loadedAt);
         }
+    };
+}
 
-        // 3. Store a snapshot of the current state
-        steps.push({
-            frames: [...frames],
-            recency: [...recency],
-            page: page,
-            fault: !hit,
-            evictedPage: evictedPage, // Will be null on a hit, or the page number
-            faults: pageFaults,
-            hits: pageHits,
-            prevState: prevState // Add the state from before
-        });
+/**
+ * Belady's Optimal (OPT) evicts the page whose next use is farthest in the
+ * future (or that is never used again). It needs the whole reference string
+ * up front, so it is a yardstick rather than something an OS could run.
+ */
+function createOptimalPolicy(frameCount, references) {
+    // nextIndex[t] = the next position after 't' that references the same page
+    const nextIndex = Array(references.length).fill(Infinity);
+    const lastSeen = new Map();
+    for (let t = references.length - 1; t >= 0; t--) {
+        const page = references[t].page;
+        if (lastSeen.has(page)) nextIndex[t] = lastSeen.get(page);
+        lastSeen.set(page, t);
     }
 
-    // --- Final Statistics Calculation ---
-    const totalRequests = pages.length;
-    const hitRatio = totalRequests > 0 ? ((pageHits / totalRequests) * 100).toFixed(2) : 0;
-    const missRatio = totalRequests > 0 ? ((pageFaults / totalRequests) * 100).toFixed(2) : 0;
+    const nextUseAt = Array(frameCount).fill(Infinity); // Per frame
+    return {
+        onHit(index, page, time) {
+            nextUseAt[index] = nextIndex[time];
+        },
+        onLoad(index, page, time) {
+            nextUseAt[index] = nextIndex[time];
+        },
+        selectVictim(frames, time, dirtyBits, allowed) {
+            // Farthest next use wins; ties go to the lowest frame index
+            let victim = -1;
+            for (let i = 0; i < frameCount; i++) {
+                if (allowed && !allowed(i)) continue;
+                if (victim === -1 || nextUseAt[i] > nextUseAt[victim]) victim = i;
+            }
+            return victim;
+        },
+        explainVictim(index) {
+            return nextUseAt[index] === Infinity ?
+                'Never used again' :
+                `Next use is farthest away (at step ${nextUseAt[index] + 1})`;
+        },
+        snapshot(time) {
+            // Distance (in references) until each frame's page is needed again.
+            // null means the page is never referenced again.
+            return {
+                nextUse: nextUseAt.map(at => (at === Infinity ? null : at - time))
+            };
+        },
+        saveState() {
+            return { nextUseAt: [...nextUseAt] };
+        },
+        restoreState(state) {
+            Object.assign(nextUseAt, state.nextUseAt);
+        }
+    };
+}
 
-    // Return the complete simulation data object
+/**
+ * Shared factory for the counting policies. LFU evicts the page with the
+ * fewest references since it was loaded, MFU the one with the most.
+ * Ties are broken in favour of the page that was loaded first.
+ * @param {boolean} evictMostFrequent - true for MFU, false for LFU.
+ */
+function createCountingPolicy(frameCount, evictMostFrequent) {
+    const counts = Array(frameCount).fill(0);
+    const loadedAt = Array(frameCount).fill(-1);
     return {
-        steps,
-        pageFaults,
-        pageHits,
-        hitRatio,
-        missRatio,
-        totalSteps: steps.length
+        onHit(index) {
+            counts[index]++;
+        },
+        onLoad(index, page, time) {
+            counts[index] = 1; // The count starts over for the new page
+            loadedAt[index] = time;
+        },
+        selectVictim(frames, time, dirtyBits, allowed) {
+            let victim = -1;
+            for (let i = 0; i < frameCount; i++) {
+                if (allowed && !allowed(i)) continue;
+                if (victim === -1) {
+                    victim = i;
+                    continue;
+                }
+                const better = evictMostFrequent ? counts[i] > counts[victim] : counts[i] < counts[victim];
+                const tie = counts[i] === counts[victim] && loadedAt[i] < loadedAt[victim];
+                if (better || tie) victim = i;
+            }
+            return victim;
+        },
+        explainVictim(index) {
+            const kind = evictMostFrequent ? 'Most' : 'Fewest';
+            return `${kind} references since loaded (${counts[index]}), loaded first among ties`;
+        },
+        snapshot() {
+            return { counts: [...counts], loadedAt: [...loadedAt] };
+        },
+        saveState() {
+            return { counts: [...counts], loadedAt: [...loadedAt] };
+        },
+        restoreState(state) {
+            Object.assign(counts, state.counts);
+            Object.assign(loadedAt, state.loadedAt);
+        }
+    };
+}
+
+/**
+ * Clock (second chance) treats the frames as a circular buffer with a "hand"
+ * pointing at the next candidate for eviction. Every frame carries a reference
+ * bit that is set on load and on every hit. On a fault the hand sweeps forward,
+ * clearing set bits (using up that page's second chance), until it finds a
+ * frame whose bit is 0.
+ */
+function createClockPolicy(frameCount) {
+    const refBits = Array(frameCount).fill(0); // One reference bit per frame
+    let hand = 0; // Index of the frame the clock hand currently points at
+    let clearedBits = []; // Frames whose bit the hand cleared on this step
+
+    return {
+        beginStep() {
+            clearedBits = [];
+        },
+        onHit(index) {
+            // On a hit, Clock only sets the reference bit. The hand does not move.
+            refBits[index] = 1;
+        },
+        onLoad(index) {
+            refBits[index] = 1; // A freshly loaded page counts as referenced
+            // A victim is always the frame under the hand, and so is an empty frame while
+            // memory fills up in order. Under local replacement a process can evict before
+            // the other frames are filled, so an empty frame may then lie elsewhere: the
+            // hand only moves past the frame it points at.
+            if (index === hand) hand = (index + 1) % frameCount;
+        },
+        selectVictim(frames, time, dirtyBits, allowed) {
+            // Sweep forward until the hand reaches a frame with bit 0
+            // (passing over frames that may not be taken, without touching their bits)
+            for (;;) {
+                if (!allowed || allowed(hand)) {
+                    if (refBits[hand] === 0) return hand;
+                    refBits[hand] = 0; // Second chance used up
+                    clearedBits.push(hand);
+                }
+                hand = (hand + 1) % frameCount;
+            }
+        },
+        explainVictim() {
+            const chances = clearedBits.length;
+            return chances === 0 ?
+                'Reference bit was 0 under the hand' :
+                `Reference bit was 0 after giving ${chances} frame${chances === 1 ? '' : 's'} a second chance`;
+        },
+        snapshot() {
+            return { refBits: [...refBits], hand: hand, clearedBits: [...clearedBits] };
+        },
+        saveState() {
+            // The cleared bits of the last step are kept for the next step's prevState
+            return { refBits: [...refBits], hand, clearedBits: [...clearedBits] };
+        },
+        restoreState(state) {
+            Object.assign(refBits, state.refBits);
+            hand = state.hand;
+            clearedBits = [...state.clearedBits];
+        }
     };
 }
 
+/**
+ * Enhanced Clock (NRU with a clock hand) looks at a (reference, dirty) pair
+ * per frame and prefers victims in this order:
+ *   (0,0) not used recently, clean   - cheapest to evict
+ *   (0,1) not used recently, dirty   - needs a write-back
+ * Pass 1 searches for (0,0) without touching any bits. Pass 2 searches for
+ * (0,1) and clears reference bits along the way, so if both passes fail the
+ * next round is guaranteed to find a victim.
+ */
+function createEnhancedClockPolicy(frameCount) {
+    const refBits = Array(frameCount).fill(0);
+    let hand = 0; // The dirty bits themselves are kept by runPolicy for every policy
+    let clearedBits = [];
+
+    return {
+        beginStep() {
+            clearedBits = [];
+        },
+        onHit(index) {
+            refBits[index] = 1;
+        },
+        onLoad(index) {
+            refBits[index] = 1;
+            if (index === hand) hand = (index + 1) % frameCount; // As in Clock
+        },
+        selectVictim(frames, time, dirtyBits, allowed) {
+            for (;;) {
+                // Pass 1: look for (0,0) without modifying anything
+                for (let i = 0; i < frameCount; i++) {
+                    const frame = (hand + i) % frameCount;
+                    if (allowed && !allowed(frame)) continue;
+                    if (refBits[frame] === 0 && dirtyBits[frame] === 0) {
+                        hand = frame;
+                        return frame;
+                    }
+                }
+                // Pass 2: look for (0,1), clearing reference bits as we go
+                for (let i = 0; i < frameCount; i++) {
+                    const frame = (hand + i) % frameCount;
+                    if (allowed && !allowed(frame)) continue;
+                    if (refBits[frame] === 0) {
+                        hand = frame;
+                        return frame;
+                    }
+                    refBits[frame] = 0;
+                    clearedBits.push(frame);
+                }
+            }
+        },
+        explainVictim(index, time, dirtyBits) {
+            return dirtyBits[index] === 0 ?
+                'Class (0,0): not recently used and clean' :
+                'Class (0,1): not recently used but dirty (needs a write-back)';
+        },
+        snapshot() {
+            return { refBits: [...refBits], hand: hand, clearedBits: [...clearedBits] };
+        },
+        saveState() {
+            // The cleared bits of the last step are kept for the next step's prevState
+            return { refBits: [...refBits], hand, clearedBits: [...clearedBits] };
+        },
+        restoreState(state) {
+            Object.assign(refBits, state.refBits);
+            hand = state.hand;
+            clearedBits = [...state.clearedBits];
+        }
+    };
+}
+
+// --- Policy Registry ---
+
+/**
+ * Every available replacement policy, keyed by id.
+ * - name: Label shown in the policy dropdown.
+ * - layout: 'row' for a horizontal row of frames, 'clock' for a circular buffer.
+ * - create: The policy factory used by runPolicy.
+ * - describe: Turns a step into the policy's bookkeeping panel,
+ *   {title, items: [{label, value}]}, used by the renderer and the trace export.
+ * - nextVictim: Given a step, returns the frame index the policy would evict if the
+ *   next reference faulted, or -1 while there is still a free frame. It must not
+ *   change the step (the page state panel calls it on every redraw).
+ * - stackOrder: Optional; returns the resident pages ordered from the safest page
+ *   down to the next victim (e.g., MRU → LRU), for the page state panel.
+ */
+export const POLICIES = {
+    lru: {
+        name: 'LRU (Least Recently Used)',
+        layout: 'row',
+        create: createLRUPolicy,
+        describe: (step) => ({
+            title: 'Recency (LRU → MRU)',
+            items: step.recency.map(page => ({ label: '', value: page }))
+        }),
+        nextVictim: (step) => whenFull(step, () => step.frames.indexOf(step.recency[0])),
+        stackOrder: (step) => [...step.recency].reverse()
+    },
+    fifo: {
+        name: 'FIFO (First In, First Out)',
+        layout: 'row',
+        create: createFIFOPolicy,
+        describe: (step) => ({
+            title: 'FIFO Queue (oldest → newest)',
+            items: step.queue.map(page => ({ label: '', value: page }))
+        }),
+        nextVictim: (step) => whenFull(step, () => step.frames.indexOf(step.queue[0])),
+        stackOrder: (step) => [...step.queue].reverse()
+    },
+    opt: {
+        name: "OPT (Belady's Optimal)",
+        layout: 'row',
+        create: createOptimalPolicy,
+        describe: (step) => ({
+            title: 'Next Use Distance',
+            items: residentItems(step, (index) => (step.nextUse[index] === null ? '∞' : step.nextUse[index]))
+        }),
+        nextVictim: (step) => whenFull(step, () => {
+            // Farthest next use (null = never used again); ties go to the lowest frame index
+            const distance = (index) => (step.nextUse[index] === null ? Infinity : step.nextUse[index]);
+            return pickFrame(step.frames.length, (i, best) => distance(i) > distance(best));
+        })
+    },
+    lfu: {
+        name: 'LFU (Least Frequently Used)',
+        layout: 'row',
+        create: (frameCount) => createCountingPolicy(frameCount, false),
+        describe: (step) => ({
+            title: 'Reference Counts',
+            items: residentItems(step, (index) => step.counts[index])
+        }),
+        nextVictim: (step) => whenFull(step, () => countingVictim(step, false))
+    },
+    mfu: {
+        name: 'MFU (Most Frequently Used)',
+        layout: 'row',
+        create: (frameCount) => createCountingPolicy(frameCount, true),
+        describe: (step) => ({
+            title: 'Reference Counts',
+            items: residentItems(step, (index) => step.counts[index])
+        }),
+        nextVictim: (step) => whenFull(step, () => countingVictim(step, true))
+    },
+    clock: {
+        name: 'Clock (Second Chance)',
+        layout: 'clock',
+        create: createClockPolicy,
+        describe: (step) => ({
+            title: `Reference Bits (hand → Frame ${step.hand})`,
+            items: step.refBits.map((bit, index) => ({ label: `F${index}`, value: `R=${bit}` }))
+        }),
+        nextVictim: (step) => whenFull(step, () => {
+            // The first frame from the hand with bit 0; if every bit is set, the
+            // sweep clears them all and comes back to the hand
+            const found = findFromHand(step, (frame) => step.refBits[frame] === 0);
+            return found === -1 ? step.hand : found;
+        })
+    },
+    'enhanced-clock': {
+        name: 'Enhanced Clock (Reference + Dirty Bits)',
+        layout: 'clock',
+        create: createEnhancedClockPolicy,
+        describe: (step) => ({
+            title: `(R, M) Bits (hand → Frame ${step.hand})`,
+            items: step.refBits.map((bit, index) => ({ label: `F${index}`, value: `(${bit},${step.dirtyBits[index]})` }))
+        }),
+        nextVictim: (step) => whenFull(step, () => {
+            const clean = (frame) => step.dirtyBits[frame] === 0;
+            const notReferenced = (frame) => step.refBits[frame] === 0;
+            // Pass 1: (0,0); pass 2: (0,1)
+            let found = findFromHand(step, (frame) => notReferenced(frame) && clean(frame));
+            if (found === -1) found = findFromHand(step, notReferenced);
+            if (found !== -1) return found;
+            // Every bit was set: pass 2 clears them all, then the next round takes the first clean frame
+            found = findFromHand(step, clean);
+            return found === -1 ? step.hand : found;
+        })
+    }
+};
+
+/**
+ * Looks up any policy a simulation can run: a built-in one from POLICIES, or the
+ * custom policy (see custom-policy.js), which is kept out of POLICIES so that
+ * sweeps over every built-in policy never run user code.
+ * @param {string} policyId - A key of POLICIES, or CUSTOM_POLICY_ID.
+ * @returns {object|undefined} The registry entry, or undefined for an unknown id.
+ */
+export function getPolicy(policyId) {
+    return policyId === CUSTOM_POLICY_ID ? CUSTOM_POLICY : POLICIES[policyId];
+}
+
+// --- Next-Victim Helpers ---
+
+/**
+ * Runs 'choose' only once every frame is occupied; until then there is no victim.
+ */
+function whenFull(step, choose) {
+    return step.frames.includes(-1) ? -1 : choose();
+}
+
+/**
+ * Returns the frame index preferred by 'isBetter(candidate, best)', scanning from frame 0.
+ */
+function pickFrame(frameCount, isBetter) {
+    let best = 0;
+    for (let i = 1; i < frameCount; i++) {
+        if (isBetter(i, best)) best = i;
+    }
+    return best;
+}
+
+/**
+ * LFU/MFU victim: fewest (or most) references, ties going to the page loaded first.
+ */
+function countingVictim(step, evictMostFrequent) {
+    return pickFrame(step.frames.length, (i, best) => {
+        const better = evictMostFrequent ? step.counts[i] > step.counts[best] : step.counts[i] < step.counts[best];
+        return better || (step.counts[i] === step.counts[best] && step.loadedAt[i] < step.loadedAt[best]);
+    });
+}
+
+/**
+ * Finds the first frame, going round from the clock hand, that matches 'test'.
+ * @returns {number} The frame index, or -1 if none matches.
+ */
+function findFromHand(step, test) {
+    const frameCount = step.frames.length;
+    for (let i = 0; i < frameCount; i++) {
+        const frame = (step.hand + i) % frameCount;
+        if (test(frame)) return frame;
+    }
+    return -1;
+}
+
+/**
+ * Builds one panel item per occupied frame, labelled with its page number.
+ * @param {object} step - A simulation step.
+ * @param {function} valueOf - Returns the value to show for a frame index.
+ * @returns {object[]} An array of {label, value} items.
+ */
+function residentItems(step, valueOf) {
+    const items = [];
+    step.frames.forEach((page, index) => {
+        if (page !== -1) items.push({ label: `Page ${page}`, value: valueOf(index) });
+    });
+    return items;
+}
@@ -0,0 +1,85 @@
+/**
+ * analysis.js
+ * * Whole-run analyses built on top of the policies in algorithm.js.
+ * Like algorithm.js, this file does not interact with the DOM.
+ */
+
+import { createSimulation, POLICIES } from './algorithm.js';
+
+/**
+ * Runs every policy on the same reference string with 1 to 'maxFrames' frames
+ * and records the number of faults for each frame count.
+ * It also flags Belady's anomaly: any frame count where adding a frame
+ * *increases* the number of faults.
+ * @param {Array<number|object>} pages - The reference string.
+ * @param {number} maxFrames - The largest frame count to try.
+ * @param {string[]} [policyIds] - Which policies to sweep (defaults to all of them).
+ * @param {function} [onProgress] - Called after each run with the fraction done (0 to 1).
+ * @returns {object[]} One entry per policy: {policy, faults, anomalies}.
+ *   'faults[k - 1]' is the fault count with k frames.
+ *   'anomalies' lists {frames, faults, previousFaults} for every anomalous frame count.
+ */
+export function computeFaultCurves(pages, maxFrames, policyIds = Object.keys(POLICIES), onProgress = null) {
+    const runCount = policyIds.length * maxFrames;
+    return policyIds.map((policy, policyIndex) => {
+        const faults = [];
+        for (let frameCount = 1; frameCount <= maxFrames; frameCount++) {
+            // Only the totals are needed, so no steps are kept
+            const simulation = createSimulation(policy, pages, frameCount);
+            while (simulation.time < pages.length) simulation.next(false);
+            faults.push(simulation.pageFaults);
+            if (onProgress) onProgress((policyIndex * maxFrames + frameCount) / runCount);
+        }
+        return { policy, faults, anomalies: findBeladyAnomalies(faults) };
+    });
+}
+
+/**
+ * Finds every point on a fault curve where one more frame gave more faults.
+ * @param {number[]} faults - Fault counts, where 'faults[k - 1]' is the count with k frames.
+ * @returns {object[]} An array of {frames, faults, previousFaults}.
+ */
+export function findBeladyAnomalies(faults) {
+    const anomalies = [];
+    for (let i = 1; i < faults.length; i++) {
+        if (faults[i] > faults[i - 1]) {
+            anomalies.push({ frames: i + 1, faults: faults[i], previousFaults: faults[i - 1] });
+        }
+    }
+    return anomalies;
+}
+
+/**
+ * Indexes a reference string by page, so per-page questions about any step
+ * ("when was this page last used?") are answered without rescanning the string.
+ * @param {number[]} pages - The page referenced at each step (step 1 is pages[0]).
+ * @returns {object} {pageStats(page, step)}, returning {lastUse, count, nextUse} for a page
+ *   as of a step: the step it was last referenced at (or null), how many times it has been
+ *   referenced so far, and how many steps until its next reference (null = never again).
+ */
+export function createReferenceIndex(pages) {
+    const stepsByPage = new Map(); // Page -> the steps that reference it, in order
+    pages.forEach((page, i) => {
+        if (!stepsByPage.has(page)) stepsByPage.set(page, []);
+        stepsByPage.get(page).push(i + 1);
+    });
+
+    return {
+        pageStats(page, step) {
+            const steps = stepsByPage.get(page) || [];
+            // Binary search for the number of references at or before 'step'
+            let low = 0;
+            let high = steps.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (steps[mid] <= step) low = mid + 1;
+                else high = mid;
+            }
+            return {
+                lastUse: low > 0 ? steps[low - 1] : null,
+                count: low,
+                nextUse: low < steps.length ? steps[low] - step : null
+            };
+        }
+    };
+}
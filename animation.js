@@ -5,21 +5,157 @@
  * It also manages all the animation controls (play, pause, speed, etc.).
  */
 
+import { getPolicy, computeEffectiveAccessTime } from './algorithm.js';
+import { getStepCount, getStep, getReferences, findFirstDivergence } from './step-store.js';
+import { EXPORT_FORMATS, checkExportSize } from './trace-export.js';
+import { createReferenceIndex } from './analysis.js';
+import { getProcessName, getProcessColor } from './multiprocess.js';
+import { TLB_POLICIES, computeTranslatedAccessTime, getTranslationState } from './translation.js';
+
 // --- Module-Level Variables ---
 let canvas, ctx; // Our drawing surface and its 2D context
-let simulationData = null; // Will hold the 'steps' array from algorithm.js
+let simulationData = null; // The first lane's simulation data (steps are read through step-store.js)
+let lanes = []; // Every simulation being shown; more than one in comparison mode
+let divergenceStep = -1; // First step where the compared policies behave differently
 let currentStep = 0; // The index of the step we are currently viewing
 let animationInterval = null; // A timer ID for the 'play' function
 let isPlaying = false;
 let animationSpeed = 1000; // Default 1-second delay between steps
 let resizeTimeout; // Timer for debouncing the resize event
+let onStepChange = null; // Called with the step index whenever a step is drawn
+let transition = null; // The running tween between two steps: {step, reverse, start, duration}
+let transitionFrame = null; // requestAnimationFrame ID of the running tween
+let referenceIndex = null; // Per-page reference lookups for the page state panel
+let showPageState = true; // Whether the page state panel is drawn (single view only)
+let showVictimHints = true; // Whether the page state panel marks the next victim (off in quiz mode)
+let stepGuard = null; // Asked before moving forward; returning false stops the move (quiz mode)
+let frameHitAreas = []; // Where each frame was drawn in the single view: {frame, x, y, width, height}
+let pauseSteps = new Set(); // Steps where playback pauses by itself (breakpoints)
+let runTarget = null; // The step a "run to" stops at, while one is running
+let onAutoPause = null; // Called with the step whenever playback pauses by itself there
+
+// --- Layout Constants ---
+// The canvas is split into horizontal bands: status text on top, the frames in
+// the middle, then the policy's bookkeeping panel and the eviction graphic.
+const FRAMES_TOP = 70; // Frames are drawn below the status text...
+const FRAMES_BOTTOM_MARGIN = 150; // ...and above the panel + eviction graphic
+const PANEL_BOTTOM_MARGIN = 140; // Distance of the panel title from the canvas bottom
+const LANE_HEIGHT = 200; // Height of one policy lane in comparison mode
+const STATE_PANEL_WIDTH = 300; // The page state panel takes this much of the frames band's right side
+const STATE_PANEL_MIN_CANVAS = 760; // Narrower canvases leave the panel out
+const STATE_ROW_HEIGHT = 17;
+const TRANSLATION_PANEL_WIDTH = 280; // With address translation on, the TLB and page table take the band's left side
+const TRANSLATION_ROW_HEIGHT = 15;
+
+// Share of the delay between steps spent tweening, so a tween ends before the next step starts
+const TRANSITION_SHARE = 0.6;
 
 /**
  * Initializes the animation with new data.
  * This is called by main.js after the "Start" button is clicked.
  * @param {object} data - The full simulation data from algorithm.js.
+ * @param {number} [startStep=0] - The step to show first (e.g., one restored from a link).
+ */
+export function animateSimulation(data, startStep = 0) {
+    startAnimation([data], startStep);
+}
+
+/**
+ * Initializes comparison mode: one canvas lane per policy, all driven by the
+ * same play/pause/step/timeline controls.
+ * @param {object[]} dataList - One simulation data object per policy, all for the same reference string.
+ * @param {number} [startStep=0] - The step to show first.
+ */
+export function animateComparison(dataList, startStep = 0) {
+    startAnimation(dataList, startStep);
+}
+
+/**
+ * Registers the function to call with the step index whenever a step is drawn
+ * (used by main.js to keep the URL hash up to date).
+ * @param {function|null} callback - The listener, or null to remove it.
+ */
+export function setStepChangeHandler(callback) {
+    onStepChange = callback;
+}
+
+/**
+ * Registers a function that is asked before the view moves forward, by playback,
+ * stepping or jumping. It is called as guard(step, playing), with the step about
+ * to be shown and whether playback was running; if it returns false the view
+ * stays where it is and playback pauses. Moving backward is never guarded.
+ * @param {function|null} guard - The guard, or null to remove it.
  */
-export function animateSimulation(data) {
+export function setStepGuard(guard) {
+    stepGuard = guard;
+}
+
+/**
+ * Sets the steps where playback pauses by itself (breakpoints). Stepping and
+ * jumping ignore them. In comparison mode they are steps of the first lane.
+ * @param {number[]} steps - The step indexes.
+ */
+export function setPauseSteps(steps) {
+    pauseSteps = new Set(steps);
+}
+
+/**
+ * Registers the function to call when playback pauses by itself, at a step from
+ * setPauseSteps or the end of a runToStep. It is called with the step index.
+ * @param {function|null} callback - The listener, or null to remove it.
+ */
+export function setAutoPauseHandler(callback) {
+    onAutoPause = callback;
+}
+
+/**
+ * Shows or hides the page state panel's "victim" and "OPT" markers, which would
+ * give away the answer in quiz mode.
+ * @param {boolean} visible - Whether to mark them.
+ */
+export function setVictimHintsVisible(visible) {
+    showVictimHints = visible;
+    if (simulationData && canvas) drawFrame();
+}
+
+/**
+ * Finds the frame drawn under a point of the canvas (single view only).
+ * @param {number} clientX - The point's x-coordinate in the viewport (e.g., a click's clientX).
+ * @param {number} clientY - Its y-coordinate.
+ * @returns {number} The frame index, or -1 if no frame is there.
+ */
+export function getFrameAt(clientX, clientY) {
+    if (!canvas) return -1;
+    const rect = canvas.getBoundingClientRect();
+    const x = (clientX - rect.left) * (canvas.width / rect.width);
+    const y = (clientY - rect.top) * (canvas.height / rect.height);
+    const area = frameHitAreas.find(area =>
+        x >= area.x && x <= area.x + area.width && y >= area.y && y <= area.y + area.height);
+    return area ? area.frame : -1;
+}
+
+/**
+ * Returns the index of the step currently on screen.
+ * @returns {number} The step index (0 is the initial state).
+ */
+export function getCurrentStep() {
+    return currentStep;
+}
+
+/**
+ * Returns the index of the last step of the simulation on screen.
+ * @returns {number} The step index (-1 when no simulation is loaded).
+ */
+export function getLastStep() {
+    return simulationData ? getStepCount(simulationData) - 1 : -1;
+}
+
+/**
+ * Shared setup for single and comparison mode.
+ * @param {object[]} dataList - The simulations to show (one per lane).
+ * @param {number} startStep - The step to show first; clamped to the last step.
+ */
+function startAnimation(dataList, startStep) {
     // Get the canvas element once
     if (!canvas) {
         canvas = document.getElementById("animation-canvas");
@@ -30,19 +166,36 @@ export function animateSimulation(data) {
         window.addEventListener('resize', handleResize);
     }
 
+    // Store the data and reset the view.
+    // The first lane drives the timeline; all lanes have the same number of steps.
+    lanes = dataList;
+    simulationData = dataList[0];
+    divergenceStep = findFirstDivergence(dataList);
+    referenceIndex = createReferenceIndex(getReferences(simulationData).map(reference => reference.page));
+    currentStep = Math.min(Math.max(0, startStep), getStepCount(simulationData) - 1);
+
+    // Comparison mode grows the canvas so that every lane gets enough room
+    canvas.style.height = lanes.length > 1 ? `${Math.max(440, lanes.length * LANE_HEIGHT)}px` : '';
+
     // Set the canvas's internal bitmap size to match its display size.
     updateCanvasSize();
 
-    // Store the data and reset the view
-    simulationData = data;
-    currentStep = 0;
+    // Show either the single-run stats or the comparison table
+    const comparing = lanes.length > 1;
+    document.getElementById("single-stats").style.display = comparing ? 'none' : 'block';
+    document.getElementById("comparison-table").style.display = comparing ? 'table' : 'none';
+    const note = document.getElementById("divergence-note");
+    note.style.display = comparing ? 'block' : 'none';
+    note.textContent = divergenceStep === -1 ?
+        'The policies behave identically on this reference string.' :
+        `The policies first diverge at step ${divergenceStep}.`;
 
     // Set the timeline slider's max value to the number of steps
     const timeline = document.getElementById('timeline-slider');
-    timeline.max = simulationData.steps.length - 1;
-    timeline.value = 0;
+    timeline.max = getStepCount(simulationData) - 1;
+    timeline.value = currentStep;
 
-    drawFrame(); // Draw the very first frame (initial state)
+    drawFrame(); // Draw the first frame (the initial state, unless a start step was given)
 }
 
 /**
@@ -51,7 +204,10 @@ export function animateSimulation(data) {
  */
 export function resetAnimation() {
     pause(); // Stop any ongoing animation
+    cancelTransition();
     simulationData = null;
+    lanes = [];
+    divergenceStep = -1;
     currentStep = 0;
     if (ctx) { // Clear the canvas only if it exists
         // Also update size on reset in case window changed while no sim was active
@@ -63,9 +219,17 @@ export function resetAnimation() {
     document.getElementById("page-hits").textContent = `Page Hits: 0`;
     document.getElementById("miss-ratio").textContent = `Miss Ratio: 0%`;
     document.getElementById("hit-ratio").textContent = `Hit Ratio: 0%`;
+    document.getElementById("write-backs").textContent = `Write-Backs: 0`;
+    document.getElementById("access-time").textContent = `Effective Access Time: N/A`;
+    document.getElementById("tlb-hit-rate").hidden = true;
     document.getElementById("timeline-label").textContent = `Step: 0`;
     document.getElementById("timeline-slider").value = 0;
     document.getElementById("timeline-slider").max = 0;
+    document.getElementById("comparison-body").replaceChildren();
+    document.getElementById("step-announcer").textContent = '';
+    document.getElementById("frame-state-text").textContent = 'No simulation loaded.';
+    document.getElementById("process-table").style.display = 'none';
+    document.getElementById("process-body").replaceChildren();
 }
 
 /**
@@ -77,15 +241,45 @@ export function play() {
     isPlaying = true;
 
     // If at the end, restart from the beginning
-    if (currentStep >= simulationData.steps.length - 1) {
+    if (currentStep >= getStepCount(simulationData) - 1) {
         currentStep = 0;
     }
 
-    // Start a timer that advances the frame
+    startPlaybackTimer();
+}
+
+/**
+ * Plays until a later step, pausing there (or earlier, at a breakpoint).
+ * @param {number} step - The step to stop at.
+ */
+export function runToStep(step) {
+    if (!simulationData || step <= currentStep) return;
+    pause();
+    runTarget = step;
+    play();
+}
+
+/**
+ * Pauses the auto-play.
+ */
+export function pause() {
+    clearInterval(animationInterval); // Stop the timer
+    isPlaying = false;
+    runTarget = null;
+}
+
+/**
+ * Starts the timer that advances playback one step per tick.
+ */
+function startPlaybackTimer() {
     animationInterval = setInterval(() => {
-        if (currentStep < simulationData.steps.length - 1) {
-            currentStep++;
-            drawFrame(); // Advance and draw
+        if (currentStep < getStepCount(simulationData) - 1) {
+            if (!mayMoveTo(currentStep + 1)) return;
+            transitionTo(currentStep + 1); // Advance and animate the change
+            if (pauseSteps.has(currentStep) || currentStep === runTarget) {
+                pause();
+                if (onAutoPause) onAutoPause(currentStep);
+            }
         } else {
             pause(); // We've reached the end, so stop
         }
@@ -93,11 +287,11 @@ export function play() {
 }
 
 /**
- * Pauses the auto-play.
+ * Plays if paused, pauses if playing (the Space shortcut).
  */
-export function pause() {
-    clearInterval(animationInterval); // Stop the timer
-    isPlaying = false;
+export function togglePlay() {
+    if (isPlaying) pause();
+    else play();
 }
 
 /**
@@ -105,10 +299,10 @@ export function pause() {
  */
 export function stepForward() {
     // Stop if at the end
-    if (!simulationData || currentStep >= simulationData.steps.length - 1) return;
+    if (!simulationData || currentStep >= getStepCount(simulationData) - 1) return;
+    if (!mayMoveTo(currentStep + 1)) return;
     pause(); // Always pause when stepping manually
-    currentStep++;
-    drawFrame();
+    transitionTo(currentStep + 1);
 }
 
 /**
@@ -118,8 +312,7 @@ export function stepBackward() {
     // Stop if at the beginning
     if (!simulationData || currentStep <= 0) return;
     pause();
-    currentStep--;
-    drawFrame();
+    transitionTo(currentStep - 1); // Runs the step's tween in reverse
 }
 
 /**
@@ -128,11 +321,28 @@ export function stepBackward() {
  */
 export function jumpToStep(step) {
     if (!simulationData) return;
+    if (!mayMoveTo(parseInt(step))) {
+        updateTimeline(); // Put the slider back
+        return;
+    }
     pause();
     currentStep = parseInt(step); // Ensure the value is a number
     drawFrame();
 }
 
+/**
+ * Asks the step guard (if any) whether the view may move to a step, and
+ * pauses playback if it may not.
+ * @param {number} step - The step about to be shown.
+ * @returns {boolean} Whether to go ahead.
+ */
+function mayMoveTo(step) {
+    if (!stepGuard || step <= currentStep) return true;
+    if (stepGuard(step, isPlaying)) return true;
+    pause();
+    return false;
+}
+
 /**
  * Sets the animation speed from the speed slider.
  * @param {number} value - The raw value from the slider (100 to 2000).
@@ -144,12 +354,92 @@ export function setSpeed(value) {
     animationSpeed = 2100 - parseInt(value);
 
     // If we're currently playing, restart the interval with the new speed
+    // (a running "run to" keeps its target)
     if (isPlaying) {
-        pause();
-        play();
+        clearInterval(animationInterval);
+        startPlaybackTimer();
     }
 }
 
+/**
+ * Shows or hides the page state panel (recency stack, last use, reference
+ * count and next use of every resident page) in the single-policy view.
+ * @param {boolean} visible - Whether to draw the panel.
+ */
+export function setPageStateVisible(visible) {
+    showPageState = visible;
+    if (simulationData && canvas) drawFrame();
+}
+
+/**
+ * Resizes and redraws the current step, e.g. after the canvas was hidden
+ * behind another view (a hidden canvas has no size to draw into).
+ */
+export function redrawAnimation() {
+    if (!simulationData || !canvas) return;
+    updateCanvasSize();
+    drawFrame();
+}
+
+// --- Transitions ---
+
+/**
+ * Moves to a neighbouring step and tweens the change: an evicted page slides
+ * out of its frame while the incoming page drops in, a hit frame pulses, and
+ * the bookkeeping panel reorders. Going backward plays the same tween in reverse.
+ * @param {number} step - The step to move to (currentStep ± 1).
+ */
+function transitionTo(step) {
+    const from = currentStep;
+    currentStep = step;
+    drawFrame(); // Draws the final state and updates the stats, timeline and listeners
+
+    if (Math.abs(step - from) !== 1 || prefersReducedMotion()) return;
+    transition = {
+        step: Math.max(step, from), // The step whose changes are being shown
+        reverse: step < from,
+        start: performance.now(),
+        duration: animationSpeed * TRANSITION_SHARE // Follows the speed slider
+    };
+    transitionFrame = requestAnimationFrame(drawTransition);
+}
+
+/**
+ * Draws one frame of the running tween, and schedules the next one until it is done.
+ * @param {number} now - The timestamp from requestAnimationFrame.
+ */
+function drawTransition(now) {
+    if (!transition || !simulationData) return;
+    const elapsed = Math.min(1, (now - transition.start) / transition.duration);
+
+    if (elapsed >= 1) {
+        transition = null;
+        renderCanvas(currentStep, 1); // Land exactly on the final state
+        return;
+    }
+    renderCanvas(transition.step, transition.reverse ? 1 - elapsed : elapsed);
+    transitionFrame = requestAnimationFrame(drawTransition);
+}
+
+/**
+ * Stops the running tween, if any (the caller draws whatever comes next).
+ */
+function cancelTransition() {
+    cancelAnimationFrame(transitionFrame);
+    transition = null;
+}
+
+function prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Eases a 0-1 progress value in and out, so tweens start and stop gently.
+ */
+function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
 // --- New Helper Functions for Responsiveness ---
 
 /**
@@ -191,9 +481,198 @@ function drawFrame() {
     // Safety check, don't draw if data isn't ready
     if (!simulationData || !ctx) return;
 
-    const state = simulationData.steps[currentStep]; // Get the data for this step
+    cancelTransition(); // Whatever was tweening is replaced by this step
+    renderCanvas(currentStep, 1);
+
+    if (lanes.length > 1) {
+        updateComparisonTable();
+    } else {
+        updateStats(getStep(simulationData, currentStep));
+    }
+
+    // --- Update UI Elements ---
+    updateTimeline();
+    updateScreenReaderText();
+    if (onStepChange) onStepChange(currentStep);
+}
+
+/**
+ * Clears the canvas and draws one step, part-way through its tween.
+ * @param {number} stepIndex - The step to draw.
+ * @param {number} progress - How far the change into this step has got (0 to 1; 1 = finished).
+ */
+function renderCanvas(stepIndex, progress) {
     ctx.clearRect(0, 0, canvas.width, canvas.height); // Clear the canvas
+    frameHitAreas = [];
+
+    if (lanes.length > 1) {
+        drawComparisonLanes(stepIndex, progress);
+    } else {
+        const state = getStep(simulationData, stepIndex); // Get the data for this step
+        const previous = stepIndex > 0 ? getStep(simulationData, stepIndex - 1) : null;
+        drawSingleView(state, previous, progress, stepIndex);
+    }
+}
+
+/**
+ * Draws one simulation using the whole canvas.
+ * @param {object} state - The current simulation step object.
+ * @param {object|null} previous - The step before it (null for the initial state).
+ * @param {number} progress - Tween progress from 'previous' to 'state' (1 = finished).
+ * @param {number} stepIndex - The index of 'state' in the steps array.
+ */
+function drawSingleView(state, previous, progress, stepIndex) {
+    // --- Draw Main Frames ---
+    // Clock-style policies are laid out as a circular buffer; every other
+    // policy uses a simple horizontal row.
+    const policy = getPolicy(simulationData.policy);
+    const translation = simulationData.translation;
+    // The page state panel, when shown, takes the right side of the frames band
+    const withPageState = showPageState &&
+        canvas.width >= STATE_PANEL_MIN_CANVAS + (translation ? TRANSLATION_PANEL_WIDTH : 0);
+    const area = {
+        left: translation ? TRANSLATION_PANEL_WIDTH : 0,
+        right: withPageState ? canvas.width - STATE_PANEL_WIDTH : canvas.width,
+        top: FRAMES_TOP,
+        bottom: canvas.height - FRAMES_BOTTOM_MARGIN
+    };
+    if (policy.layout === 'clock') {
+        drawClockFrames(state, area, previous, progress);
+    } else {
+        drawFrameRow(state, area, previous, progress);
+    }
+
+    // --- Draw the Process Legend (multi-process runs) ---
+    if (simulationData.processes) {
+        drawProcessLegend(15, 20);
+    }
+
+    // --- Draw the TLB and Page Table (address translation) ---
+    if (translation) {
+        drawTranslationPanel(state, stepIndex, FRAMES_TOP + 4, area.bottom);
+    }
+
+    // --- Draw the Page State Panel ---
+    if (withPageState) {
+        drawPageStatePanel(state, stepIndex, area.right, FRAMES_TOP + 4);
+    }
+
+    // --- Draw the Policy's Bookkeeping Panel ---
+    drawBookkeepingPanel(policy.describe(state), canvas.height - PANEL_BOTTOM_MARGIN,
+        previous && policy.describe(previous), progress);
+
+    // --- Draw Top Status Text (e.g., "HIT on Page 2") ---
+    ctx.font = "24px Arial";
+    ctx.textAlign = "center";
+    ctx.fillStyle = getStatusColor(state);
+    ctx.fillText(getStatusText(state), canvas.width / 2, 50);
+
+    // --- Draw Eviction Graphic (Bottom) ---
+    // Only a fault that replaced a page has something to show; it fades in with the tween
+    ctx.globalAlpha = easeInOut(progress);
+    if (state.action === 'eviction') {
+        drawEvictionGraphic(state.evictedPage, state.page, canvas.height - 60, state.writeBack);
+    }
+    // Why this frame was used (the policy's reason, or which empty frame was filled)
+    if (state.reason) {
+        ctx.fillStyle = "#bbbbbb";
+        ctx.font = "13px Arial";
+        ctx.textAlign = "center";
+        ctx.fillText(state.reason, canvas.width / 2, canvas.height - 6);
+    }
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * Draws one horizontal lane per policy for comparison mode. Every lane shows
+ * the same step, so the shared controls move them in lockstep.
+ * @param {number} stepIndex - The step to draw.
+ * @param {number} progress - Tween progress into that step (1 = finished).
+ */
+function drawComparisonLanes(stepIndex, progress) {
+    const laneHeight = canvas.height / lanes.length;
+    const atDivergence = stepIndex === divergenceStep;
+
+    lanes.forEach((data, laneIndex) => {
+        const state = getStep(data, stepIndex);
+        const previous = stepIndex > 0 ? getStep(data, stepIndex - 1) : null;
+        const policy = getPolicy(data.policy);
+        const top = laneIndex * laneHeight;
+
+        // Separator between lanes
+        if (laneIndex > 0) {
+            ctx.strokeStyle = "#00c3ff33";
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(0, top);
+            ctx.lineTo(canvas.width, top);
+            ctx.stroke();
+        }
 
+        // Lane header: policy name on the left, this step's outcome on the right
+        ctx.font = "16px Arial";
+        ctx.textAlign = "left";
+        ctx.fillStyle = "#00c3ff";
+        ctx.fillText(`${policy.name} — Faults: ${state.faults}`, 15, top + 24);
+        ctx.textAlign = "right";
+        ctx.fillStyle = getStatusColor(state);
+        ctx.fillText(getStatusText(state), canvas.width - 15, top + 24);
+
+        const area = { left: 0, right: canvas.width, top: top + 35, bottom: top + laneHeight - 70 };
+        drawFrameRow(state, area, previous, progress);
+        drawBookkeepingPanel(policy.describe(state), top + laneHeight - 52,
+            previous && policy.describe(previous), progress);
+    });
+
+    // Outline the whole canvas on the step where the policies first diverge
+    if (atDivergence) {
+        ctx.strokeStyle = "#facc15";
+        ctx.lineWidth = 4;
+        ctx.strokeRect(2, 2, canvas.width - 4, canvas.height - 4);
+        ctx.fillStyle = "#facc15";
+        ctx.font = "14px Arial";
+        ctx.textAlign = "center";
+        ctx.fillText("◆ First divergence", canvas.width / 2, 24);
+    }
+}
+
+/**
+ * Builds the status line for a step (e.g., "HIT on Page 2").
+ * @param {object} state - A simulation step object.
+ * @returns {string} The status text.
+ */
+function getStatusText(state) {
+    if (state.action === 'initial') return "Initial State";
+    const access = state.write ? " (write)" : "";
+    if (state.action === 'hit') return `HIT on Page ${state.page}${access}`;
+    if (state.action === 'cold-fill') {
+        return `FAULT on Page ${state.page}${access} (loaded into empty Frame ${state.frameIndex})`;
+    }
+    // Show the evicted page number, and whether it had to be written back
+    const victim = state.writeBack ?
+        `Evicted dirty Page ${state.evictedPage}, write-back` :
+        `Evicted Page ${state.evictedPage}`;
+    return `FAULT on Page ${state.page}${access} (${victim})`;
+}
+
+/**
+ * Picks the colour for a step's status line.
+ * @param {object} state - A simulation step object.
+ * @returns {string} A CSS colour string.
+ */
+function getStatusColor(state) {
+    if (state.action === 'initial') return "#facc15";
+    return state.fault ? "#ff5f5f" : "#7cf57c";
+}
+
+/**
+ * Draws the frames as a single horizontal row, centred in the given area.
+ * @param {object} state - The current simulation step object.
+ * @param {object} area - {left, right, top, bottom}, the part of the canvas to draw in.
+ * @param {object|null} [previous=null] - The step before it, for the tween.
+ * @param {number} [progress=1] - Tween progress from 'previous' to 'state' (1 = finished).
+ */
+function drawFrameRow(state, area, previous = null, progress = 1) {
     // --- Dynamic Sizing Logic ---
     const numFrames = state.frames.length;
     const baseFrameWidth = 80;
@@ -207,82 +686,558 @@ function drawFrame() {
     // Calculate the total width our frames *want* to be
     let totalWidth = (numFrames * frameWidth) + ((numFrames - 1) * gap);
 
-    // If that width is too big for the canvas, we need to scale down
-    if (totalWidth > canvas.width - padding) {
-        const scale = (canvas.width - padding) / totalWidth;
+    // If that width is too big for the area, we need to scale down
+    const areaWidth = area.right - area.left;
+    if (totalWidth > areaWidth - padding) {
+        const scale = (areaWidth - padding) / totalWidth;
         frameWidth *= scale; // Scale down the width
         gap *= scale; // Scale down the gap
     }
 
     // Recalculate the centered starting X position
     totalWidth = (numFrames * frameWidth) + ((numFrames - 1) * gap);
-    const startX = (canvas.width - totalWidth) / 2;
-    // Vertically center the frames
-    const startY = (canvas.height - frameHeight) / 2;
+    const startX = area.left + (areaWidth - totalWidth) / 2;
+    // Vertically center the frames in their band
+    const startY = (area.top + area.bottom - frameHeight) / 2;
+
+    // While tweening, the frame the reference landed in is animated
+    const changedIndex = previous && progress < 1 ? state.frameIndex : -1;
+    const dirtyBits = changedIndex !== -1 && progress < 0.5 ? previous.dirtyBits : state.dirtyBits;
 
-    // --- Draw Main Frames ---
     // Loop through each frame in the current state
     state.frames.forEach((page, index) => {
         const x = startX + index * (frameWidth + gap);
 
-        // Default color
-        let strokeColor = "#00ccff"; // Standard blue/cyan
-
-        // --- Color Coding Logic ---
-        if (currentStep > 0) {
-            if (state.fault && state.replacedIndex === index) {
-                // A fault just happened, and this is the frame that was *replaced*.
-                strokeColor = "#ff5f5f"; // Red = Replaced
-            } else if (!state.fault && state.hitIndex === index) {
-                // A hit just happened. Highlight the frame that was hit.
-                strokeColor = "#7cf57c"; // Green = Hit
-            }
-        }
+        const strokeColor = getFrameColor(state, index);
+        if (lanes.length === 1) frameHitAreas.push({ frame: index, x, y: startY, width: frameWidth, height: frameHeight });
+        // A hit frame pulses: its outline and glow swell and settle again
+        const pulse = index === changedIndex && !state.fault ? Math.sin(Math.PI * progress) : 0;
 
         // Draw the frame box
-        ctx.lineWidth = 3;
+        ctx.lineWidth = 3 + 3 * pulse;
         ctx.fillStyle = "#1e2b3b";
         ctx.strokeStyle = strokeColor;
-        ctx.shadowBlur = 10;
+        ctx.shadowBlur = 10 + 20 * pulse;
         ctx.shadowColor = strokeColor;
         ctx.beginPath();
         ctx.roundRect(x, startY, frameWidth, frameHeight, 10);
         ctx.fill();
+        fillProcessTint(page);
         ctx.stroke();
         ctx.shadowBlur = 0; // Reset shadow
 
         // Draw the Page Number (e.g., "5" or "-")
-        ctx.fillStyle = "#ffffff";
-        ctx.font = `${Math.min(24, frameWidth * 0.4)}px Arial`; // Scale font size
-        ctx.textAlign = "center";
-        ctx.fillText(page === -1 ? "-" : page, x + frameWidth / 2, startY + frameHeight / 2 + 8);
+        const fontSize = Math.min(24, frameWidth * 0.4); // Scale font size
+        if (index === changedIndex && state.fault) {
+            drawSlidingPages(previous.frames[index], page, x, startY, frameWidth, frameHeight, 10, fontSize, progress);
+        } else {
+            ctx.fillStyle = "#ffffff";
+            ctx.font = `${fontSize}px Arial`;
+            ctx.textAlign = "center";
+            ctx.fillText(page === -1 ? "-" : page, x + frameWidth / 2, startY + frameHeight / 2 + 8);
+        }
+
+        // Mark modified pages; evicting them costs a write-back
+        if (dirtyBits[index]) {
+            drawDirtyBadge(x + frameWidth, startY);
+        }
     });
+}
 
-    // --- Draw Top Status Text (e.g., "HIT on Page 2") ---
-    ctx.font = "24px Arial";
+/**
+ * In a multi-process run, tints the frame box just filled (the current path)
+ * with the colour of the process owning its page.
+ * @param {number|string} page - The page in the frame (-1 if empty).
+ */
+function fillProcessTint(page) {
+    if (!simulationData.processes || page === -1) return;
+    ctx.fillStyle = `${getProcessColor(page, simulationData.processes)}40`;
+    ctx.fill();
+}
+
+/**
+ * Draws the process colours of a multi-process run as a small legend.
+ * @param {number} x - The legend's left edge.
+ * @param {number} y - The baseline of its text.
+ */
+function drawProcessLegend(x, y) {
+    ctx.font = "12px Arial";
+    ctx.textAlign = "left";
+    for (const process of simulationData.processes) {
+        ctx.fillStyle = getProcessColor(`${process.name}:`, simulationData.processes);
+        ctx.fillRect(x, y - 10, 10, 10);
+        ctx.fillStyle = "#bbbbbb";
+        ctx.fillText(`Process ${process.name}`, x + 14, y);
+        x += ctx.measureText(`Process ${process.name}`).width + 28;
+    }
+}
+
+/**
+ * Draws a page being replaced inside its frame: during the first half of the
+ * tween the old page slides down and out, during the second half the new page drops in.
+ * @param {number} oldPage - The page leaving the frame (-1 if it was empty).
+ * @param {number} newPage - The page arriving.
+ * @param {number} x - The frame's left edge.
+ * @param {number} y - The frame's top edge.
+ * @param {number} width - The frame's width.
+ * @param {number} height - The frame's height.
+ * @param {number} radius - The frame's corner radius (the pages are clipped to it).
+ * @param {number} fontSize - The page number's font size.
+ * @param {number} progress - Tween progress (0 to 1).
+ */
+function drawSlidingPages(oldPage, newPage, x, y, width, height, radius, fontSize, progress) {
+    const out = easeInOut(Math.min(1, progress * 2));
+    const drop = easeInOut(Math.max(0, progress * 2 - 1));
+    const centerX = x + width / 2;
+    const baseline = y + height / 2 + fontSize / 3;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, radius);
+    ctx.clip(); // Pages disappear at the frame's edges
+    ctx.fillStyle = "#ffffff";
+    ctx.font = `${fontSize}px Arial`;
+    ctx.textAlign = "center";
+    ctx.globalAlpha = 1 - out;
+    ctx.fillText(oldPage === -1 ? "-" : oldPage, centerX, baseline + out * height);
+    ctx.globalAlpha = drop;
+    ctx.fillText(newPage, centerX, baseline - (1 - drop) * height);
+    ctx.restore();
+}
+
+/**
+ * Draws the small orange "M" (modified) badge on a frame's top-right corner.
+ * @param {number} x - The x-coordinate of the frame's right edge.
+ * @param {number} y - The y-coordinate of the frame's top edge.
+ */
+function drawDirtyBadge(x, y) {
+    ctx.fillStyle = "#fb923c"; // Orange = dirty
+    ctx.beginPath();
+    ctx.arc(x - 2, y + 2, 9, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillStyle = "#0e0e10";
+    ctx.font = "bold 11px Arial";
     ctx.textAlign = "center";
-    if (state.page !== null) { // 'page' is null only on step 0
-        ctx.fillStyle = state.fault ? "#ff5f5f" : "#7cf57c";
-        // Show evicted page number if it was a fault
-        const statusText = state.fault ?
-            `FAULT on Page ${state.page} (Evicted Page ${state.evictedPage})` :
-            `HIT on Page ${state.page}`;
-        ctx.fillText(statusText, canvas.width / 2, 50);
+    ctx.fillText("M", x - 2, y + 6);
+}
+
+/**
+ * Picks the outline colour for a frame based on what happened at this step.
+ * @param {object} state - The current simulation step object.
+ * @param {number} index - The frame index being drawn.
+ * @returns {string} A CSS colour string.
+ */
+function getFrameColor(state, index) {
+    // Default color
+    let strokeColor = "#00ccff"; // Standard blue/cyan
+
+    // --- Color Coding Logic ---
+    if (index === state.frameIndex) {
+        if (state.fault) {
+            // A fault just happened, and this is the frame that received the page
+            // (a replaced page on an eviction, an empty frame on a cold fill).
+            strokeColor = "#ff5f5f"; // Red = Loaded
+        } else {
+            // A hit just happened. Highlight the frame that was hit.
+            strokeColor = "#7cf57c"; // Green = Hit
+        }
+    }
+    return strokeColor;
+}
+
+/**
+ * Draws the Clock algorithm's frames as a circular buffer with a hand
+ * pointing at the next eviction candidate. Each frame shows its reference bit,
+ * and frames whose bit was cleared by the hand on this step are marked "1→0".
+ * @param {object} state - The current simulation step object.
+ * @param {object} area - {left, right, top, bottom}, the part of the canvas to draw in
+ *   (leaving room for the status text on top and the eviction graphic below).
+ * @param {object|null} previous - The step before it, for the tween.
+ * @param {number} progress - Tween progress from 'previous' to 'state' (1 = finished).
+ */
+function drawClockFrames(state, area, previous, progress) {
+    const numFrames = state.frames.length;
+    const { top, bottom } = area;
+    const centerX = (area.left + area.right) / 2;
+    const centerY = (top + bottom) / 2;
+
+    let boxSize = 44;
+    const labelGap = 16; // Space outside each box for its reference bit
+    const orbit = Math.max(40, Math.min((area.right - area.left) / 2 - 60, (bottom - top) / 2 - boxSize / 2 - labelGap));
+    // Shrink the boxes if they would overlap around the circle
+    boxSize = Math.min(boxSize, (2 * Math.PI * orbit / numFrames) * 0.7);
+
+    // Angle of frame 'i', starting at 12 o'clock and going clockwise
+    const angleOf = (i) => -Math.PI / 2 + (i * 2 * Math.PI) / numFrames;
+
+    // --- Draw the sweep path (frames the hand passed over on this step) ---
+    if (state.page !== null && state.fault && state.prevState) {
+        const from = angleOf(state.prevState.hand);
+        let to = angleOf(state.hand);
+        if (to <= from) to += 2 * Math.PI; // Always sweep clockwise
+        ctx.strokeStyle = "#facc1566";
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, orbit * 0.55, from, to);
+        ctx.stroke();
+    }
+
+    // While tweening, the frame the reference landed in is animated
+    const changedIndex = previous && progress < 1 ? state.frameIndex : -1;
+    const dirtyBits = changedIndex !== -1 && progress < 0.5 ? previous.dirtyBits : state.dirtyBits;
+
+    // --- Draw each frame around the circle ---
+    state.frames.forEach((page, index) => {
+        const angle = angleOf(index);
+        const x = centerX + orbit * Math.cos(angle) - boxSize / 2;
+        const y = centerY + orbit * Math.sin(angle) - boxSize / 2;
+        const strokeColor = getFrameColor(state, index);
+        frameHitAreas.push({ frame: index, x, y, width: boxSize, height: boxSize });
+        const pulse = index === changedIndex && !state.fault ? Math.sin(Math.PI * progress) : 0;
+
+        // Draw the frame box
+        ctx.lineWidth = 3 + 3 * pulse;
+        ctx.fillStyle = "#1e2b3b";
+        ctx.strokeStyle = strokeColor;
+        ctx.shadowBlur = 10 + 20 * pulse;
+        ctx.shadowColor = strokeColor;
+        ctx.beginPath();
+        ctx.roundRect(x, y, boxSize, boxSize, 8);
+        ctx.fill();
+        fillProcessTint(page);
+        ctx.stroke();
+        ctx.shadowBlur = 0; // Reset shadow
+
+        // Draw the Page Number
+        const fontSize = Math.min(20, boxSize * 0.45);
+        if (index === changedIndex && state.fault) {
+            drawSlidingPages(previous.frames[index], page, x, y, boxSize, boxSize, 8, fontSize, progress);
+        } else {
+            ctx.fillStyle = "#ffffff";
+            ctx.font = `${fontSize}px Arial`;
+            ctx.textAlign = "center";
+            ctx.fillText(page === -1 ? "-" : page, x + boxSize / 2, y + boxSize / 2 + 6);
+        }
+        if (dirtyBits[index]) {
+            drawDirtyBadge(x + boxSize, y);
+        }
+
+        // Draw the reference bit just outside the box, away from the centre
+        const labelRadius = orbit + boxSize / 2 + labelGap / 2 + 4;
+        const labelX = centerX + labelRadius * Math.cos(angle);
+        const labelY = centerY + labelRadius * Math.sin(angle) + 4;
+        const wasCleared = state.page !== null && state.clearedBits.includes(index);
+        let bitText = wasCleared ? "R:1→0" : `R:${state.refBits[index]}`;
+        if (simulationData.policy === 'enhanced-clock') {
+            bitText += ` M:${state.dirtyBits[index]}`; // Enhanced Clock also chooses by the dirty bit
+        }
+        ctx.font = "12px Arial";
+        ctx.fillStyle = wasCleared ? "#facc15" : (state.refBits[index] ? "#7cf57c" : "#888888");
+        ctx.fillText(bitText, labelX, labelY);
+    });
+
+    // --- Draw the clock hand ---
+    // While tweening, the hand turns clockwise from where it was
+    let handAngle = angleOf(state.hand);
+    if (previous && progress < 1) {
+        const from = angleOf(previous.hand);
+        let to = handAngle;
+        if (to < from) to += 2 * Math.PI;
+        handAngle = from + (to - from) * easeInOut(progress);
+    }
+    const handLength = orbit - boxSize / 2 - 6;
+    drawArrow(
+        centerX, centerY,
+        centerX + handLength * Math.cos(handAngle),
+        centerY + handLength * Math.sin(handAngle),
+        "#facc15"
+    );
+    ctx.fillStyle = "#facc15";
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, 4, 0, 2 * Math.PI);
+    ctx.fill();
+}
+
+/**
+ * Draws the page state panel: every resident page as one row of a stack, with
+ * the step it was last used at, how often it has been referenced so far and
+ * how far away its next use is. For LRU the rows are the recency stack
+ * (MRU on top, LRU at the bottom). The page the policy would evict next is
+ * marked, and so is the page OPT would evict, for comparison.
+ * @param {object} state - The step to describe.
+ * @param {number} stepIndex - Its index in the steps array.
+ * @param {number} x - The panel's left edge.
+ * @param {number} top - The panel's top edge.
+ */
+function drawPageStatePanel(state, stepIndex, x, top) {
+    const policy = getPolicy(simulationData.policy);
+    const pages = policy.stackOrder ?
+        policy.stackOrder(state) :
+        state.frames.filter(page => page !== -1);
+    const stats = new Map(pages.map(page => [page, referenceIndex.pageStats(page, stepIndex)]));
+
+    // The policy's next victim, and the page OPT would pick (farthest next use; null = never).
+    // Under local replacement the victim depends on which process faults next, so neither is
+    // shown; quiz mode hides them as well, since they would give the answer away.
+    const local = simulationData.processes && simulationData.processes.some(process => process.quota !== null);
+    const victimFrame = local || !showVictimHints ? -1 : policy.nextVictim(state);
+    const victim = victimFrame === -1 ? null : state.frames[victimFrame];
+    let optChoice = null;
+    if (victim !== null) {
+        const distance = (page) => (stats.get(page).nextUse === null ? Infinity : stats.get(page).nextUse);
+        optChoice = state.frames.reduce((best, page) => (distance(page) > distance(best) ? page : best));
+    }
+
+    // Title and column headings
+    const columns = [x + 44, x + 96, x + 146, x + 200]; // Page, Last Use, Refs, Next Use
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#facc15";
+    ctx.font = "14px Arial";
+    ctx.fillText(policy.stackOrder ? "Page Stack (top = safest)" : "Resident Pages", x + STATE_PANEL_WIDTH / 2 - 10, top);
+    ctx.fillStyle = "#bbbbbb";
+    ctx.font = "11px Arial";
+    ["Page", "Last Use", "Refs", "Next Use"].forEach((heading, i) => ctx.fillText(heading, columns[i], top + 18));
+
+    pages.forEach((page, row) => {
+        const rowTop = top + 24 + row * STATE_ROW_HEIGHT;
+        const { lastUse, count, nextUse } = stats.get(page);
+
+        // Highlight the next victim's row; outline the page referenced on this step
+        if (page === victim) {
+            ctx.fillStyle = "#ff5f5f33";
+            ctx.fillRect(x + 8, rowTop, STATE_PANEL_WIDTH - 20, STATE_ROW_HEIGHT - 1);
+        }
+        if (page === state.page) {
+            ctx.strokeStyle = getStatusColor(state);
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 8.5, rowTop + 0.5, STATE_PANEL_WIDTH - 21, STATE_ROW_HEIGHT - 2);
+        }
+
+        const baseline = rowTop + STATE_ROW_HEIGHT - 5;
+        ctx.font = "12px Arial";
+        ctx.textAlign = "center";
+        ctx.fillStyle = "#ffffff";
+        ctx.fillText(page, columns[0], baseline);
+        ctx.fillStyle = "#bbbbbb";
+        ctx.fillText(lastUse === null ? "-" : `t=${lastUse}`, columns[1], baseline);
+        ctx.fillText(count, columns[2], baseline);
+        ctx.fillText(nextUse === null ? "never" : `+${nextUse}`, columns[3], baseline);
+
+        // Side notes: stack ends, the next victim and OPT's choice
+        const notes = [];
+        if (page === victim) notes.push("victim");
+        if (page === optChoice && simulationData.policy !== 'opt') notes.push("OPT");
+        if (notes.length === 0 && policy.stackOrder && pages.length > 1) {
+            if (row === 0) notes.push(simulationData.policy === 'lru' ? "MRU" : "newest");
+            if (row === pages.length - 1) notes.push(simulationData.policy === 'lru' ? "LRU" : "oldest");
+        }
+        ctx.textAlign = "left";
+        ctx.font = "11px Arial";
+        ctx.fillStyle = page === victim ? "#ff5f5f" : (notes.includes("OPT") ? "#facc15" : "#888888");
+        ctx.fillText(notes.join(" / "), columns[3] + 28, baseline);
+    });
+}
+
+/**
+ * Draws how the step's virtual address was translated: the address split into
+ * page and offset, the TLB (the entry used is green on a TLB hit, red when it
+ * was just loaded) and the page table with its valid bits, scrolled so the
+ * referenced page's entry is in view.
+ * @param {object} state - The step to describe.
+ * @param {number} stepIndex - Its index in the steps array.
+ * @param {number} top - The panel's top edge.
+ * @param {number} bottom - The panel's bottom edge.
+ */
+function drawTranslationPanel(state, stepIndex, top, bottom) {
+    const translation = simulationData.translation;
+    const view = getTranslationState(simulationData, translation, stepIndex);
+
+    // --- The address and the route it took ---
+    ctx.textAlign = "left";
+    ctx.font = "13px Arial";
+    if (view.address === null) {
+        ctx.fillStyle = "#bbbbbb";
+        ctx.fillText(`Page size: ${translation.pageSize} bytes`, 12, top);
     } else {
-        ctx.fillStyle = "#facc15";
-        ctx.fillText("Initial State", canvas.width / 2, 50);
+        ctx.fillStyle = "#ffffff";
+        ctx.fillText(`VA ${view.address} = page ${view.page} + offset ${view.offset}`, 12, top);
+        let route = "TLB hit";
+        ctx.fillStyle = "#7cf57c";
+        if (!view.tlbHit) {
+            route = state.fault ? "TLB miss, page fault" : "TLB miss, page table";
+            ctx.fillStyle = state.fault ? "#ff5f5f" : "#facc15";
+        }
+        ctx.fillText(`${route} → frame ${view.frame}, PA ${view.physicalAddress}`, 12, top + 17);
     }
 
-    // --- Draw Eviction Graphic (Bottom) ---
-    // Only draw this if it was a page fault
-    if (currentStep > 0 && state.fault) {
-        drawEvictionGraphic(state.evictedPage, state.page, canvas.height - 60);
+    // --- TLB (replacement order: next victim first) ---
+    const tableTop = top + 42;
+    const tlbX = 12;
+    ctx.fillStyle = "#facc15";
+    ctx.font = "13px Arial";
+    ctx.fillText(`TLB (${TLB_POLICIES[translation.tlbPolicy].name})`, tlbX, tableTop);
+    ctx.fillStyle = "#bbbbbb";
+    ctx.font = "11px Arial";
+    ctx.fillText("Page", tlbX + 4, tableTop + 16);
+    ctx.fillText("Frame", tlbX + 50, tableTop + 16);
+    for (let slot = 0; slot < translation.tlbSize; slot++) {
+        const rowTop = tableTop + 20 + slot * TRANSLATION_ROW_HEIGHT;
+        const entry = view.entries[slot];
+        if (entry && entry.page === view.page) {
+            ctx.fillStyle = view.tlbHit ? "#7cf57c33" : "#ff5f5f33";
+            ctx.fillRect(tlbX, rowTop, 96, TRANSLATION_ROW_HEIGHT - 1);
+        }
+        ctx.strokeStyle = "#00c3ff33";
+        ctx.lineWidth = 1;
+        ctx.strokeRect(tlbX + 0.5, rowTop + 0.5, 96, TRANSLATION_ROW_HEIGHT - 1);
+        ctx.fillStyle = entry ? "#ffffff" : "#888888";
+        ctx.font = "12px Arial";
+        ctx.fillText(entry ? entry.page : "-", tlbX + 4, rowTop + TRANSLATION_ROW_HEIGHT - 3);
+        ctx.fillText(entry ? entry.frame : "-", tlbX + 50, rowTop + TRANSLATION_ROW_HEIGHT - 3);
     }
+    // Entries that left the TLB on this step
+    const notes = [];
+    if (view.tlbReplaced !== null) notes.push(`replaced page ${view.tlbReplaced}`);
+    if (view.tlbFlushed !== null) notes.push(`flushed page ${view.tlbFlushed}`);
+    ctx.fillStyle = "#888888";
+    ctx.font = "11px Arial";
+    notes.forEach((note, i) => {
+        ctx.fillText(note, tlbX, tableTop + 34 + (translation.tlbSize + i) * TRANSLATION_ROW_HEIGHT);
+    });
 
+    // --- Page table: as many entries as fit, around the referenced page ---
+    const tableX = 128;
+    const pages = translation.virtualPages;
+    const fit = Math.max(1, Math.floor((bottom - tableTop - 20) / TRANSLATION_ROW_HEIGHT));
+    const current = view.page === null ? 0 : pages.indexOf(view.page);
+    const first = Math.max(0, Math.min(current - Math.floor(fit / 2), pages.length - fit));
+    const shown = pages.subarray(first, first + fit);
+    ctx.fillStyle = "#facc15";
+    ctx.font = "13px Arial";
+    ctx.fillText(shown.length < pages.length ?
+        `Page Table (${first + 1}-${first + shown.length} of ${pages.length})` : "Page Table", tableX, tableTop);
+    ctx.fillStyle = "#bbbbbb";
+    ctx.font = "11px Arial";
+    ["Page", "V", "Frame"].forEach((heading, i) => ctx.fillText(heading, tableX + 4 + i * 44, tableTop + 16));
+    shown.forEach((page, row) => {
+        const rowTop = tableTop + 20 + row * TRANSLATION_ROW_HEIGHT;
+        const frame = state.frames.indexOf(page);
+        // The evicted page's entry was just invalidated
+        if (page === state.evictedPage) {
+            ctx.fillStyle = "#fb923c33";
+            ctx.fillRect(tableX, rowTop, 136, TRANSLATION_ROW_HEIGHT - 1);
+        }
+        ctx.strokeStyle = page === view.page ? getStatusColor(state) : "#00c3ff33";
+        ctx.lineWidth = 1;
+        ctx.strokeRect(tableX + 0.5, rowTop + 0.5, 136, TRANSLATION_ROW_HEIGHT - 1);
 
-    // --- Update UI Elements ---
-    updateStats(state);
-    updateTimeline();
+        const baseline = rowTop + TRANSLATION_ROW_HEIGHT - 3;
+        ctx.font = "12px Arial";
+        ctx.fillStyle = "#ffffff";
+        ctx.fillText(page, tableX + 4, baseline);
+        ctx.fillStyle = frame === -1 ? "#888888" : "#7cf57c";
+        ctx.fillText(frame === -1 ? "0" : "1", tableX + 48, baseline);
+        ctx.fillStyle = frame === -1 ? "#888888" : "#ffffff";
+        ctx.fillText(frame === -1 ? "-" : frame, tableX + 92, baseline);
+    });
+}
+
+/**
+ * Draws a policy's bookkeeping (recency list, FIFO queue, counters, bits, ...)
+ * as a titled row of small boxes, each with an optional label underneath.
+ * While tweening, every item glides from its old position to its new one
+ * (e.g., a referenced page moving to the MRU end), new items drop in and
+ * removed items fade out.
+ * @param {object} panel - The {title, items} object from the policy's describe().
+ * @param {number} y - The y-coordinate of the panel title.
+ * @param {object|null} [previousPanel=null] - The panel for the step before, for the tween.
+ * @param {number} [progress=1] - Tween progress (1 = finished).
+ */
+function drawBookkeepingPanel(panel, y, previousPanel = null, progress = 1) {
+    // Draw the title
+    ctx.fillStyle = "#facc15";
+    ctx.font = "14px Arial";
+    ctx.textAlign = "center";
+    ctx.fillText(panel.title, canvas.width / 2, y);
+
+    const boxY = y + 8;
+    const layout = layoutPanel(panel.items.length);
+    if (!previousPanel || progress >= 1) {
+        panel.items.forEach((item, index) => drawPanelItem(item, layout.xOf(index), boxY, layout.boxWidth));
+        return;
+    }
+
+    // Items are matched between the two panels by their label (or value, when unlabelled)
+    const oldLayout = layoutPanel(previousPanel.items.length);
+    const oldIndexOf = new Map(previousPanel.items.map((item, index) => [panelItemKey(item), index]));
+    const newKeys = new Set(panel.items.map(panelItemKey));
+    const eased = easeInOut(progress);
+
+    // Items that are gone fade out where they were
+    previousPanel.items.forEach((item, index) => {
+        if (newKeys.has(panelItemKey(item))) return;
+        ctx.globalAlpha = 1 - eased;
+        drawPanelItem(item, oldLayout.xOf(index), boxY, oldLayout.boxWidth);
+    });
+
+    panel.items.forEach((item, index) => {
+        const oldIndex = oldIndexOf.get(panelItemKey(item));
+        if (oldIndex === undefined) {
+            // A new item drops into place
+            ctx.globalAlpha = eased;
+            drawPanelItem(item, layout.xOf(index), boxY - (1 - eased) * 16, layout.boxWidth);
+        } else {
+            // A known item glides to its new position; its value changes half-way
+            ctx.globalAlpha = 1;
+            const x = oldLayout.xOf(oldIndex) + (layout.xOf(index) - oldLayout.xOf(oldIndex)) * eased;
+            const width = oldLayout.boxWidth + (layout.boxWidth - oldLayout.boxWidth) * eased;
+            drawPanelItem(progress < 0.5 ? previousPanel.items[oldIndex] : item, x, boxY, width);
+        }
+    });
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * Sizes the panel's boxes so that the whole row fits on the canvas.
+ * @param {number} count - The number of items.
+ * @returns {object} {boxWidth, xOf(index)}.
+ */
+function layoutPanel(count) {
+    const gap = 8;
+    const boxWidth = Math.min(56, (canvas.width - 50) / Math.max(1, count) - gap);
+    const totalWidth = count * (boxWidth + gap) - gap;
+    const startX = (canvas.width - totalWidth) / 2;
+    return { boxWidth, xOf: (index) => startX + index * (boxWidth + gap) };
+}
+
+function panelItemKey(item) {
+    return item.label || String(item.value);
+}
+
+/**
+ * Draws one bookkeeping box with its value and optional label.
+ */
+function drawPanelItem(item, x, boxY, boxWidth) {
+    const boxHeight = 24;
+
+    ctx.strokeStyle = "#00ccff88";
+    ctx.lineWidth = 1;
+    ctx.fillStyle = "#1e2b3b";
+    ctx.beginPath();
+    ctx.roundRect(x, boxY, boxWidth, boxHeight, 4);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = "#ffffff";
+    ctx.font = "13px Arial";
+    ctx.textAlign = "center";
+    ctx.fillText(item.value, x + boxWidth / 2, boxY + boxHeight / 2 + 5);
+
+    if (item.label) {
+        ctx.fillStyle = "#bbbbbb";
+        ctx.font = "11px Arial";
+        ctx.fillText(item.label, x + boxWidth / 2, boxY + boxHeight + 13);
+    }
 }
 
 /**
@@ -290,8 +1245,9 @@ function drawFrame() {
  * @param {number} oldPage - The page number that was evicted.
  * @param {number} newPage - The new page number that replaced it.
  * @param {number} y - The y-coordinate to draw at.
+ * @param {boolean} writeBack - Whether the old page was dirty and had to be written back.
  */
-function drawEvictionGraphic(oldPage, newPage, y) {
+function drawEvictionGraphic(oldPage, newPage, y, writeBack) {
     const boxSize = 40;
     const arrowPadding = 20;
     const arrowLength = 30;
@@ -303,7 +1259,7 @@ function drawEvictionGraphic(oldPage, newPage, y) {
     const arrowX = oldBoxX + boxSize + arrowPadding;
     
     // Draw "Old Page" box
-    ctx.strokeStyle = "#ff5f5f"; // Red
+    ctx.strokeStyle = writeBack ? "#fb923c" : "#ff5f5f"; // Orange if written back, otherwise red
     ctx.lineWidth = 2;
     ctx.fillStyle = "#1e2b3b";
     ctx.beginPath();
@@ -335,7 +1291,7 @@ function drawEvictionGraphic(oldPage, newPage, y) {
     ctx.fillStyle = "#facc15";
     ctx.font = "14px Arial";
     ctx.textAlign = "center";
-    ctx.fillText("Evicted", oldBoxX + boxSize / 2, y - 5);
+    ctx.fillText(writeBack ? "Written Back" : "Evicted", oldBoxX + boxSize / 2, y - 5);
     ctx.fillText("Added", newBoxX + boxSize / 2, y - 5);
 }
 
@@ -370,14 +1326,122 @@ function updateStats(state) {
     document.getElementById("page-hits").textContent = `Page Hits: ${state.hits}`;
 
     // Only show final ratios at the very last step
-    if (currentStep === simulationData.steps.length - 1) {
-        document.getElementById("miss-ratio").textContent = `Miss Ratio: ${simulationData.missRatio}%`;
-        document.getElementById("hit-ratio").textContent = `Hit Ratio: ${simulationData.hitRatio}%`;
+    if (currentStep === getStepCount(simulationData) - 1) {
+        document.getElementById("miss-ratio").textContent = `Miss Ratio: ${simulationData.missRatio.toFixed(2)}%`;
+        document.getElementById("hit-ratio").textContent = `Hit Ratio: ${simulationData.hitRatio.toFixed(2)}%`;
     } else {
         // Show N/A during simulation as ratios are misleading mid-run
         document.getElementById("miss-ratio").textContent = `Miss Ratio: N/A`;
         document.getElementById("hit-ratio").textContent = `Hit Ratio: N/A`;
     }
+
+    // Write-backs and the access time estimate are running totals
+    document.getElementById("write-backs").textContent = `Write-Backs: ${state.writeBacks}`;
+    document.getElementById("access-time").textContent = currentStep === 0 ?
+        `Effective Access Time: N/A` :
+        `Effective Access Time: ${formatDuration(getAccessTime(simulationData, state))}`;
+
+    const translation = simulationData.translation;
+    const tlbHitRate = document.getElementById("tlb-hit-rate");
+    tlbHitRate.hidden = !translation;
+    if (translation) {
+        tlbHitRate.textContent = currentStep === 0 ? `TLB Hit Rate: N/A` :
+            `TLB Hit Rate: ${((translation.tlbHitTotals[currentStep] / currentStep) * 100).toFixed(2)}% ` +
+            `(${translation.tlbHitTotals[currentStep]} of ${currentStep})`;
+    }
+
+    if (simulationData.processes) {
+        updateProcessTable(state);
+    }
+}
+
+/**
+ * Rebuilds the per-process table of a multi-process run: the frames each
+ * process holds at this step (out of its allocation under local replacement)
+ * and its faults and hits so far.
+ * @param {object} state - The current simulation step object.
+ */
+function updateProcessTable(state) {
+    const processes = simulationData.processes;
+    const body = document.getElementById("process-body");
+    body.replaceChildren();
+    processes.forEach((process, index) => {
+        const held = state.frames.filter(page => page !== -1 && getProcessName(page) === process.name).length;
+        const faults = state.processFaults[index];
+        const references = faults + state.processHits[index];
+
+        const row = body.insertRow();
+        const swatch = document.createElement('span');
+        swatch.className = 'process-swatch';
+        swatch.style.background = getProcessColor(`${process.name}:`, processes);
+        row.insertCell().append(swatch, process.name);
+        row.insertCell().textContent = process.quota === null ? held : `${held} / ${process.quota}`;
+        row.insertCell().textContent = faults;
+        row.insertCell().textContent = state.processHits[index];
+        row.insertCell().textContent = references === 0 ? 'N/A' : `${((faults / references) * 100).toFixed(2)}%`;
+    });
+    document.getElementById("process-table").style.display = 'table';
+}
+
+/**
+ * Estimates the effective access time over the references processed up to a step
+ * (including the TLB lookups and page table reads when addresses are translated).
+ * @param {object} data - A simulation data object.
+ * @param {object} state - One of its steps.
+ * @returns {number} Nanoseconds per reference.
+ */
+function getAccessTime(data, state) {
+    const requests = state.faults + state.hits;
+    if (data.translation) {
+        return computeTranslatedAccessTime(requests, data.translation.tlbHitTotals[requests], state.faults,
+            state.writeBacks, data.translation.latencies);
+    }
+    return computeEffectiveAccessTime(requests, state.faults, state.writeBacks, data.latencies);
+}
+
+/**
+ * Formats a duration in nanoseconds with a readable unit (ns, µs or ms).
+ * @param {number} nanoseconds - The duration.
+ * @returns {string} E.g. "120 ns", "4.52 µs" or "2.67 ms".
+ */
+function formatDuration(nanoseconds) {
+    if (nanoseconds < 1000) return `${nanoseconds.toFixed(0)} ns`;
+    if (nanoseconds < 1000000) return `${(nanoseconds / 1000).toFixed(2)} µs`;
+    return `${(nanoseconds / 1000000).toFixed(2)} ms`;
+}
+
+/**
+ * Rebuilds the comparison table: one row per policy with live counts,
+ * and final ratios once the last step is reached.
+ */
+function updateComparisonTable() {
+    const atEnd = currentStep === getStepCount(simulationData) - 1;
+    const fewestFaults = Math.min(...lanes.map(data => data.pageFaults));
+
+    const rows = lanes.map((data) => {
+        const state = getStep(data, currentStep);
+        const row = document.createElement('tr');
+        const cells = [
+            getPolicy(data.policy).name,
+            state.faults,
+            state.hits,
+            atEnd ? `${data.missRatio.toFixed(2)}%` : 'N/A',
+            atEnd ? `${data.hitRatio.toFixed(2)}%` : 'N/A',
+            state.writeBacks,
+            currentStep === 0 ? 'N/A' : formatDuration(getAccessTime(data, state))
+        ];
+        cells.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        // At the end, highlight the policy (or policies) with the fewest faults
+        if (atEnd && data.pageFaults === fewestFaults) {
+            row.classList.add('best-policy');
+        }
+        return row;
+    });
+    document.getElementById("comparison-body").replaceChildren(...rows);
 }
 
 /**
@@ -385,7 +1449,158 @@ function updateStats(state) {
  */
 function updateTimeline() {
     document.getElementById("timeline-slider").value = currentStep;
-    document.getElementById("timeline-label").textContent = `Step: ${currentStep}`;
+    const marker = currentStep === divergenceStep ? ' (first divergence)' : '';
+    document.getElementById("timeline-label").textContent = `Step: ${currentStep}${marker}`;
+}
+
+// --- Screen Reader Support ---
+
+/**
+ * Puts the current step into words for screen readers: the live region announces
+ * what just happened, and the canvas's description lists what every frame holds.
+ */
+function updateScreenReaderText() {
+    const announcement = lanes.map(data => {
+        let outcome = describeStepOutcome(getStep(data, currentStep));
+        if (data.translation && currentStep > 0) {
+            outcome += data.translation.tlbHits[currentStep] ? ", TLB hit" : ", TLB miss";
+        }
+        return lanes.length > 1 ? `${getPolicy(data.policy).name}: ${outcome}` : outcome;
+    });
+    document.getElementById("step-announcer").textContent = `Step ${currentStep}: ${announcement.join('. ')}.`;
+
+    const frameStates = lanes.map(data => describeFrameState(data, getStep(data, currentStep)));
+    document.getElementById("frame-state-text").textContent =
+        `Step ${currentStep} of ${getStepCount(simulationData) - 1}. ${frameStates.join(' ')}`;
+}
+
+/**
+ * Describes what a step did, e.g. "Fault on page 4, evicted page 2".
+ * @param {object} state - A simulation step object.
+ * @returns {string} The description.
+ */
+function describeStepOutcome(state) {
+    const access = state.write ? " (write)" : "";
+    switch (state.action) {
+        case 'hit':
+            return `Hit on page ${state.page}${access} in frame ${state.frameIndex}`;
+        case 'cold-fill':
+            return `Fault on page ${state.page}${access}, loaded into empty frame ${state.frameIndex}`;
+        case 'eviction':
+            return `Fault on page ${state.page}${access}, evicted page ${state.evictedPage}` +
+                (state.writeBack ? " and wrote it back" : "");
+        default:
+            return "Initial state, all frames empty";
+    }
+}
+
+/**
+ * Lists what every frame holds, as a text alternative to the canvas.
+ * @param {object} data - The simulation data object.
+ * @param {object} state - The step on screen.
+ * @returns {string} E.g. "LRU: frame 0 holds page 7, frame 1 is empty. 1 fault and 0 hits so far."
+ */
+function describeFrameState(data, state) {
+    const frames = state.frames.map((page, index) => {
+        if (page === -1) return `frame ${index} is empty`;
+        return `frame ${index} holds page ${page}${state.dirtyBits[index] ? " (modified)" : ""}`;
+    });
+    const faults = `${state.faults} fault${state.faults === 1 ? "" : "s"}`;
+    const hits = `${state.hits} hit${state.hits === 1 ? "" : "s"}`;
+    return `${getPolicy(data.policy).name}: ${frames.join(", ")}. ${faults} and ${hits} so far.`;
+}
+
+// --- Recording ---
+
+// Height of one line of the stats bar under recorded frames
+const RECORDING_STATS_LINE = 22;
+
+/**
+ * The timing of playback at the current speed, which recordings copy.
+ * @returns {object} {delay, transition}: the time between steps and how much
+ *   of it a step's tween takes, both in milliseconds.
+ */
+export function getStepTiming() {
+    return { delay: animationSpeed, transition: animationSpeed * TRANSITION_SHARE };
+}
+
+/**
+ * Returns the size of the canvas's drawing surface.
+ * @returns {object} {width, height} in pixels (0 × 0 before a simulation is shown).
+ */
+export function getCanvasSize() {
+    return canvas ? { width: canvas.width, height: canvas.height } : { width: 0, height: 0 };
+}
+
+/**
+ * Draws one step of the simulation on screen onto another canvas, for a
+ * recording (see recording.js): the same picture as on screen, laid out for
+ * that canvas's size, on the page's background (videos have no transparency).
+ * The view on screen is left as it is.
+ * @param {CanvasRenderingContext2D} target - The context to draw on; its canvas's size is used.
+ * @param {number} stepIndex - The step to draw.
+ * @param {number} progress - How far the change into this step has got (0 to 1; 1 = finished).
+ * @param {boolean} withStats - Whether to add a bar with the step and the running totals at the bottom.
+ */
+export function drawRecordingFrame(target, stepIndex, progress, withStats) {
+    if (!simulationData) return;
+    const { width, height } = target.canvas;
+    const statsLines = withStats ? getRecordingStats(stepIndex) : [];
+    const statsHeight = statsLines.length > 0 ? statsLines.length * RECORDING_STATS_LINE + 10 : 0;
+
+    // The drawing code only reads the canvas's size, so it can draw onto the target for a moment
+    const onScreen = { canvas, ctx, frameHitAreas };
+    canvas = { width, height: height - statsHeight };
+    ctx = target;
+    try {
+        renderCanvas(stepIndex, progress);
+    } finally {
+        ({ canvas, ctx, frameHitAreas } = onScreen);
+    }
+
+    // The background goes behind what was drawn, matching #animation-canvas in style.css
+    target.save();
+    target.globalCompositeOperation = 'destination-over';
+    const background = target.createRadialGradient(0, 0, 0, 0, 0, Math.hypot(width, height));
+    background.addColorStop(0, "#14161b");
+    background.addColorStop(1, "#0d0f12");
+    target.fillStyle = background;
+    target.fillRect(0, 0, width, height);
+    target.restore();
+
+    if (statsHeight > 0) {
+        const top = height - statsHeight;
+        target.fillStyle = "#15171b";
+        target.fillRect(0, top, width, statsHeight);
+        target.strokeStyle = "#00c3ff33";
+        target.lineWidth = 1;
+        target.beginPath();
+        target.moveTo(0, top + 0.5);
+        target.lineTo(width, top + 0.5);
+        target.stroke();
+        target.font = "14px Arial";
+        target.textAlign = "left";
+        target.fillStyle = "#d6d6d6";
+        statsLines.forEach((line, i) => target.fillText(line, 12, top + 20 + i * RECORDING_STATS_LINE));
+    }
+}
+
+/**
+ * The lines of a recording's stats bar: the step, then the running totals of
+ * every lane (one in single mode).
+ * @param {number} stepIndex - The step being drawn.
+ * @returns {string[]} The lines of text.
+ */
+function getRecordingStats(stepIndex) {
+    const lines = [`Step ${stepIndex} of ${getStepCount(simulationData) - 1}`];
+    for (const data of lanes) {
+        const state = getStep(data, stepIndex);
+        // Ratios are over the references so far, unlike the final ones in the stats box
+        const hitRatio = stepIndex === 0 ? "N/A" : `${((state.hits / stepIndex) * 100).toFixed(1)}%`;
+        lines.push(`${getPolicy(data.policy).name}: Page Faults: ${state.faults}   Page Hits: ${state.hits}   ` +
+            `Hit Ratio: ${hitRatio}   Write-Backs: ${state.writeBacks}`);
+    }
+    return lines;
 }
 
 /**
@@ -394,36 +1609,34 @@ function updateTimeline() {
 export function exportScreenshot() {
     if (!canvas) return; // Don't export if canvas isn't ready
     const link = document.createElement('a');
-    link.download = 'lru-algorithm-snapshot.png';
+    let policyId = simulationData ? simulationData.policy : 'page-replacement';
+    if (lanes.length > 1) policyId = 'comparison';
+    link.download = `${policyId}-algorithm-snapshot.png`;
     link.href = canvas.toDataURL(); // Convert canvas to Base64 image data
     link.click(); // Programmatically click the link to trigger download
 }
 
 /**
- * Exports the entire simulation trace (all steps) as a TXT file.
+ * Exports the entire simulation trace (all steps, every lane in comparison mode)
+ * in one of the formats from trace-export.js.
+ * @param {string} [formatId='txt'] - A key of EXPORT_FORMATS.
+ * @returns {string|null} Why the trace was not exported (it is too long), or null.
  */
-export function exportTrace() {
-    if (!simulationData) return;
-
-    let traceContent = "LRU Algorithm Execution Trace\n===================================\n";
+export function exportTrace(formatId = 'txt') {
+    if (!simulationData) return null;
+    const format = EXPORT_FORMATS[formatId];
+    const problem = checkExportSize(lanes);
+    if (problem) return problem;
 
-    // Build a string by looping through every step
-    simulationData.steps.forEach((step, index) => {
-        traceContent += `Step ${index}:\n`;
-        traceContent += `  - Referencing Page: ${step.page === null ? 'N/A' : step.page}\n`;
-        traceContent += `  - Result: ${index === 0 ? 'Initial State' : (step.fault ? `Page Fault (Evicted ${step.evictedPage})` : 'Page Hit')}\n`;
-        traceContent += `  - Frames: [${step.frames.join(', ')}]\n`; // Show frame contents
-        traceContent += `  - Recency (LRU -> MRU): [${step.recency.join(', ')}]\n\n`;
-    });
-
-    // Create a "Blob" (Binary Large Object) from the text string
-    const blob = new Blob([traceContent], { type: 'text/plain' });
+    // Create a "Blob" (Binary Large Object) from the file contents
+    const blob = new Blob([format.build(lanes)], { type: format.mimeType });
 
     // Create a temporary link to download the blob
     const link = document.createElement('a');
-    link.download = 'lru-algorithm-trace.txt';
+    const name = lanes.length > 1 ? 'comparison' : `${simulationData.policy}-algorithm`;
+    link.download = `${name}-trace.${format.extension}`;
     link.href = URL.createObjectURL(blob);
     link.click();
     URL.revokeObjectURL(link.href); // Clean up the temporary URL
+    return null;
 }
-
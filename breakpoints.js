@@ -0,0 +1,135 @@
+/**
+ * breakpoints.js
+ * * Breakpoints that pause playback when the simulation reaches a condition:
+ * a fault on a given page, the eviction of a given page, the Nth fault, a run
+ * of consecutive faults, or the hit ratio dropping below a threshold.
+ * A finished simulation is walked through once to find every step where a
+ * breakpoint fires; animation.js pauses on those steps and main.js marks them
+ * on the timeline.
+ * This file does not interact with the DOM.
+ */
+
+import { getStepCount, getOutcome } from './step-store.js';
+
+/**
+ * Every kind of breakpoint, keyed by id (used for the breakpoint dropdown).
+ * - name: Label shown in the dropdown.
+ * - parameter: {label, type} of the value the breakpoint needs. 'type' is
+ *   'page' (any page as written in the reference string), 'count' (a whole
+ *   number of 1 or more) or 'percent' (0 to 100).
+ * - describe(value): The breakpoint in words, for the list and pause messages.
+ * - create(value): Returns a matcher, outcome => boolean, that is called once per
+ *   step in order ({page, fault, frameIndex, evictedPage}, as from getOutcome) and
+ *   says whether the breakpoint fires there. A matcher may keep running totals,
+ *   so every walk through a run creates fresh ones.
+ */
+export const BREAKPOINT_KINDS = {
+    'fault-on-page': {
+        name: 'Fault on page',
+        parameter: { label: 'Page', type: 'page' },
+        describe: (value) => `fault on page ${value}`,
+        create: (value) => (outcome) => outcome.fault && String(outcome.page) === value
+    },
+    'evict-page': {
+        name: 'Eviction of page',
+        parameter: { label: 'Page', type: 'page' },
+        describe: (value) => `page ${value} evicted`,
+        create: (value) => (outcome) => outcome.evictedPage !== null && String(outcome.evictedPage) === value
+    },
+    'nth-fault': {
+        name: 'Nth fault',
+        parameter: { label: 'Fault number', type: 'count' },
+        describe: (value) => `fault number ${value}`,
+        create: (value) => {
+            let faults = 0;
+            return (outcome) => outcome.fault && ++faults === value;
+        }
+    },
+    'consecutive-faults': {
+        name: 'Consecutive faults',
+        parameter: { label: 'Faults in a row', type: 'count' },
+        describe: (value) => `${value} faults in a row`,
+        create: (value) => {
+            let run = 0;
+            // Fires once per run, on the step that makes it 'value' long
+            return (outcome) => {
+                run = outcome.fault ? run + 1 : 0;
+                return run === value;
+            };
+        }
+    },
+    'hit-ratio-below': {
+        name: 'Hit ratio drops below',
+        parameter: { label: 'Hit ratio (%)', type: 'percent' },
+        describe: (value) => `hit ratio below ${value}%`,
+        create: (value) => {
+            let requests = 0;
+            let hits = 0;
+            // The ratio is 0 until the first hit (the frames are still filling up), so
+            // the breakpoint is armed at the first hit and fires when the ratio drops
+            // from at or above the threshold to below it
+            let armed = false;
+            let below = false;
+            return (outcome) => {
+                requests++;
+                if (!outcome.fault) hits++;
+                const wasBelow = below;
+                below = (hits / requests) * 100 < value;
+                if (!armed) {
+                    armed = !outcome.fault;
+                    return false;
+                }
+                return below && !wasBelow;
+            };
+        }
+    }
+};
+
+/**
+ * Writes a breakpoint out in words, e.g. "fault on page 3".
+ * @param {object} breakpoint - {kind, value}: a key of BREAKPOINT_KINDS and its value.
+ * @returns {string} The breakpoint in words.
+ */
+export function describeBreakpoint(breakpoint) {
+    return BREAKPOINT_KINDS[breakpoint.kind].describe(breakpoint.value);
+}
+
+/**
+ * Finds every step where at least one breakpoint fires.
+ * @param {object} data - A simulation data object (from runPolicy or recordSimulation).
+ * @param {object[]} breakpoints - {kind, value} per breakpoint. Page values are
+ *   strings; count and percent values are numbers.
+ * @returns {object[]} {step, breakpoints} per step where something fires, in step
+ *   order; 'breakpoints' holds the indexes (into 'breakpoints') of those that fire.
+ */
+export function findBreakpointSteps(data, breakpoints) {
+    const matchers = breakpoints.map(breakpoint => BREAKPOINT_KINDS[breakpoint.kind].create(breakpoint.value));
+    const matches = [];
+    if (matchers.length === 0) return matches;
+
+    const count = getStepCount(data);
+    for (let step = 1; step < count; step++) {
+        const outcome = getOutcome(data, step);
+        // Every matcher sees every step, so their running totals stay right
+        const fired = [];
+        matchers.forEach((matcher, index) => {
+            if (matcher(outcome)) fired.push(index);
+        });
+        if (fired.length > 0) matches.push({ step, breakpoints: fired });
+    }
+    return matches;
+}
+
+/**
+ * Finds the next page fault after a step.
+ * @param {object} data - A simulation data object.
+ * @param {number} fromStep - The step to search after.
+ * @returns {number} The step index of the next fault, or -1 if there is none.
+ */
+export function findNextFault(data, fromStep) {
+    const count = getStepCount(data);
+    for (let step = fromStep + 1; step < count; step++) {
+        if (getOutcome(data, step).fault) return step;
+    }
+    return -1;
+}
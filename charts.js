@@ -0,0 +1,732 @@
+/**
+ * charts.js
+ * * Draws the analysis charts (faults vs. frame count, the working set over time, ...)
+ * onto their own canvases.
+ * It does not run any simulations itself. Clicks on the charts are reported
+ * back through callbacks so that main.js decides what happens next.
+ */
+
+// One colour per plotted series, reused in order
+const SERIES_COLORS = ["#00ccff", "#7cf57c", "#facc15", "#ff5f5f", "#c084fc", "#fb923c", "#f472b6", "#94a3b8"];
+
+// --- Module-Level Variables ---
+let curveCanvas, curveCtx; // The fault-curve canvas and its 2D context
+let curveData = null; // The curves from analysis.js that are currently plotted
+let curveNames = {}; // Display name for each policy id
+let curvePoints = []; // Screen position of every plotted point, used for click hit-testing
+let onCurvePointClick = null; // Callback for clicks on a point
+let workingSetCanvas, workingSetCtx; // The working-set chart's canvas and its 2D context
+let workingSetData = null; // The series currently plotted on it (see drawWorkingSet)
+let workingSetColumns = null; // The series reduced to one value per pixel column, kept between redraws
+let workingSetStep = 0; // The step the cursor is on
+let onWorkingSetScrub = null; // Callback for clicks and drags on the working-set chart
+let distanceCanvas, distanceCtx; // The stack-distance histogram's canvas and its 2D context
+let hitRatioCanvas, hitRatioCtx; // The LRU hit-ratio chart's canvas and its 2D context
+let stackDistanceData = null; // {analysis, frameCount} currently plotted (see drawStackDistances)
+let resizeTimeout; // Timer for debouncing the resize event
+
+/**
+ * Plots faults against frame count for every policy, and marks each point
+ * where Belady's anomaly occurs.
+ * @param {object[]} curves - The result of computeFaultCurves in analysis.js.
+ * @param {object} names - Maps each policy id to the name shown in the legend.
+ * @param {function} onPointClick - Called with (policyId, frameCount) when a point is clicked.
+ */
+export function drawFaultCurves(curves, names, onPointClick) {
+    // Get the canvas element once and hook up its listeners
+    if (!curveCanvas) {
+        curveCanvas = document.getElementById("fault-curve-canvas");
+        curveCtx = curveCanvas.getContext("2d");
+        curveCanvas.addEventListener('click', handleCurveClick);
+        curveCanvas.addEventListener('mousemove', handleCurveHover);
+        window.addEventListener('resize', handleResize);
+    }
+
+    curveData = curves;
+    curveNames = names;
+    onCurvePointClick = onPointClick;
+    renderFaultCurves();
+}
+
+/**
+ * Draws the axes, one polyline per policy, the anomaly markers and the legend.
+ */
+function renderFaultCurves() {
+    const canvas = curveCanvas;
+    const ctx = curveCtx;
+
+    // Match the internal bitmap size to the CSS size to keep lines sharp
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    curvePoints = [];
+
+    if (!curveData || curveData.length === 0) return;
+
+    // --- Chart Area ---
+    const left = 50;
+    const right = canvas.width - 20;
+    const top = 50; // Room for the legend
+    const bottom = canvas.height - 40;
+    const maxFrames = curveData[0].faults.length;
+    const maxFaults = Math.max(1, ...curveData.flatMap(curve => curve.faults));
+
+    // Convert a (frames, faults) pair into canvas coordinates
+    const toX = (frames) => left + (maxFrames === 1 ? 0.5 : (frames - 1) / (maxFrames - 1)) * (right - left);
+    const toY = (faults) => bottom - (faults / maxFaults) * (bottom - top);
+
+    // --- Axes and Grid ---
+    ctx.strokeStyle = "#00c3ff33";
+    ctx.lineWidth = 1;
+    ctx.fillStyle = "#bbbbbb";
+    ctx.font = "12px Arial";
+
+    // Horizontal grid lines with fault labels
+    ctx.textAlign = "right";
+    const yTicks = Math.min(5, maxFaults);
+    for (let i = 0; i <= yTicks; i++) {
+        const faults = Math.round((maxFaults / yTicks) * i);
+        const y = toY(faults);
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(right, y);
+        ctx.stroke();
+        ctx.fillText(faults, left - 8, y + 4);
+    }
+
+    // Frame count labels along the bottom
+    ctx.textAlign = "center";
+    for (let frames = 1; frames <= maxFrames; frames++) {
+        ctx.fillText(frames, toX(frames), bottom + 18);
+    }
+    ctx.fillText("Frames", (left + right) / 2, bottom + 34);
+    ctx.save();
+    ctx.translate(14, (top + bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText("Page Faults", 0, 0);
+    ctx.restore();
+
+    // --- One Line per Policy ---
+    curveData.forEach((curve, seriesIndex) => {
+        const color = SERIES_COLORS[seriesIndex % SERIES_COLORS.length];
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        curve.faults.forEach((faults, i) => {
+            const x = toX(i + 1);
+            const y = toY(faults);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+
+        // Points (remembered for click hit-testing)
+        ctx.fillStyle = color;
+        curve.faults.forEach((faults, i) => {
+            const x = toX(i + 1);
+            const y = toY(faults);
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            curvePoints.push({ x, y, policy: curve.policy, frames: i + 1 });
+        });
+
+        // Belady's anomaly markers: a red ring around the offending point
+        curve.anomalies.forEach(anomaly => {
+            const x = toX(anomaly.frames);
+            const y = toY(anomaly.faults);
+            ctx.strokeStyle = "#ff5f5f";
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, 9, 0, 2 * Math.PI);
+            ctx.stroke();
+            ctx.fillStyle = "#ff5f5f";
+            ctx.font = "11px Arial";
+            ctx.textAlign = "center";
+            ctx.fillText("Belady", x, y - 13);
+        });
+    });
+
+    // --- Legend ---
+    ctx.font = "12px Arial";
+    ctx.textAlign = "left";
+    let legendX = left;
+    let legendY = 18;
+    curveData.forEach((curve, seriesIndex) => {
+        const label = curveNames[curve.policy] || curve.policy;
+        const width = ctx.measureText(label).width + 30;
+        if (legendX + width > right) { // Wrap onto a second row
+            legendX = left;
+            legendY += 18;
+        }
+        ctx.fillStyle = SERIES_COLORS[seriesIndex % SERIES_COLORS.length];
+        ctx.fillRect(legendX, legendY - 9, 12, 12);
+        ctx.fillStyle = "#e0e0e0";
+        ctx.fillText(label, legendX + 16, legendY + 1);
+        legendX += width;
+    });
+}
+
+/**
+ * Finds the plotted point closest to a mouse event, if one is near enough.
+ * @param {MouseEvent} e - The mouse event on the chart canvas.
+ * @returns {object|null} The matching point {x, y, policy, frames}, or null.
+ */
+function findPointAt(e) {
+    const rect = curveCanvas.getBoundingClientRect();
+    // Convert from CSS pixels to canvas pixels
+    const x = (e.clientX - rect.left) * (curveCanvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (curveCanvas.height / rect.height);
+
+    let closest = null;
+    let closestDistance = 10; // Only count clicks within 10px of a point
+    for (const point of curvePoints) {
+        const distance = Math.hypot(point.x - x, point.y - y);
+        if (distance <= closestDistance) {
+            closest = point;
+            closestDistance = distance;
+        }
+    }
+    return closest;
+}
+
+/**
+ * Reports a click on a point back to main.js.
+ */
+function handleCurveClick(e) {
+    const point = findPointAt(e);
+    if (point && onCurvePointClick) {
+        onCurvePointClick(point.policy, point.frames);
+    }
+}
+
+/**
+ * Shows a pointer cursor while hovering over a clickable point.
+ */
+function handleCurveHover(e) {
+    curveCanvas.style.cursor = findPointAt(e) ? 'pointer' : 'default';
+}
+
+// --- Working Set Over Time ---
+
+// Plot area margins of the working-set chart (the top leaves room for the legend)
+const WS_MARGIN = { left: 50, right: 20, top: 40, bottom: 40 };
+
+/**
+ * Plots the working-set size and a variable-allocation policy's frames against
+ * time, with a tick under every fault and a cursor on the step on screen.
+ * Long runs are reduced to one value per pixel column (the largest in it), so
+ * short spikes stay visible.
+ * @param {object} series - {sizes, frames, faultTotals, windowSize, policyName}:
+ *   'sizes' from computeWorkingSetSizes and the rest from runAllocationPolicy
+ *   in working-set.js, all indexed by step.
+ * @param {function} onScrub - Called with a step index when the chart is clicked or dragged.
+ */
+export function drawWorkingSet(series, onScrub) {
+    // Get the canvas element once and hook up its listeners
+    if (!workingSetCanvas) {
+        workingSetCanvas = document.getElementById("working-set-canvas");
+        workingSetCtx = workingSetCanvas.getContext("2d");
+        workingSetCanvas.addEventListener('mousedown', handleWorkingSetScrub);
+        workingSetCanvas.addEventListener('mousemove', (e) => {
+            if (e.buttons === 1) handleWorkingSetScrub(e);
+        });
+        window.addEventListener('resize', handleResize);
+    }
+
+    workingSetData = series;
+    workingSetColumns = null;
+    workingSetStep = 0;
+    onWorkingSetScrub = onScrub;
+    renderWorkingSet();
+}
+
+/**
+ * Moves the chart's cursor. Called by main.js whenever the animation moves to another step.
+ * @param {number} step - The step index.
+ */
+export function setWorkingSetStep(step) {
+    workingSetStep = step;
+    if (workingSetData) renderWorkingSet();
+}
+
+/**
+ * Draws the axes, the two series, the fault ticks, the cursor and the legend.
+ */
+function renderWorkingSet() {
+    const canvas = workingSetCanvas;
+    const ctx = workingSetCtx;
+
+    // Match the internal bitmap size to the CSS size to keep lines sharp
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (canvas.width === 0) return; // Hidden
+
+    // --- Chart Area ---
+    const left = WS_MARGIN.left;
+    const right = canvas.width - WS_MARGIN.right;
+    const top = WS_MARGIN.top;
+    const bottom = canvas.height - WS_MARGIN.bottom;
+    const lastStep = workingSetData.sizes.length - 1;
+    const columns = getWorkingSetColumns(right - left);
+    const maxFrames = Math.max(1, ...columns.sizes, ...columns.frames);
+
+    const toX = (step) => left + (lastStep === 0 ? 0 : step / lastStep) * (right - left);
+    const toY = (frames) => bottom - (frames / maxFrames) * (bottom - top);
+
+    // --- Axes and Grid ---
+    ctx.strokeStyle = "#00c3ff33";
+    ctx.lineWidth = 1;
+    ctx.fillStyle = "#bbbbbb";
+    ctx.font = "12px Arial";
+
+    // Horizontal grid lines with frame counts
+    ctx.textAlign = "right";
+    const yTicks = Math.min(5, maxFrames);
+    for (let i = 0; i <= yTicks; i++) {
+        const frames = Math.round((maxFrames / yTicks) * i);
+        const y = toY(frames);
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(right, y);
+        ctx.stroke();
+        ctx.fillText(frames, left - 8, y + 4);
+    }
+
+    // Step labels along the bottom, at round numbers
+    ctx.textAlign = "center";
+    const stepTick = niceStepTick(lastStep);
+    for (let step = 0; step <= lastStep; step += stepTick) {
+        ctx.fillText(step, toX(step), bottom + 18);
+    }
+    ctx.fillText("Step", (left + right) / 2, bottom + 34);
+    ctx.save();
+    ctx.translate(14, (top + bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText("Frames", 0, 0);
+    ctx.restore();
+
+    // --- Series ---
+    // Stepped lines, since both counts only change at a reference
+    const plot = (values, color) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        values.forEach((value, i) => {
+            const x = left + columns.xs[i];
+            const y = toY(value);
+            if (i === 0) ctx.moveTo(x, y);
+            else {
+                ctx.lineTo(x, toY(values[i - 1]));
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    };
+    plot(columns.frames, SERIES_COLORS[1]);
+    plot(columns.sizes, SERIES_COLORS[0]);
+
+    // A red tick under every column with a fault
+    ctx.strokeStyle = "#ff5f5f";
+    ctx.lineWidth = 1;
+    columns.faults.forEach((fault, i) => {
+        if (!fault) return;
+        const x = Math.round(left + columns.xs[i]) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(x, bottom - 6);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+    });
+
+    // --- Cursor on the step on screen ---
+    const cursorX = toX(Math.min(workingSetStep, lastStep));
+    ctx.strokeStyle = "#facc15";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(cursorX, top);
+    ctx.lineTo(cursorX, bottom);
+    ctx.stroke();
+
+    // --- Legend ---
+    const legend = [
+        { label: `|W(t, Δ=${workingSetData.windowSize})|`, color: SERIES_COLORS[0] },
+        { label: `${workingSetData.policyName} frames`, color: SERIES_COLORS[1] },
+        { label: "Fault", color: "#ff5f5f" }
+    ];
+    ctx.font = "12px Arial";
+    ctx.textAlign = "left";
+    let legendX = left;
+    for (const entry of legend) {
+        ctx.fillStyle = entry.color;
+        ctx.fillRect(legendX, 9, 12, 12);
+        ctx.fillStyle = "#e0e0e0";
+        ctx.fillText(entry.label, legendX + 16, 19);
+        legendX += ctx.measureText(entry.label).width + 30;
+    }
+}
+
+/**
+ * Reduces the plotted series to at most one point per pixel column, keeping
+ * the largest value in each column (and whether any of its steps faulted).
+ * The result is cached until the data or the width changes.
+ * @param {number} width - The plot area's width in pixels.
+ * @returns {object} {xs, sizes, frames, faults}: parallel arrays, one entry per point.
+ */
+function getWorkingSetColumns(width) {
+    if (workingSetColumns && workingSetColumns.width === width) return workingSetColumns;
+
+    const { sizes, frames, faultTotals } = workingSetData;
+    const lastStep = sizes.length - 1;
+    const count = Math.max(1, Math.min(lastStep + 1, Math.floor(width)));
+    const columns = { width, xs: [], sizes: [], frames: [], faults: [] };
+    for (let column = 0; column < count; column++) {
+        // The steps that fall into this column
+        const from = Math.floor((column * (lastStep + 1)) / count);
+        const to = Math.floor(((column + 1) * (lastStep + 1)) / count) - 1;
+        let size = 0;
+        let held = 0;
+        for (let step = from; step <= to; step++) {
+            size = Math.max(size, sizes[step]);
+            held = Math.max(held, frames[step]);
+        }
+        columns.xs.push(lastStep === 0 ? 0 : (from / lastStep) * width);
+        columns.sizes.push(size);
+        columns.frames.push(held);
+        columns.faults.push(faultTotals[to] > (from > 0 ? faultTotals[from - 1] : 0));
+    }
+    workingSetColumns = columns;
+    return columns;
+}
+
+/**
+ * Picks a round spacing (1, 2, 5, 10, 20, ...) for about six axis labels.
+ */
+function niceStepTick(lastStep) {
+    for (let scale = 1; ; scale *= 10) {
+        for (const base of [1, 2, 5]) {
+            if (lastStep / (base * scale) <= 6) return base * scale;
+        }
+    }
+}
+
+/**
+ * Reports the step under the mouse back to main.js.
+ */
+function handleWorkingSetScrub(e) {
+    if (!workingSetData || !onWorkingSetScrub) return;
+    const rect = workingSetCanvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (workingSetCanvas.width / rect.width);
+    const width = workingSetCanvas.width - WS_MARGIN.left - WS_MARGIN.right;
+    const lastStep = workingSetData.sizes.length - 1;
+    const fraction = Math.min(1, Math.max(0, (x - WS_MARGIN.left) / width));
+    onWorkingSetScrub(Math.round(fraction * lastStep));
+}
+
+// --- Stack Distances ---
+
+// Plot area margins of both stack-distance charts (the top leaves room for the legend)
+const SD_MARGIN = { left: 50, right: 20, top: 40, bottom: 40 };
+
+// Colours of the histogram's bars
+const HIT_COLOR = SERIES_COLORS[1];
+const MISS_COLOR = SERIES_COLORS[5];
+const COLD_COLOR = "#ff5f5f";
+
+/**
+ * Plots a stack-distance analysis on two charts: how many references have each
+ * stack distance (plus the first references, which miss with any number of
+ * frames), and LRU's hit ratio for every frame count. Both mark the frame count
+ * on screen, so the hit bars on the first chart add up to the marked point on
+ * the second.
+ * @param {object} analysis - The result of computeStackDistances in stack-distance.js.
+ * @param {number} frameCount - The frame count to mark.
+ */
+export function drawStackDistances(analysis, frameCount) {
+    // Get the canvas elements once
+    if (!distanceCanvas) {
+        distanceCanvas = document.getElementById("stack-distance-canvas");
+        distanceCtx = distanceCanvas.getContext("2d");
+        hitRatioCanvas = document.getElementById("lru-hit-ratio-canvas");
+        hitRatioCtx = hitRatioCanvas.getContext("2d");
+        window.addEventListener('resize', handleResize);
+    }
+
+    stackDistanceData = { analysis, frameCount };
+    renderDistanceHistogram();
+    renderHitRatioCurve();
+}
+
+/**
+ * Draws the histogram: one bar per distance (or per group of distances when
+ * there are more than fit), split into the references that hit with the
+ * marked frame count and those that miss, and a separate bar for first uses.
+ */
+function renderDistanceHistogram() {
+    const canvas = distanceCanvas;
+    const ctx = distanceCtx;
+
+    // Match the internal bitmap size to the CSS size to keep lines sharp
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (canvas.width === 0) return; // Hidden
+
+    const { analysis, frameCount } = stackDistanceData;
+    const { histogram, coldMisses } = analysis;
+    const maxDistance = histogram.length - 1;
+
+    // --- Chart Area ---
+    // The first-use bar sits apart at the right end
+    const left = SD_MARGIN.left;
+    const coldRight = canvas.width - SD_MARGIN.right;
+    const coldLeft = coldRight - 24;
+    const right = coldLeft - 16;
+    const top = SD_MARGIN.top;
+    const bottom = canvas.height - SD_MARGIN.bottom;
+
+    // Group the distances so that every bar is at least 4 pixels wide
+    const groupSize = Math.max(1, Math.ceil(maxDistance / Math.max(1, Math.floor((right - left) / 4))));
+    const groupCount = Math.ceil(maxDistance / groupSize);
+    const hits = new Array(groupCount).fill(0);
+    const misses = new Array(groupCount).fill(0);
+    for (let distance = 1; distance <= maxDistance; distance++) {
+        const group = Math.floor((distance - 1) / groupSize);
+        if (distance <= frameCount) hits[group] += histogram[distance];
+        else misses[group] += histogram[distance];
+    }
+    const maxCount = Math.max(1, coldMisses, ...hits.map((count, group) => count + misses[group]));
+    const barWidth = (right - left) / Math.max(1, groupCount);
+
+    // The left edge of a distance's bar, and the height of a count
+    const toX = (distance) => left + ((distance - 1) / groupSize) * barWidth;
+    const toY = (count) => bottom - (count / maxCount) * (bottom - top);
+
+    // --- Axes and Grid ---
+    ctx.strokeStyle = "#00c3ff33";
+    ctx.lineWidth = 1;
+    ctx.fillStyle = "#bbbbbb";
+    ctx.font = "12px Arial";
+
+    // Horizontal grid lines with reference counts
+    ctx.textAlign = "right";
+    const yTicks = Math.min(5, maxCount);
+    for (let i = 0; i <= yTicks; i++) {
+        const count = Math.round((maxCount / yTicks) * i);
+        const y = toY(count);
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(coldRight, y);
+        ctx.stroke();
+        ctx.fillText(count, left - 8, y + 4);
+    }
+
+    // Distance labels under the middle of their bars, at round numbers
+    ctx.textAlign = "center";
+    if (maxDistance > 0) {
+        const distanceTick = niceStepTick(maxDistance);
+        for (let distance = distanceTick; distance <= maxDistance; distance += distanceTick) {
+            ctx.fillText(distance, toX(distance + 0.5), bottom + 18);
+        }
+    }
+    ctx.fillText("First", (coldLeft + coldRight) / 2, bottom + 18);
+    ctx.fillText("Stack Distance", (left + right) / 2, bottom + 34);
+    ctx.save();
+    ctx.translate(14, (top + bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText("References", 0, 0);
+    ctx.restore();
+
+    // --- Bars ---
+    // A gap between bars while they are wide enough to spare one
+    const gap = barWidth >= 6 ? 1 : 0;
+    for (let group = 0; group < groupCount; group++) {
+        const x = left + group * barWidth;
+        const hitTop = toY(hits[group]);
+        ctx.fillStyle = HIT_COLOR;
+        ctx.fillRect(x, hitTop, barWidth - gap, bottom - hitTop);
+        ctx.fillStyle = MISS_COLOR;
+        ctx.fillRect(x, toY(hits[group] + misses[group]), barWidth - gap, hitTop - toY(hits[group] + misses[group]));
+    }
+    ctx.fillStyle = COLD_COLOR;
+    ctx.fillRect(coldLeft, toY(coldMisses), coldRight - coldLeft, bottom - toY(coldMisses));
+
+    // --- The Frame Count on Screen ---
+    // Everything left of the line hits with that many frames
+    if (frameCount < maxDistance) {
+        const x = Math.round(toX(frameCount + 1)) + 0.5;
+        ctx.strokeStyle = "#facc15";
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = "#facc15";
+        ctx.textAlign = "left";
+        ctx.fillText(`${frameCount} frames`, x + 4, top + 12);
+    }
+
+    // --- Legend ---
+    const legend = [
+        { label: `Hit with ${frameCount} frames`, color: HIT_COLOR },
+        { label: "Miss", color: MISS_COLOR },
+        { label: "First use (always a miss)", color: COLD_COLOR }
+    ];
+    drawLegend(ctx, legend, left);
+}
+
+/**
+ * Draws LRU's hit ratio against the frame count, with the ceiling set by the
+ * first uses and a marker on the frame count on screen.
+ */
+function renderHitRatioCurve() {
+    const canvas = hitRatioCanvas;
+    const ctx = hitRatioCtx;
+
+    // Match the internal bitmap size to the CSS size to keep lines sharp
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (canvas.width === 0) return; // Hidden
+
+    const { analysis, frameCount } = stackDistanceData;
+    const { hitRatios, distinctPages, references, coldMisses } = analysis;
+    // Past distinctPages every page fits, so the curve is flat from there on
+    const ratioAt = (frames) => hitRatios[Math.min(frames, distinctPages) - 1];
+
+    // --- Chart Area ---
+    const left = SD_MARGIN.left;
+    const right = canvas.width - SD_MARGIN.right;
+    const top = SD_MARGIN.top;
+    const bottom = canvas.height - SD_MARGIN.bottom;
+    const maxFrames = Math.max(2, distinctPages, frameCount);
+
+    const toX = (frames) => left + ((frames - 1) / (maxFrames - 1)) * (right - left);
+    const toY = (ratio) => bottom - (ratio / 100) * (bottom - top);
+
+    // --- Axes and Grid ---
+    ctx.strokeStyle = "#00c3ff33";
+    ctx.lineWidth = 1;
+    ctx.fillStyle = "#bbbbbb";
+    ctx.font = "12px Arial";
+
+    // Horizontal grid lines every 20%
+    ctx.textAlign = "right";
+    for (let ratio = 0; ratio <= 100; ratio += 20) {
+        const y = toY(ratio);
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(right, y);
+        ctx.stroke();
+        ctx.fillText(`${ratio}%`, left - 8, y + 4);
+    }
+
+    // Frame count labels along the bottom, at 1 and then at round numbers
+    ctx.textAlign = "center";
+    const frameTick = niceStepTick(maxFrames);
+    ctx.fillText(1, toX(1), bottom + 18);
+    for (let frames = frameTick; frames <= maxFrames; frames += frameTick) {
+        if (frames > 1) ctx.fillText(frames, toX(frames), bottom + 18);
+    }
+    ctx.fillText("Frames", (left + right) / 2, bottom + 34);
+    ctx.save();
+    ctx.translate(14, (top + bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText("LRU Hit Ratio", 0, 0);
+    ctx.restore();
+
+    // --- Ceiling ---
+    // First uses miss however many frames there are
+    const ceiling = ((references - coldMisses) / references) * 100;
+    ctx.strokeStyle = SERIES_COLORS[7];
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(left, toY(ceiling));
+    ctx.lineTo(right, toY(ceiling));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // --- Curve ---
+    // Hit ratios only grow with more frames, so skipping frame counts that share
+    // a pixel column loses nothing visible
+    const frameStep = Math.max(1, Math.floor(maxFrames / (right - left)));
+    ctx.strokeStyle = SERIES_COLORS[0];
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(toX(1), toY(ratioAt(1)));
+    for (let frames = 1 + frameStep; frames < maxFrames + frameStep; frames += frameStep) {
+        const clamped = Math.min(frames, maxFrames);
+        ctx.lineTo(toX(clamped), toY(ratioAt(clamped)));
+    }
+    ctx.stroke();
+
+    // Points while there is room for them
+    if (maxFrames <= 40) {
+        ctx.fillStyle = SERIES_COLORS[0];
+        for (let frames = 1; frames <= maxFrames; frames++) {
+            ctx.beginPath();
+            ctx.arc(toX(frames), toY(ratioAt(frames)), 3, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+
+    // --- The Frame Count on Screen ---
+    const markerX = toX(frameCount);
+    const markerY = toY(ratioAt(frameCount));
+    ctx.strokeStyle = "#facc15";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(markerX, markerY, 7, 0, 2 * Math.PI);
+    ctx.stroke();
+    ctx.fillStyle = "#facc15";
+    ctx.font = "11px Arial";
+    // Keep the label inside the chart near the right edge
+    ctx.textAlign = markerX > (left + right) / 2 ? "right" : "left";
+    const labelOffset = ctx.textAlign === "right" ? -10 : 10;
+    ctx.fillText(`${frameCount} frames: ${ratioAt(frameCount).toFixed(1)}%`, markerX + labelOffset, markerY + 18);
+
+    // --- Legend ---
+    const legend = [
+        { label: "LRU hit ratio", color: SERIES_COLORS[0] },
+        { label: "Frames on screen", color: "#facc15" },
+        { label: `Ceiling (${ceiling.toFixed(1)}%, first uses miss)`, color: SERIES_COLORS[7] }
+    ];
+    drawLegend(ctx, legend, left);
+}
+
+/**
+ * Draws a one-row legend of coloured squares along the top of a chart.
+ * @param {CanvasRenderingContext2D} ctx - The chart's context.
+ * @param {object[]} entries - {label, color} per entry.
+ * @param {number} left - Where the legend starts.
+ */
+function drawLegend(ctx, entries, left) {
+    ctx.font = "12px Arial";
+    ctx.textAlign = "left";
+    let legendX = left;
+    for (const entry of entries) {
+        ctx.fillStyle = entry.color;
+        ctx.fillRect(legendX, 9, 12, 12);
+        ctx.fillStyle = "#e0e0e0";
+        ctx.fillText(entry.label, legendX + 16, 19);
+        legendX += ctx.measureText(entry.label).width + 30;
+    }
+}
+
+/**
+ * Redraws the charts after the window stops resizing.
+ */
+function handleResize() {
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(() => {
+        if (curveData) renderFaultCurves();
+        if (workingSetData) renderWorkingSet();
+        if (stackDistanceData) {
+            renderDistanceHistogram();
+            renderHitRatioCurve();
+        }
+    }, 100);
+}
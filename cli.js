@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ * * Command-line front end for batch experiments: runs one or more policies
+ * over a trace file (or a typed reference string) and prints the summary
+ * statistics as JSON or CSV. Trace files are read with the same parsers as
+ * the browser's trace import, and reference strings with the same parser as the input form.
+ *
+ *   page-replacement trace.txt --policy lru,fifo --frames 4 --format csv
+ *   page-replacement --refs "7,0,1,2,0,3,0,4" --policy all
+ */
+
+import { readFile } from 'node:fs/promises';
+import { realpathSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { POLICIES, createSimulation, summarizeSimulation } from './algorithm.js';
+import { parseReferenceString } from './parser.js';
+import { TRACE_FORMATS, parseTrace } from './trace-import.js';
+
+const USAGE = `Usage: page-replacement [trace-file] [options]
+
+Runs page replacement policies over a trace file or a reference string
+and prints the summary statistics.
+
+Options:
+  -p, --policy <ids>          Policy id, comma-separated ids, or "all" (default: lru)
+                              Policies: ${Object.keys(POLICIES).join(', ')}
+  -f, --frames <n>            Number of frames (default: 3)
+  -r, --refs <string>         Use a reference string instead of a trace file, e.g. "7,0,1,2w"
+  -o, --format <json|csv>     Output format (default: json)
+      --trace-format <id>     ${Object.keys(TRACE_FORMATS).join(', ')} (default: auto)
+      --values <kind>         auto (hex = address, decimal = page), address or page (default: auto)
+      --page-size <bytes>     Page size used to turn addresses into pages (default: 4096)
+      --include-instructions  Keep lackey instruction fetches
+  -h, --help                  Show this help
+`;
+
+// Option definitions for util.parseArgs (all values are validated afterwards)
+const OPTIONS = {
+    policy: { type: 'string', short: 'p', default: 'lru' },
+    frames: { type: 'string', short: 'f', default: '3' },
+    refs: { type: 'string', short: 'r' },
+    format: { type: 'string', short: 'o', default: 'json' },
+    'trace-format': { type: 'string', default: 'auto' },
+    values: { type: 'string', default: 'auto' },
+    'page-size': { type: 'string', default: '4096' },
+    'include-instructions': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * The output formats, keyed by the --format value.
+ * Each one takes the report from runCli and returns the text to print.
+ */
+const OUTPUT_FORMATS = {
+    json: (report) => JSON.stringify(report, null, 2) + '\n',
+    csv: formatCsv
+};
+
+/**
+ * Runs the CLI without touching the process, so it can be tested directly.
+ * @param {string[]} args - The command-line arguments (without "node cli.js").
+ * @returns {Promise<object>} {stdout, stderr, exitCode}.
+ */
+export async function runCli(args) {
+    try {
+        const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+        if (values.help) return { stdout: USAGE, stderr: '', exitCode: 0 };
+
+        const policyIds = readPolicyIds(values.policy);
+        const frames = readPositiveInteger(values.frames, '--frames');
+        const format = OUTPUT_FORMATS[values.format];
+        if (!format) {
+            throw new Error(`Unknown output format "${values.format}" (use ${Object.keys(OUTPUT_FORMATS).join(' or ')}).`);
+        }
+
+        const { references, notes } = await readReferences(values, positionals);
+        const report = {
+            frames,
+            references: references.length,
+            results: policyIds.map(id => simulate(id, references, frames))
+        };
+        return { stdout: format(report), stderr: notes.join(''), exitCode: 0 };
+    } catch (error) {
+        return { stdout: '', stderr: `page-replacement: ${error.message}\nRun with --help for usage.\n`, exitCode: 1 };
+    }
+}
+
+/**
+ * Runs one policy over the references without keeping its steps (a trace can
+ * hold millions of references) and keeps its summary statistics.
+ * @param {string} policyId - A key of the POLICIES registry.
+ * @param {Array<number|object>} references - The reference string.
+ * @param {number} frames - The number of frames.
+ * @returns {object} The numeric stats, plus the policy id and name.
+ */
+function simulate(policyId, references, frames) {
+    const simulation = createSimulation(policyId, references, frames);
+    while (simulation.time < references.length) simulation.next(false);
+    const summary = summarizeSimulation(simulation);
+    return {
+        policy: policyId,
+        name: POLICIES[policyId].name,
+        pageFaults: summary.pageFaults,
+        pageHits: summary.pageHits,
+        writeBacks: summary.writeBacks,
+        hitRatio: summary.hitRatio,
+        missRatio: summary.missRatio,
+        effectiveAccessTime: summary.effectiveAccessTime
+    };
+}
+
+/**
+ * Formats a report as CSV, one row per policy.
+ */
+function formatCsv(report) {
+    const rows = [['policy', 'frames', 'references', 'page_faults', 'page_hits', 'write_backs',
+        'hit_ratio', 'miss_ratio', 'effective_access_time_ns']];
+    for (const result of report.results) {
+        rows.push([result.policy, report.frames, report.references, result.pageFaults, result.pageHits,
+            result.writeBacks, result.hitRatio, result.missRatio, result.effectiveAccessTime]);
+    }
+    return rows.map(row => row.join(',')).join('\n') + '\n';
+}
+
+// --- Argument Helpers ---
+
+/**
+ * Reads --policy: one id, several comma-separated ids, or "all".
+ * @returns {string[]} The policy ids.
+ */
+function readPolicyIds(text) {
+    if (text === 'all') return Object.keys(POLICIES);
+    const ids = text.split(',').map(id => id.trim()).filter(id => id !== '');
+    const unknown = ids.find(id => !POLICIES[id]);
+    if (unknown !== undefined) {
+        throw new Error(`Unknown policy "${unknown}" (available: ${Object.keys(POLICIES).join(', ')}).`);
+    }
+    if (ids.length === 0) throw new Error('Give at least one policy.');
+    return ids;
+}
+
+function readPositiveInteger(text, name) {
+    if (!/^\d+$/.test(text) || Number(text) < 1) {
+        throw new Error(`${name} must be a whole number of 1 or more (got "${text}").`);
+    }
+    return Number(text);
+}
+
+/**
+ * Gets the references from --refs or from the trace file named on the command line.
+ * @returns {Promise<object>} {references, notes}; 'notes' are warnings for stderr.
+ */
+async function readReferences(values, positionals) {
+    if (values.refs !== undefined && positionals.length > 0) {
+        throw new Error('Give either a trace file or --refs, not both.');
+    }
+
+    if (values.refs !== undefined) {
+        const { references, error } = parseReferenceString(values.refs);
+        if (error) {
+            throw new Error(`--refs, character ${error.start + 1}: ${error.message}`);
+        }
+        return { references, notes: [] };
+    }
+
+    if (positionals.length !== 1) {
+        throw new Error(positionals.length === 0 ? 'Give a trace file or --refs.' : 'Give only one trace file.');
+    }
+    if (!TRACE_FORMATS[values['trace-format']]) {
+        throw new Error(`Unknown trace format "${values['trace-format']}".`);
+    }
+    if (!['auto', 'address', 'page'].includes(values.values)) {
+        throw new Error(`--values must be auto, address or page (got "${values.values}").`);
+    }
+
+    const text = await readFile(positionals[0], 'utf8');
+    const trace = await parseTrace(text, {
+        format: values['trace-format'],
+        valueKind: values.values,
+        pageSize: readPositiveInteger(values['page-size'], '--page-size'),
+        includeInstructions: values['include-instructions']
+    });
+    if (trace.references.length === 0) {
+        throw new Error(`No references found in ${positionals[0]}.`);
+    }
+
+    const notes = [];
+    if (trace.skipped > 0) {
+        notes.push(`Skipped ${trace.skipped} unreadable line${trace.skipped === 1 ? '' : 's'} ` +
+            `(first at line ${trace.firstSkippedLine}).\n`);
+    }
+    return { references: trace.references, notes };
+}
+
+// --- Entry Point ---
+
+// Only run when executed directly (also through the npm bin symlink), not when imported by the tests
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+    const result = await runCli(process.argv.slice(2));
+    process.stdout.write(result.stdout);
+    process.stderr.write(result.stderr);
+    process.exitCode = result.exitCode;
+}
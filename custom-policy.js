@@ -0,0 +1,210 @@
+/**
+ * custom-policy.js
+ * * A replacement policy written by the user: a JavaScript function named
+ * chooseVictim that is called on every fault once the frames are full and
+ * returns the frame to evict. The shared runPolicy loop (algorithm.js) does
+ * everything else, so a custom run has exactly the same steps as a built-in one.
+ * The code only ever runs in the simulation worker: simulation-runner.js
+ * stops it after CUSTOM_POLICY_TIME_LIMIT and never runs it on the page.
+ * The code is not sandboxed: within the worker it can reach everything the
+ * worker can (see HIDDEN_GLOBALS), so it is trusted as much as the page's own.
+ * This file does not interact with the DOM.
+ */
+
+// The id a custom policy runs under (in the policy dropdown and in simulation data)
+export const CUSTOM_POLICY_ID = 'custom';
+
+// Custom runs keep every step (see simulation-worker.js), so their input is kept short
+export const MAX_CUSTOM_REFERENCES = 20000;
+
+// How long a simulation with a custom policy may run before it is stopped, in milliseconds
+export const CUSTOM_POLICY_TIME_LIMIT = 5000;
+
+// Worker globals shadowed by undefined parameters, so the policy's code does not use them
+// by accident. This is not a security boundary: the code can still reach the worker's
+// global object (e.g. through Function('return this')())
+const HIDDEN_GLOBALS = [
+    'self', 'globalThis', 'postMessage', 'onmessage', 'close', 'importScripts',
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'Worker', 'indexedDB', 'caches'
+];
+
+/**
+ * The code the editor starts with: LRU, written as a custom policy.
+ */
+export const EXAMPLE_CUSTOM_POLICY = `// Called on every fault once the frames are full; returns the frame to evict.
+// context.frames:     the page in each frame
+// context.candidates: the frames that may be evicted (all of them, unless
+//                     local replacement limits a process to its own frames)
+// context.page:       the page being loaded; context.write: whether it is a write
+// context.step:       the step number of this reference (the first is 1)
+// context.history:    every earlier reference, oldest first: {page, write}
+// context.pages:      per page (resident ones and the one being loaded):
+//                     {frame, loadedAt, lastUsedAt, uses, usesSinceLoad, dirty}
+//                     (frame is -1 and the times are 0 for a page not in memory)
+// context.state:      an object kept between calls, for your own notes
+// Return a frame index, or {frame, reason} to explain the choice.
+function chooseVictim(context) {
+    const { frames, candidates, pages } = context;
+    let victim = candidates[0];
+    for (const frame of candidates) {
+        if (pages[frames[frame]].lastUsedAt < pages[frames[victim]].lastUsedAt) victim = frame;
+    }
+    return { frame: victim, reason: \`Least recently used (step \${pages[frames[victim]].lastUsedAt})\` };
+}
+`;
+
+/**
+ * The custom policy's registry entry, shaped like the entries of POLICIES in
+ * algorithm.js (look it up with getPolicy there). Its create() takes the code
+ * from runPolicy's 'customPolicy' option.
+ */
+export const CUSTOM_POLICY = {
+    name: 'Custom (your code)',
+    layout: 'row',
+    create: createCustomPolicy,
+    describe: (step) => {
+        const items = [];
+        step.frames.forEach((page, index) => {
+            if (page !== -1) items.push({ label: `Page ${page}`, value: step.usesSinceLoad[index] });
+        });
+        return { title: 'References Since Loaded', items };
+    },
+    // Predicting the victim would mean running the user's code on the page
+    nextVictim: () => -1
+};
+
+/**
+ * Checks that a custom policy compiles, without running any of it.
+ * @param {string} source - The policy's code.
+ * @returns {string|null} What is wrong with it, or null if it compiles.
+ */
+export function checkCustomPolicy(source) {
+    if (!/\bchooseVictim\b/.test(source)) {
+        return 'Define a function called chooseVictim.';
+    }
+    try {
+        buildPolicyFactory(source); // Parses the code; nothing in it runs
+    } catch (error) {
+        return `The policy does not compile: ${error.message}`;
+    }
+    return null;
+}
+
+/**
+ * Wraps the policy's code in a function that returns its chooseVictim, with the
+ * HIDDEN_GLOBALS shadowed. Throws a SyntaxError if the code does not parse.
+ */
+function buildPolicyFactory(source) {
+    return new Function(...HIDDEN_GLOBALS,
+        `"use strict";\n${source}\n;return typeof chooseVictim === 'function' ? chooseVictim : null;`);
+}
+
+/**
+ * The policy factory (see the factory contract in algorithm.js). It runs the
+ * code's top level once, then asks chooseVictim for every victim and checks
+ * what comes back; anything wrong stops the run with an error naming the step.
+ */
+function createCustomPolicy(frameCount, references, options = {}) {
+    let chooseVictim;
+    try {
+        chooseVictim = buildPolicyFactory(options.customPolicy || '')();
+    } catch (error) {
+        throw new Error(`The custom policy failed before step 1: ${error.name}: ${error.message}`);
+    }
+    if (!chooseVictim) {
+        throw new Error('The custom policy does not define a function called chooseVictim.');
+    }
+
+    const history = []; // Every reference so far; chooseVictim gets a frozen copy
+    const info = new Map(); // Page -> {frame, loadedAt, lastUsedAt, uses, usesSinceLoad, dirty}
+    const residents = Array(frameCount).fill(-1); // Page in each frame, for the snapshot
+    const state = {}; // The policy's own notes
+    let reason = null; // The reason chooseVictim gave for the last victim
+
+    const infoOf = (page) => {
+        if (!info.has(page)) {
+            info.set(page, { frame: -1, loadedAt: 0, lastUsedAt: 0, uses: 0, usesSinceLoad: 0, dirty: false });
+        }
+        return info.get(page);
+    };
+
+    return {
+        onHit(index, page, time, write) {
+            const entry = infoOf(page);
+            entry.lastUsedAt = time + 1;
+            entry.uses++;
+            entry.usesSinceLoad++;
+            if (write) entry.dirty = true;
+            history.push(Object.freeze({ page, write }));
+        },
+        onLoad(index, page, time, write, evictedPage) {
+            if (evictedPage !== null) {
+                const evicted = infoOf(evictedPage);
+                evicted.frame = -1;
+                evicted.dirty = false;
+            }
+            const entry = infoOf(page);
+            entry.frame = index;
+            entry.loadedAt = time + 1;
+            entry.lastUsedAt = time + 1;
+            entry.uses++;
+            entry.usesSinceLoad = 1;
+            entry.dirty = write;
+            residents[index] = page;
+            history.push(Object.freeze({ page, write }));
+        },
+        selectVictim(frames, time, dirtyBits, allowed) {
+            const { page, write } = references[time];
+            const candidates = [];
+            for (let i = 0; i < frameCount; i++) {
+                if (!allowed || allowed(i)) candidates.push(i);
+            }
+            // Copies, so the code cannot change what the simulation relies on
+            const pages = {};
+            for (const resident of [...frames, page]) {
+                if (resident !== -1) pages[resident] = { ...infoOf(resident) };
+            }
+            const where = `At step ${time + 1} (page ${page}, frames ${frames.join(', ')})`;
+
+            let choice;
+            try {
+                choice = chooseVictim({
+                    frames: [...frames], candidates, page, write, step: time + 1,
+                    history: Object.freeze([...history]), pages, state
+                });
+            } catch (error) {
+                throw new Error(`${where}: chooseVictim threw ${error.name}: ${error.message}`);
+            }
+            const frame = typeof choice === 'object' && choice !== null ? choice.frame : choice;
+            if (!Number.isInteger(frame)) {
+                throw new Error(`${where}: chooseVictim returned ${formatValue(choice)}; ` +
+                    `return a frame index from 0 to ${frameCount - 1}, or {frame, reason}.`);
+            }
+            if (frame < 0 || frame >= frameCount) {
+                throw new Error(`${where}: chooseVictim returned frame ${frame}, ` +
+                    `but the frames are numbered 0 to ${frameCount - 1}.`);
+            }
+            if (!candidates.includes(frame)) {
+                throw new Error(`${where}: chooseVictim returned frame ${frame}, which holds another ` +
+                    `process's page; return one of the candidates (${candidates.join(', ')}).`);
+            }
+            reason = typeof choice === 'object' && choice.reason !== undefined ? String(choice.reason) : null;
+            return frame;
+        },
+        explainVictim() {
+            return reason || 'Chosen by the custom policy';
+        },
+        snapshot() {
+            return { usesSinceLoad: residents.map(page => (page === -1 ? 0 : info.get(page).usesSinceLoad)) };
+        }
+    };
+}
+
+/**
+ * Writes out a value chooseVictim returned, for an error message.
+ */
+function formatValue(value) {
+    if (value === undefined) return 'nothing';
+    if (typeof value === 'function') return 'a function';
+    return JSON.stringify(value) ?? String(value);
+}
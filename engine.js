@@ -0,0 +1,81 @@
+/**
+ * engine.js
+ * * The package entry point, for running simulations without a browser
+ * (batch experiments, scripts, the CLI and the unit tests). It re-exports the
+ * DOM-free modules; the browser app keeps importing them directly.
+ * This file does not interact with the DOM.
+ */
+
+export {
+    POLICIES,
+    DEFAULT_LATENCIES,
+    runPolicy,
+    runLRUAlgorithm,
+    runClockAlgorithm,
+    normalizeReference,
+    computeEffectiveAccessTime,
+    createSimulation,
+    summarizeSimulation,
+    getPolicy
+} from './algorithm.js';
+export {
+    CUSTOM_POLICY_ID,
+    CUSTOM_POLICY,
+    MAX_CUSTOM_REFERENCES,
+    CUSTOM_POLICY_TIME_LIMIT,
+    EXAMPLE_CUSTOM_POLICY,
+    checkCustomPolicy
+} from './custom-policy.js';
+export {
+    CHECKPOINT_INTERVAL,
+    recordSimulation,
+    getStepCount,
+    getFrameCount,
+    getReferences,
+    getStep,
+    getFrameState,
+    expandSimulation,
+    findFirstDivergence,
+    getOutcome
+} from './step-store.js';
+export {
+    TLB_POLICIES,
+    splitAddress,
+    computeTranslatedAccessTime,
+    runTranslation,
+    getTranslationState
+} from './translation.js';
+export { computeFaultCurves, findBeladyAnomalies, createReferenceIndex } from './analysis.js';
+export {
+    ALLOCATION_POLICIES,
+    computeWorkingSetSizes,
+    getWorkingSet,
+    runAllocationPolicy
+} from './working-set.js';
+export { computeStackDistances, getLruHits, findCommonDistances } from './stack-distance.js';
+export { createGifEncoder } from './gif-encoder.js';
+export {
+    REPLACEMENT_SCOPES,
+    SCHEDULES,
+    PROCESS_COLORS,
+    hasProcessLabels,
+    parseProcesses,
+    parseScheduleOrder,
+    interleaveProcesses,
+    getProcessName,
+    getProcessColor
+} from './multiprocess.js';
+export {
+    QUIZ_EXPORT_FORMATS,
+    getQuizChoices,
+    getExpectedAnswer,
+    checkQuizAnswer,
+    createQuizSession,
+    describeQuizAnswer,
+    summarizeQuiz
+} from './quiz.js';
+export { BREAKPOINT_KINDS, describeBreakpoint, findBreakpointSteps, findNextFault } from './breakpoints.js';
+export { MAX_REFERENCES, parseReferenceString, formatReferenceString } from './parser.js';
+export { GENERATORS, createRandom, generateReferenceString } from './generator.js';
+export { TRACE_FORMATS, detectTraceFormat, parseTrace } from './trace-import.js';
+export { EXPORT_FORMATS, MAX_EXPORT_STEPS, checkExportSize, parseSimulationExport } from './trace-export.js';
@@ -0,0 +1,160 @@
+/**
+ * generator.js
+ * * Generates reference strings from configurable locality models.
+ * All randomness comes from a seeded generator, so the same model,
+ * parameters and seed always produce the same reference string.
+ * This file does not interact with the DOM.
+ */
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * @param {number} seed - Any integer seed.
+ * @returns {function} A function returning floats in [0, 1), like Math.random.
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Picks a random integer in [0, max).
+ */
+function randomInt(random, max) {
+    return Math.floor(random() * max);
+}
+
+/**
+ * Every available model, keyed by id.
+ * - name: Label shown in the model dropdown.
+ * - params: Model-specific parameters {key, label, defaultValue, min, max, step},
+ *   in addition to the shared length, page range and seed.
+ * - generate: (random, options) => page numbers in [0, options.pageRange).
+ */
+export const GENERATORS = {
+    uniform: {
+        name: 'Uniform Random',
+        params: [],
+        generate(random, { length, pageRange }) {
+            return Array.from({ length }, () => randomInt(random, pageRange));
+        }
+    },
+    'working-set': {
+        name: 'Working-Set / Phase Locality',
+        params: [
+            { key: 'phaseLength', label: 'Phase Length', defaultValue: 10, min: 1, max: 1000, step: 1 },
+            { key: 'workingSetSize', label: 'Working-Set Size', defaultValue: 3, min: 1, max: 100, step: 1 },
+            { key: 'locality', label: 'In-Set Probability', defaultValue: 0.9, min: 0, max: 1, step: 0.05 }
+        ],
+        generate(random, { length, pageRange, phaseLength, workingSetSize, locality }) {
+            const pages = [];
+            let workingSet = [];
+            for (let i = 0; i < length; i++) {
+                // Every 'phaseLength' references the program moves to a new working set
+                if (i % phaseLength === 0) {
+                    workingSet = pickDistinct(random, pageRange, Math.min(workingSetSize, pageRange));
+                }
+                // Most references stay inside the working set; the rest go anywhere
+                pages.push(random() < locality ?
+                    workingSet[randomInt(random, workingSet.length)] :
+                    randomInt(random, pageRange));
+            }
+            return pages;
+        }
+    },
+    loop: {
+        name: 'Looping Sequential Scan',
+        params: [
+            { key: 'loopLength', label: 'Loop Length', defaultValue: 4, min: 1, max: 100, step: 1 }
+        ],
+        generate(random, { length, pageRange, loopLength }) {
+            // 0, 1, ..., n-1, 0, 1, ... - the classic worst case for LRU with fewer than n frames
+            const span = Math.min(loopLength, pageRange);
+            return Array.from({ length }, (_, i) => i % span);
+        }
+    },
+    'hot-set': {
+        name: '80/20 Hot Set',
+        params: [
+            { key: 'hotFraction', label: 'Hot Pages Fraction', defaultValue: 0.2, min: 0.01, max: 1, step: 0.01 },
+            { key: 'hotProbability', label: 'Hot Reference Probability', defaultValue: 0.8, min: 0, max: 1, step: 0.05 }
+        ],
+        generate(random, { length, pageRange, hotFraction, hotProbability }) {
+            // Pages 0 .. hotCount-1 are "hot"; the rest are "cold"
+            const hotCount = Math.max(1, Math.round(pageRange * hotFraction));
+            const coldCount = pageRange - hotCount;
+            return Array.from({ length }, () => {
+                if (coldCount === 0 || random() < hotProbability) {
+                    return randomInt(random, hotCount);
+                }
+                return hotCount + randomInt(random, coldCount);
+            });
+        }
+    },
+    zipf: {
+        name: 'Zipf',
+        params: [
+            { key: 'exponent', label: 'Exponent (s)', defaultValue: 1, min: 0, max: 5, step: 0.1 }
+        ],
+        generate(random, { length, pageRange, exponent }) {
+            // Page k (0-based) has weight 1 / (k + 1)^s, so page 0 is the most popular
+            const cumulative = [];
+            let total = 0;
+            for (let k = 0; k < pageRange; k++) {
+                total += 1 / Math.pow(k + 1, exponent);
+                cumulative.push(total);
+            }
+            return Array.from({ length }, () => {
+                const target = random() * total;
+                // Binary search for the first cumulative weight above the target
+                let low = 0;
+                let high = pageRange - 1;
+                while (low < high) {
+                    const mid = (low + high) >> 1;
+                    if (cumulative[mid] > target) high = mid;
+                    else low = mid + 1;
+                }
+                return low;
+            });
+        }
+    }
+};
+
+/**
+ * Generates a reference string from one of the models.
+ * @param {string} modelId - A key of the GENERATORS registry.
+ * @param {object} options - {length, pageRange, seed} plus the model's own params.
+ *   Missing model params fall back to their defaults.
+ * @returns {number[]} The generated page numbers.
+ */
+export function generateReferenceString(modelId, options) {
+    const model = GENERATORS[modelId];
+    if (!model) {
+        throw new Error(`Unknown reference string model: ${modelId}`);
+    }
+
+    // Fill in defaults for any model params that were not given
+    const fullOptions = { ...options };
+    for (const param of model.params) {
+        if (fullOptions[param.key] === undefined) fullOptions[param.key] = param.defaultValue;
+    }
+
+    return model.generate(createRandom(options.seed), fullOptions);
+}
+
+/**
+ * Picks 'count' distinct pages from [0, pageRange) using a partial Fisher-Yates shuffle.
+ */
+function pickDistinct(random, pageRange, count) {
+    const pool = Array.from({ length: pageRange }, (_, i) => i);
+    for (let i = 0; i < count; i++) {
+        const j = i + randomInt(random, pageRange - i);
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+}
@@ -0,0 +1,239 @@
+/**
+ * gif-encoder.js
+ * * A small animated GIF (GIF89a) encoder for playback recordings.
+ * Every frame gets its own palette of up to 256 colours, built from the
+ * colours the frame uses most (the canvas draws a handful of flat colours
+ * with anti-aliased edges between them), and is compressed with GIF's LZW.
+ * The animation loops forever.
+ * This file does not interact with the DOM.
+ */
+
+// GIF's LZW codes are at most 12 bits long, so the code table holds 4096 entries
+const MAX_CODE = 4096;
+// Pixels are indexes into a 256-colour table, so LZW starts with 8-bit symbols
+const MIN_CODE_SIZE = 8;
+
+/**
+ * Starts an animated GIF.
+ * @param {number} width - The width of every frame, in pixels.
+ * @param {number} height - The height of every frame, in pixels.
+ * @returns {object} {addFrame(rgba, delay), finish()}. addFrame takes a frame's
+ *   pixels (RGBA bytes, row by row, as in ImageData.data; alpha is ignored) and
+ *   how long it stays on screen in milliseconds. finish() returns the file as
+ *   a Uint8Array; no frames can be added after it.
+ */
+export function createGifEncoder(width, height) {
+    const output = createByteWriter();
+
+    // Header and logical screen descriptor, without a global colour table
+    output.writeString('GIF89a');
+    output.writeWord(width);
+    output.writeWord(height);
+    output.writeBytes([0x00, 0x00, 0x00]); // No global colour table, background 0, square pixels
+
+    // The NETSCAPE2.0 application extension: loop forever
+    output.writeBytes([0x21, 0xFF, 0x0B]);
+    output.writeString('NETSCAPE2.0');
+    output.writeBytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+    return {
+        addFrame(rgba, delay) {
+            const { palette, indices } = quantize(rgba, width * height);
+
+            // Graphic control extension: the delay, in hundredths of a second.
+            // Browsers stretch delays under 2 to 10, so 2 is the shortest one
+            output.writeBytes([0x21, 0xF9, 0x04, 0x04]); // Leave the frame in place
+            output.writeWord(Math.max(2, Math.round(delay / 10)));
+            output.writeBytes([0x00, 0x00]);
+
+            // Image descriptor with a 256-entry local colour table
+            output.writeByte(0x2C);
+            output.writeWord(0);
+            output.writeWord(0);
+            output.writeWord(width);
+            output.writeWord(height);
+            output.writeByte(0x80 | 7);
+            output.writeBytes(palette);
+
+            output.writeByte(MIN_CODE_SIZE);
+            writeLzw(output, indices);
+        },
+        finish() {
+            output.writeByte(0x3B); // Trailer
+            return output.toBytes();
+        }
+    };
+}
+
+/**
+ * Reduces a frame to at most 256 colours. Colours are first grouped by their
+ * top 5 bits per channel; the 256 most used groups become the palette (each
+ * the average of its pixels), and every other group is mapped to its nearest
+ * palette colour.
+ * @param {Uint8Array|Uint8ClampedArray} rgba - The frame's pixels.
+ * @param {number} pixelCount - The number of pixels.
+ * @returns {object} {palette, indices}: 768 RGB bytes, and one palette index per pixel.
+ */
+function quantize(rgba, pixelCount) {
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    const keys = new Uint16Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const r = rgba[i * 4];
+        const g = rgba[i * 4 + 1];
+        const b = rgba[i * 4 + 2];
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        keys[i] = key;
+        counts[key]++;
+        sums[key * 3] += r;
+        sums[key * 3 + 1] += g;
+        sums[key * 3 + 2] += b;
+    }
+
+    const used = [];
+    for (let key = 0; key < 32768; key++) {
+        if (counts[key] > 0) used.push(key);
+    }
+    used.sort((a, b) => counts[b] - counts[a]);
+
+    const palette = new Uint8Array(256 * 3);
+    const colorCount = Math.min(256, used.length);
+    const lookup = new Int16Array(32768).fill(-1); // Group -> palette index
+    for (let index = 0; index < colorCount; index++) {
+        const key = used[index];
+        for (let channel = 0; channel < 3; channel++) {
+            palette[index * 3 + channel] = Math.round(sums[key * 3 + channel] / counts[key]);
+        }
+        lookup[key] = index;
+    }
+    for (let i = colorCount; i < used.length; i++) {
+        const key = used[i];
+        const r = sums[key * 3] / counts[key];
+        const g = sums[key * 3 + 1] / counts[key];
+        const b = sums[key * 3 + 2] / counts[key];
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let index = 0; index < colorCount; index++) {
+            const dr = palette[index * 3] - r;
+            const dg = palette[index * 3 + 1] - g;
+            const db = palette[index * 3 + 2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        }
+        lookup[key] = best;
+    }
+
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) indices[i] = lookup[keys[i]];
+    return { palette, indices };
+}
+
+/**
+ * Compresses a frame's palette indexes with GIF's variable-length LZW and
+ * writes them as data sub-blocks (at most 255 bytes each, then a 0 terminator).
+ * @param {object} output - The byte writer.
+ * @param {Uint8Array} indices - One palette index per pixel.
+ */
+function writeLzw(output, indices) {
+    const clearCode = 1 << MIN_CODE_SIZE;
+    const endCode = clearCode + 1;
+    let codeSize = MIN_CODE_SIZE + 1;
+    let nextCode = endCode + 1;
+    const table = new Map(); // (prefix code << 8 | index) -> code
+
+    // Codes are packed least significant bit first, into blocks of up to 255 bytes
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bits = 0;
+    let bitCount = 0;
+    const writeDataByte = (value) => {
+        block[blockLength++] = value;
+        if (blockLength === 255) {
+            output.writeByte(255);
+            output.writeBytes(block);
+            blockLength = 0;
+        }
+    };
+    const writeCode = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            writeDataByte(bits & 0xFF);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    writeCode(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        writeCode(prefix);
+        if (nextCode === MAX_CODE) {
+            // The table is full: start over
+            writeCode(clearCode);
+            table.clear();
+            codeSize = MIN_CODE_SIZE + 1;
+            nextCode = endCode + 1;
+        } else {
+            // Decoders widen their codes as soon as the next code no longer fits
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    writeCode(prefix);
+    writeCode(endCode);
+
+    if (bitCount > 0) writeDataByte(bits & 0xFF); // The last byte, padded with zeros
+    if (blockLength > 0) {
+        output.writeByte(blockLength);
+        output.writeBytes(block.subarray(0, blockLength));
+    }
+    output.writeByte(0);
+}
+
+/**
+ * A growable buffer of bytes, for building the file.
+ */
+function createByteWriter() {
+    let bytes = new Uint8Array(65536);
+    let length = 0;
+    const reserve = (extra) => {
+        if (length + extra <= bytes.length) return;
+        const grown = new Uint8Array(Math.max(bytes.length * 2, length + extra));
+        grown.set(bytes);
+        bytes = grown;
+    };
+    return {
+        writeByte(value) {
+            reserve(1);
+            bytes[length++] = value;
+        },
+        writeBytes(values) {
+            reserve(values.length);
+            bytes.set(values, length);
+            length += values.length;
+        },
+        writeWord(value) { // Little-endian, as everything in a GIF
+            reserve(2);
+            bytes[length++] = value & 0xFF;
+            bytes[length++] = (value >> 8) & 0xFF;
+        },
+        writeString(text) {
+            for (let i = 0; i < text.length; i++) this.writeByte(text.charCodeAt(i));
+        },
+        toBytes() {
+            return bytes.slice(0, length);
+        }
+    };
+}
@@ -0,0 +1,271 @@
+/**
+ * grid-view.js
+ * * Draws the classic frame-by-time grid of a whole run: the reference string
+ * across the top, one row per frame, faults marked underneath and evicted
+ * pages struck through. Only the columns that are scrolled into view are
+ * drawn, so even very long reference strings stay fast.
+ * Like charts.js, it reports clicks back through a callback so that main.js
+ * decides what happens next.
+ */
+
+import { getPolicy } from './algorithm.js';
+import { getStepCount, getFrameCount, getFrameState } from './step-store.js';
+import { getProcessColor } from './multiprocess.js';
+
+// --- Layout Constants ---
+const LABEL_WIDTH = 80; // Row labels on the left ("Frame 1", "Fault", ...)
+const CELL_WIDTH = 36; // One column per reference
+const CELL_HEIGHT = 30;
+const HEADER_HEIGHT = 44; // Step numbers and the reference string
+const LANE_TITLE_HEIGHT = 24; // Policy name above each lane in comparison mode
+const LANE_GAP = 12;
+
+// --- Module-Level Variables ---
+let gridCanvas, gridCtx; // The grid canvas and its 2D context
+let scrollContainer; // The horizontally scrolling box around the canvas
+let spacer; // An empty element as wide as the whole grid, so the box can scroll
+let gridLanes = []; // The simulations being shown (more than one in comparison mode)
+let gridStep = 0; // The step whose column is highlighted
+let revealedStep = null; // In quiz mode, the last step whose frames may be shown (null = all)
+let onColumnClick = null; // Callback for clicks on a column
+let resizeTimeout; // Timer for debouncing the resize event
+
+/**
+ * Shows a new run in the grid.
+ * @param {object[]} dataList - The simulations to show, one lane each (from algorithm.js).
+ * @param {function} onStepClick - Called with the step index when a column is clicked.
+ */
+export function showGridView(dataList, onStepClick) {
+    // Get the elements once and hook up their listeners
+    if (!gridCanvas) {
+        gridCanvas = document.getElementById("grid-canvas");
+        gridCtx = gridCanvas.getContext("2d");
+        scrollContainer = document.getElementById("grid-scroll");
+        spacer = document.getElementById("grid-spacer");
+        gridCanvas.addEventListener('click', handleGridClick);
+        scrollContainer.addEventListener('scroll', renderGrid);
+        window.addEventListener('resize', handleResize);
+    }
+
+    gridLanes = dataList;
+    gridStep = 0;
+    onColumnClick = onStepClick;
+
+    // The canvas is only as wide as the visible box, but the spacer makes the box scroll
+    const columns = getStepCount(dataList[0]) - 1;
+    spacer.style.width = `${LABEL_WIDTH + columns * CELL_WIDTH}px`;
+    gridCanvas.style.height = `${getGridHeight()}px`;
+    scrollContainer.scrollLeft = 0;
+    renderGrid();
+}
+
+/**
+ * Highlights the column of the step on screen, scrolling it into view if needed.
+ * Called by main.js whenever the animation moves to another step.
+ * @param {number} step - The step index (0, the initial state, has no column).
+ */
+export function setGridStep(step) {
+    gridStep = step;
+    if (!gridCanvas || gridLanes.length === 0) return;
+
+    // Keep the highlighted column visible during playback
+    if (step > 0) {
+        const columnLeft = LABEL_WIDTH + (step - 1) * CELL_WIDTH;
+        const visibleLeft = scrollContainer.scrollLeft + LABEL_WIDTH;
+        const visibleRight = scrollContainer.scrollLeft + scrollContainer.clientWidth;
+        if (columnLeft < visibleLeft || columnLeft + CELL_WIDTH > visibleRight) {
+            // Center it; the scroll event redraws the grid
+            scrollContainer.scrollLeft = Math.max(0, columnLeft - scrollContainer.clientWidth / 2);
+        }
+    }
+    renderGrid();
+}
+
+/**
+ * Limits the grid to the steps already shown, so it does not give away the
+ * answers in quiz mode. Later columns keep their reference but not their frames.
+ * @param {number|null} step - The last step to show in full, or null to show every step.
+ */
+export function setGridRevealedStep(step) {
+    revealedStep = step;
+    if (gridCanvas) renderGrid();
+}
+
+/**
+ * Redraws the grid, e.g. after its view was switched back on
+ * (a hidden canvas has no size to draw into).
+ */
+export function redrawGridView() {
+    if (gridCanvas) renderGrid();
+}
+
+/**
+ * The total canvas height for the current lanes.
+ */
+function getGridHeight() {
+    const titles = gridLanes.length > 1 ? LANE_TITLE_HEIGHT : 0;
+    return HEADER_HEIGHT + gridLanes.reduce((height, data) =>
+        height + titles + (getFrameCount(data) + 1) * CELL_HEIGHT + LANE_GAP, 0);
+}
+
+/**
+ * Draws the visible part of the grid: the header, every lane's rows and the row labels.
+ */
+function renderGrid() {
+    if (gridLanes.length === 0) return;
+    const canvas = gridCanvas;
+    const ctx = gridCtx;
+
+    // Match the internal bitmap size to the CSS size to keep lines sharp
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (canvas.width === 0) return; // Hidden
+
+    // --- Visible Columns ---
+    const scrollLeft = scrollContainer.scrollLeft;
+    const first = Math.max(0, Math.floor(scrollLeft / CELL_WIDTH));
+    const last = Math.min(getStepCount(gridLanes[0]) - 2, Math.ceil((scrollLeft + canvas.width - LABEL_WIDTH) / CELL_WIDTH));
+    const columnX = (column) => LABEL_WIDTH + column * CELL_WIDTH - scrollLeft;
+
+    // --- Current Step Highlight ---
+    if (gridStep > 0) {
+        ctx.fillStyle = "#00c3ff22";
+        ctx.fillRect(columnX(gridStep - 1), 0, CELL_WIDTH, canvas.height);
+    }
+
+    // --- Header: step numbers and the reference string ---
+    ctx.textAlign = "center";
+    for (let column = first; column <= last; column++) {
+        const step = getFrameState(gridLanes[0], column + 1);
+        const x = columnX(column) + CELL_WIDTH / 2;
+        ctx.fillStyle = "#888";
+        ctx.font = "10px Arial";
+        ctx.fillText(column + 1, x, 14);
+        ctx.fillStyle = column + 1 === gridStep ? "#00c3ff" : "#e0e0e0";
+        ctx.font = "bold 16px Arial";
+        ctx.fillText(`${step.page}${step.write ? 'w' : ''}`, x, 36);
+    }
+
+    // --- One Block of Rows per Lane ---
+    const labels = [{ text: "Step", y: 14 }, { text: "Reference", y: 36 }];
+    let y = HEADER_HEIGHT;
+    for (const data of gridLanes) {
+        if (gridLanes.length > 1) {
+            labels.push({ text: getPolicy(data.policy).name, y: y + 16, title: true });
+            y += LANE_TITLE_HEIGHT;
+        }
+        const frameCount = getFrameCount(data);
+        // Looked up once per column rather than once per cell (recordings rebuild the frames from a checkpoint)
+        // Columns past the revealed step (quiz mode) are left empty
+        const lastShown = revealedStep === null ? last : Math.min(last, revealedStep - 1);
+        const columnSteps = [];
+        for (let column = first; column <= lastShown; column++) {
+            columnSteps.push(getFrameState(data, column + 1));
+        }
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            labels.push({ text: `Frame ${frame + 1}`, y: y + CELL_HEIGHT / 2 + 5 });
+            for (let column = first; column <= lastShown; column++) {
+                drawCell(columnSteps[column - first], frame, columnX(column), y, data.processes);
+            }
+            y += CELL_HEIGHT;
+        }
+
+        // Fault row: "F" under every fault
+        labels.push({ text: "Fault", y: y + CELL_HEIGHT / 2 + 5 });
+        ctx.font = "bold 14px Arial";
+        ctx.fillStyle = "#ff5f5f";
+        for (let column = first; column <= lastShown; column++) {
+            if (columnSteps[column - first].fault) {
+                ctx.fillText("F", columnX(column) + CELL_WIDTH / 2, y + CELL_HEIGHT / 2 + 5);
+            }
+        }
+        y += CELL_HEIGHT + LANE_GAP;
+    }
+
+    // --- Row Labels (drawn last, over any columns scrolled underneath them) ---
+    ctx.fillStyle = "#1b1d22";
+    ctx.fillRect(0, 0, LABEL_WIDTH, canvas.height);
+    ctx.textAlign = "left";
+    for (const label of labels) {
+        ctx.fillStyle = label.title ? "#00c3ff" : "#bbbbbb";
+        ctx.font = label.title ? "bold 12px Arial" : "12px Arial";
+        ctx.fillText(label.text, 6, label.y);
+    }
+}
+
+/**
+ * Draws one frame's cell for one step.
+ * The frame that received the page on a fault is red; a hit's frame is green.
+ * An evicted page is shown struck through in the corner of the cell that replaced it.
+ * In a multi-process run every occupied cell is tinted with its page's process colour.
+ * @param {object} step - The step of this column.
+ * @param {number} frame - The frame (row) index.
+ * @param {number} x - The left edge of the cell.
+ * @param {number} y - The top edge of the cell.
+ * @param {object[]} [processes] - The run's processes (multi-process runs only).
+ */
+function drawCell(step, frame, x, y, processes) {
+    const ctx = gridCtx;
+    const page = step.frames[frame];
+    const touched = frame === step.frameIndex;
+    const loaded = touched && step.fault; // The frame the page was loaded into
+    const hit = touched && step.action === 'hit';
+
+    ctx.strokeStyle = "#00c3ff33";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, y + 0.5, CELL_WIDTH - 1, CELL_HEIGHT - 1);
+    if (processes && page !== -1) {
+        ctx.fillStyle = `${getProcessColor(page, processes)}26`;
+        ctx.fillRect(x + 1, y + 1, CELL_WIDTH - 2, CELL_HEIGHT - 2);
+    }
+    if (loaded || hit) {
+        ctx.fillStyle = loaded ? "#ff5f5f33" : "#7cf57c33";
+        ctx.fillRect(x + 1, y + 1, CELL_WIDTH - 2, CELL_HEIGHT - 2);
+    }
+
+    if (page !== -1) {
+        ctx.fillStyle = loaded ? "#ff5f5f" : (hit ? "#7cf57c" : "#00ccff");
+        ctx.font = "bold 14px Arial";
+        ctx.textAlign = "center";
+        ctx.fillText(page, x + CELL_WIDTH / 2, y + CELL_HEIGHT / 2 + 5);
+    }
+
+    // The page this fault evicted, struck through
+    if (loaded && step.action === 'eviction') {
+        ctx.fillStyle = "#bbbbbb";
+        ctx.font = "10px Arial";
+        ctx.textAlign = "left";
+        const text = String(step.evictedPage);
+        const width = ctx.measureText(text).width;
+        ctx.fillText(text, x + 3, y + 11);
+        ctx.strokeStyle = "#bbbbbb";
+        ctx.beginPath();
+        ctx.moveTo(x + 2, y + 7);
+        ctx.lineTo(x + 4 + width, y + 7);
+        ctx.stroke();
+    }
+}
+
+/**
+ * Reports a click on a column back to main.js as a step index.
+ */
+function handleGridClick(e) {
+    const rect = gridCanvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (gridCanvas.width / rect.width);
+    if (x < LABEL_WIDTH || !onColumnClick) return;
+
+    const column = Math.floor((x - LABEL_WIDTH + scrollContainer.scrollLeft) / CELL_WIDTH);
+    if (column >= 0 && column < getStepCount(gridLanes[0]) - 1) {
+        onColumnClick(column + 1);
+    }
+}
+
+/**
+ * Redraws the grid after the window stops resizing.
+ */
+function handleResize() {
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(renderGrid, 100);
+}
@@ -7,22 +7,119 @@
 
 // --- Module Imports ---
 // Import the form handler from the UI module
-import { handleFormSubmit } from './ui.js'; 
-// Import the core algorithm logic (changed to LRU)
-import { runLRUAlgorithm } from './algorithm.js'; 
+import {
+    handleFormSubmit,
+    renderGeneratorParams,
+    readGeneratorOptions,
+    setImportedTrace,
+    readTraceImportOptions,
+    applyConfiguration,
+    readSlotName,
+    readWorkingSetOptions,
+    readBreakpointValue,
+    readRecordingOptions
+} from './ui.js'; 
+// Import the core algorithm logic and the registry of available policies
+import { POLICIES, getPolicy } from './algorithm.js'; 
+// Import the user-defined policy's registry entry and the editor's starting code
+import { CUSTOM_POLICY_ID, CUSTOM_POLICY, EXAMPLE_CUSTOM_POLICY } from './custom-policy.js';
+// Import the background simulation runner
+import { startSimulations, startFaultCurves } from './simulation-runner.js';
+// Import the whole-run analyses and the chart renderer
+import { drawFaultCurves, drawWorkingSet, setWorkingSetStep, drawStackDistances } from './charts.js';
+// Import the working-set model and the variable-allocation policies
+import { ALLOCATION_POLICIES, computeWorkingSetSizes, getWorkingSet, runAllocationPolicy } from './working-set.js';
+import { computeStackDistances, getLruHits, findCommonDistances } from './stack-distance.js';
+// Import the step readers for finished simulations
+import { getReferences, getStep, getFrameState, getFrameCount } from './step-store.js';
+// Import the quiz questions, scoring and summary formats
+import {
+    QUIZ_EXPORT_FORMATS,
+    getQuizChoices,
+    checkQuizAnswer,
+    createQuizSession,
+    summarizeQuiz
+} from './quiz.js';
+// Import the playback breakpoints
+import { BREAKPOINT_KINDS, describeBreakpoint, findBreakpointSteps, findNextFault } from './breakpoints.js';
+// Import the multi-process schedules and frame-sharing scopes
+import { SCHEDULES, REPLACEMENT_SCOPES } from './multiprocess.js';
+// Import the TLB policies for address translation
+import { TLB_POLICIES } from './translation.js';
+// Import the reference string generator
+import { GENERATORS, generateReferenceString } from './generator.js';
+// Import the trace file parser
+import { TRACE_FORMATS, parseTrace } from './trace-import.js';
+// Import the trace export formats and the JSON re-import
+import { EXPORT_FORMATS, parseSimulationExport } from './trace-export.js';
+// Import the frame-by-time grid view
+import { showGridView, setGridStep, setGridRevealedStep, redrawGridView } from './grid-view.js';
+// Import the keyboard shortcut list
+import { SHORTCUTS, findShortcut } from './shortcuts.js';
+// Import the URL hash encoding and the localStorage save slots
+import {
+    encodeConfiguration,
+    decodeConfiguration,
+    listSaveSlots,
+    saveSlot,
+    loadSlot,
+    deleteSlot
+} from './persistence.js';
 // Import all the control functions from the animation module
 import { 
     animateSimulation, 
+    animateComparison, 
     resetAnimation, 
     play, 
     pause, 
+    togglePlay,
     stepForward, 
     stepBackward, 
     setSpeed, 
     jumpToStep, 
+    getCurrentStep,
+    getLastStep,
+    setStepChangeHandler,
+    redrawAnimation,
+    setPageStateVisible,
+    setStepGuard,
+    setVictimHintsVisible,
+    getFrameAt,
+    setPauseSteps,
+    setAutoPauseHandler,
+    runToStep,
     exportScreenshot, 
     exportTrace 
 } from './animation.js';
+// Import the playback recorder (animated GIF or WebM)
+import { RECORDING_FORMATS, RECORDING_SIZES, MAX_RECORDING_FRAMES, planRecording, startRecording } from './recording.js';
+
+// The most pages of W(t, Δ) listed under the working-set chart, and rows in the reuse table
+const MAX_LISTED_PAGES = 20;
+// The timeline gets at most this many breakpoint markers; closer ones share a marker
+const MAX_TIMELINE_MARKERS = 500;
+
+// --- Module-Level Variables ---
+// The configuration of the simulation on screen (without its step and speed),
+// used for the URL hash and save slots. null until a simulation has started.
+let activeConfig = null;
+let hashTimeout; // Timer for debouncing URL hash updates
+let runningJob = null; // The simulation running in the background, if any: {promise, cancel}
+let shownSimulation = null; // The simulation on screen (its first lane in comparison mode)
+// The working-set chart's settings and results while it is plotted:
+// {policyId, options, pages, allocation}. It is re-plotted for every new simulation.
+let workingSetView = null;
+// The quiz while quiz mode is on: {session, revealed, pending}. 'revealed' is the last
+// step the student may see and 'pending' the question being asked ({step, choices, resume}).
+let quiz = null;
+let quizSummary = null; // The summary of the last finished quiz, for export
+// The breakpoints set, {kind, value} each, and where they fire in the simulation
+// on screen ({step, breakpoints} from findBreakpointSteps)
+let breakpoints = [];
+let breakpointMatches = [];
+let runningRecording = null; // The playback being recorded, if any: {promise, cancel}
+let runningSweep = null; // The fault-curve sweep running in the background, if any: {promise, cancel}
+let recordingName = ''; // The start of the recording's file name, e.g. "lru-algorithm"
 
 // --- Event Listeners ---
 
@@ -31,42 +128,186 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Find the input form
     const form = document.getElementById('input-form');
+
+    // Fill the policy dropdown from the registry, so new policies show up automatically;
+    // the custom policy from the editor comes last
+    const runnablePolicies = [...Object.entries(POLICIES), [CUSTOM_POLICY_ID, CUSTOM_POLICY]];
+    const policySelect = document.getElementById('policy-select');
+    for (const [id, policy] of runnablePolicies) {
+        policySelect.add(new Option(policy.name, id));
+    }
+
+    // Build one checkbox per policy for comparison mode (LRU and FIFO checked by default)
+    const comparePolicies = document.getElementById('compare-policies');
+    for (const [id, policy] of runnablePolicies) {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = id;
+        checkbox.checked = id === 'lru' || id === 'fifo';
+        label.append(checkbox, ` ${policy.name}`);
+        comparePolicies.appendChild(label);
+    }
+
+    // Multi-process options: fill the schedule and scope dropdowns from their registries
+    const scheduleSelect = document.getElementById('process-schedule');
+    for (const [id, schedule] of Object.entries(SCHEDULES)) {
+        scheduleSelect.add(new Option(schedule.name, id));
+    }
+    const scopeSelect = document.getElementById('replacement-scope');
+    for (const [id, scope] of Object.entries(REPLACEMENT_SCOPES)) {
+        scopeSelect.add(new Option(scope.name, id));
+    }
+    // Round robin takes a quantum, a custom schedule takes an order
+    scheduleSelect.addEventListener('change', () => {
+        document.getElementById('quantum-field').hidden = scheduleSelect.value !== 'round-robin';
+        document.getElementById('order-field').hidden = scheduleSelect.value !== 'custom';
+    });
+
+    // Address translation: fill the TLB policy dropdown and show its settings while it is on
+    const tlbPolicySelect = document.getElementById('tlb-policy');
+    for (const [id, policy] of Object.entries(TLB_POLICIES)) {
+        tlbPolicySelect.add(new Option(policy.name, id));
+    }
+    document.getElementById('translation-mode').addEventListener('change', (e) => {
+        document.getElementById('translation-fields').hidden = !e.target.checked;
+    });
+
+    // The policy editor starts out with an example: LRU, written as a custom policy
+    const customPolicyCode = document.getElementById('custom-policy-code');
+    customPolicyCode.value = EXAMPLE_CUSTOM_POLICY;
+    document.getElementById('reset-custom-policy').addEventListener('click', () => {
+        customPolicyCode.value = EXAMPLE_CUSTOM_POLICY;
+    });
+
+    // Comparison mode swaps the single policy dropdown for the checkbox list
+    document.getElementById('compare-mode').addEventListener('change', (e) => {
+        comparePolicies.style.display = e.target.checked ? 'grid' : 'none';
+        policySelect.disabled = e.target.checked;
+    });
     
     // --- Form Submission Handler ---
     // This is the main trigger for the simulation
     form.addEventListener('submit', (e) => {
         e.preventDefault(); // Stop the page from reloading on form submit
-        
+        startSimulation(0);
+    });
+
+    /**
+     * Validates the form and starts a new simulation from its values.
+     * @param {number} startStep - The step to show first (non-zero when restoring a link or save slot).
+     */
+    function startSimulation(startStep) {
         // Get the validated user inputs from the UI module
         const params = handleFormSubmit(); 
         
         // Only proceed if the inputs were valid (not null)
-        if (params) {
-            // Convert the reference string (e.g., "1,2,3") into an array of numbers
-            const pages = params.referenceString.split(',')
-                .map(s => {
-                    const num = parseInt(s.trim());
-                    // Handle NaN (e.g., from "1,,2") by treating it as 0 or another default
-                    return isNaN(num) ? 0 : num;
-                });
-            
-            // Run the algorithm with the user's parameters.
-            // This 'simulationData' object contains all the steps and stats.
-            const simulationData = runLRUAlgorithm(pages, params.numFrames);
-            
-            // Prepare the animation module for a new simulation
-            resetAnimation(); 
-            // Send the new data to the animation module to be drawn
-            animateSimulation(simulationData); 
-            
-            // Make the simulation controls (play, pause, etc.) visible
-            document.getElementById('controls-section').style.display = 'block';
-        } else {
-            // If params were invalid, 'handleFormSubmit' already showed an alert
+        if (!params) {
+            // If params were invalid, 'handleFormSubmit' already showed the errors inline
             console.error('Parameters invalid, simulation not started.');
+            return;
         }
+
+        // Run every selected policy on the same input (the parsed reference string or
+        // the imported trace), one lane each, or just the chosen one
+        const policyIds = params.compare ? params.comparePolicies : [params.policy];
+        const runs = policyIds.map(id => ({
+            policyId: id,
+            references: params.references,
+            frameCount: params.numFrames,
+            latencies: params.latencies,
+            processes: params.processes,
+            translation: params.translation,
+            customPolicy: params.customPolicy
+        }));
+
+        // A newer simulation replaces one that is still running
+        if (runningJob) runningJob.cancel();
+        simulationStatus.textContent = '';
+        progressBar.value = 0;
+        // Short runs finish before the progress bar would be worth showing
+        const progressTimer = setTimeout(() => { simulationProgress.hidden = false; }, 200);
+
+        const job = startSimulations(runs, (fraction) => { progressBar.value = fraction; });
+        runningJob = job;
+        job.promise
+            .then((dataList) => {
+                if (!dataList) return; // Cancelled
+
+                // Remember what is on screen, so it can be linked to and saved
+                activeConfig = {
+                    policy: params.policy,
+                    compare: params.compare,
+                    comparePolicies: params.comparePolicies,
+                    numFrames: params.numFrames,
+                    referenceText: params.referenceText,
+                    traceName: params.traceName,
+                    processOptions: params.processOptions,
+                    translationOptions: params.translationOptions,
+                    customPolicy: params.customPolicy
+                };
+                showSimulations(dataList, startStep);
+            })
+            .catch((error) => {
+                console.error('Simulation failed:', error);
+                simulationStatus.textContent = `The simulation failed: ${error.message}`;
+            })
+            .finally(() => {
+                if (runningJob !== job) return; // A newer run owns the progress bar now
+                runningJob = null;
+                clearTimeout(progressTimer);
+                simulationProgress.hidden = true;
+            });
+    }
+
+    // --- Background Simulation Progress ---
+    const simulationProgress = document.getElementById('simulation-progress');
+    const progressBar = document.getElementById('simulation-progress-bar');
+    const simulationStatus = document.getElementById('simulation-status');
+    document.getElementById('cancel-simulation').addEventListener('click', () => {
+        if (!runningJob) return;
+        runningJob.cancel(); // Resolves with null, which also hides the progress bar
+        simulationStatus.textContent = 'Simulation cancelled.';
     });
 
+    /**
+     * Hands finished simulations to the animation and the grid view.
+     * @param {object[]} dataList - One simulation (or one per compared policy).
+     * @param {number} startStep - The step to show first.
+     */
+    function showSimulations(dataList, startStep) {
+        // Prepare the animation module for a new simulation
+        resetAnimation(); 
+        shownSimulation = dataList[0];
+        if (workingSetView) plotWorkingSet(workingSetView.policyId, workingSetView.options);
+
+        // The grid goes first, so it is ready when the animation reports its first step
+        showGridView(dataList, jumpToStep);
+        if (dataList.length > 1) {
+            animateComparison(dataList, startStep);
+        } else {
+            // Send the new data to the animation module to be drawn
+            animateSimulation(dataList[0], startStep); 
+        }
+        
+        // Make the simulation controls (play, pause, etc.) visible
+        document.getElementById('controls-section').style.display = 'block';
+
+        // The breakpoints stay set, but fire at different steps in the new simulation
+        breakpointStatus.textContent = '';
+        updateBreakpoints();
+
+        // A new simulation starts a new quiz
+        if (quizCheckbox.checked) startQuiz();
+
+        // Recordings cover the whole run unless told otherwise
+        if (runningRecording) runningRecording.cancel();
+        recordingName = dataList.length > 1 ? 'comparison' : `${dataList[0].policy}-algorithm`;
+        document.getElementById('recording-from').value = 0;
+        document.getElementById('recording-to').value = getLastStep();
+    }
+
     // --- Control Button Listeners ---
     // Hook up all the control buttons to their respective functions
     // from the animation.js module.
@@ -74,14 +315,991 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('play-btn').addEventListener('click', play);
     document.getElementById('pause-btn').addEventListener('click', pause);
     document.getElementById('step-forward-btn').addEventListener('click', stepForward);
+    document.getElementById('run-to-breakpoint-btn').addEventListener('click', runToNextBreakpoint);
+    document.getElementById('run-to-fault-btn').addEventListener('click', runToNextFault);
     document.getElementById('step-backward-btn').addEventListener('click', stepBackward);
     
     // Sliders send their value to the handler function
-    document.getElementById('speed-slider').addEventListener('input', (e) => setSpeed(e.target.value));
+    const speedSlider = document.getElementById('speed-slider');
+    speedSlider.addEventListener('input', (e) => {
+        setSpeed(e.target.value);
+        scheduleHashUpdate();
+    });
     document.getElementById('timeline-slider').addEventListener('input', (e) => jumpToStep(parseInt(e.target.value)));
+    document.getElementById('show-page-state').addEventListener('change', (e) => setPageStateVisible(e.target.checked));
     
     // Export buttons
     document.getElementById('export-screenshot').addEventListener('click', exportScreenshot);
-    document.getElementById('export-trace').addEventListener('click', exportTrace);
+    const exportFormat = document.getElementById('export-format');
+    for (const [id, format] of Object.entries(EXPORT_FORMATS)) {
+        exportFormat.add(new Option(format.name, id));
+    }
+    const exportStatus = document.getElementById('export-status');
+    document.getElementById('export-trace').addEventListener('click', () => {
+        exportStatus.textContent = exportTrace(exportFormat.value) || '';
+    });
+
+    // --- Playback Recording ---
+    const recordingFormat = document.getElementById('recording-format');
+    for (const [id, format] of Object.entries(RECORDING_FORMATS)) {
+        const option = new Option(format.name, id);
+        option.disabled = !format.isSupported(); // e.g. no MediaRecorder
+        recordingFormat.add(option);
+    }
+    const recordingSize = document.getElementById('recording-size');
+    for (const [id, size] of Object.entries(RECORDING_SIZES)) {
+        recordingSize.add(new Option(size.name, id));
+    }
+    const recordingProgress = document.getElementById('recording-progress');
+    const recordingBar = document.getElementById('recording-progress-bar');
+    const recordingStatus = document.getElementById('recording-status');
+
+    document.getElementById('recording-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (runningRecording || !shownSimulation) return;
+        const options = readRecordingOptions(getLastStep());
+        if (!options) return;
+        const frameCount = planRecording(options).length;
+        if (frameCount > MAX_RECORDING_FRAMES) {
+            recordingStatus.textContent = `This recording would have ${frameCount} frames, more than the ` +
+                `${MAX_RECORDING_FRAMES} allowed. Record fewer steps, lower the frame rate or leave out the transitions.`;
+            return;
+        }
+
+        const format = RECORDING_FORMATS[options.format];
+        recordingStatus.textContent = format.realTime ?
+            'Recording in real time; this takes as long as the playback.' : 'Encoding...';
+        recordingBar.value = 0;
+        recordingProgress.hidden = false;
+
+        const job = startRecording(options, (fraction) => { recordingBar.value = fraction; });
+        runningRecording = job;
+        job.promise
+            .then((blob) => {
+                if (!blob) return; // Cancelled
+                downloadBlob(`${recordingName}-playback.${format.extension}`, blob);
+                recordingStatus.textContent = `Recorded steps ${options.fromStep} to ${options.toStep} ` +
+                    `(${frameCount} frames, ${Math.ceil(blob.size / 1024)} KB).`;
+            })
+            .catch((error) => {
+                console.error('Recording failed:', error);
+                recordingStatus.textContent = `The recording failed: ${error.message}`;
+            })
+            .finally(() => {
+                if (runningRecording !== job) return;
+                runningRecording = null;
+                recordingProgress.hidden = true;
+            });
+    });
+    document.getElementById('cancel-recording').addEventListener('click', () => {
+        if (!runningRecording) return;
+        runningRecording.cancel(); // Resolves with null once the frame being drawn is done
+        recordingStatus.textContent = 'Recording cancelled.';
+    });
+
+    // --- Keyboard Shortcuts ---
+    const shortcutHelp = document.getElementById('shortcut-help');
+    let focusBeforeHelp = null; // Where focus goes back to when the help closes
+
+    // What each shortcut in SHORTCUTS does
+    const shortcutActions = {
+        'toggle-play': togglePlay,
+        'step-forward': stepForward,
+        'step-backward': stepBackward,
+        'run-to-breakpoint': runToNextBreakpoint,
+        'run-to-fault': runToNextFault,
+        'first-step': () => jumpToStep(0),
+        'last-step': () => jumpToStep(getLastStep()),
+        'speed-up': () => changeSpeed(1),
+        'slow-down': () => changeSpeed(-1),
+        help: () => showShortcutHelp(shortcutHelp.hidden)
+    };
+
+    // One row per shortcut in the help overlay
+    const shortcutList = document.getElementById('shortcut-list');
+    for (const shortcut of Object.values(SHORTCUTS)) {
+        const row = shortcutList.insertRow();
+        const key = document.createElement('kbd');
+        key.textContent = shortcut.label;
+        row.insertCell().appendChild(key);
+        row.insertCell().textContent = shortcut.description;
+    }
+
+    document.getElementById('show-shortcuts').addEventListener('click', () => showShortcutHelp(true));
+    document.getElementById('close-shortcut-help').addEventListener('click', () => showShortcutHelp(false));
+
+    document.addEventListener('keydown', (e) => {
+        // While the help is open, only the keys that close it do anything
+        if (!shortcutHelp.hidden) {
+            if (e.key === 'Escape' || e.key === '?') {
+                e.preventDefault();
+                showShortcutHelp(false);
+            }
+            return;
+        }
+        const id = findShortcut(e);
+        if (!id) return;
+        e.preventDefault(); // e.g., stop Space from scrolling the page
+        shortcutActions[id]();
+    });
+
+    /**
+     * Opens or closes the shortcut help, moving focus into it and back out again.
+     * @param {boolean} open - Whether the help should be shown.
+     */
+    function showShortcutHelp(open) {
+        shortcutHelp.hidden = !open;
+        if (open) {
+            focusBeforeHelp = document.activeElement;
+            document.getElementById('close-shortcut-help').focus();
+        } else if (focusBeforeHelp) {
+            focusBeforeHelp.focus();
+            focusBeforeHelp = null;
+        }
+    }
+
+    /**
+     * Moves the speed slider one notch, exactly as if it had been dragged.
+     * @param {number} direction - 1 for faster, -1 for slower.
+     */
+    function changeSpeed(direction) {
+        speedSlider.value = Number(speedSlider.value) + direction * Number(speedSlider.step);
+        setSpeed(speedSlider.value); // The slider clamps out-of-range values
+        scheduleHashUpdate();
+    }
+
+    // --- Breakpoints ---
+    const breakpointKind = document.getElementById('breakpoint-kind');
+    const breakpointValue = document.getElementById('breakpoint-value');
+    const breakpointStatus = document.getElementById('breakpoint-status');
+    for (const [id, kind] of Object.entries(BREAKPOINT_KINDS)) {
+        breakpointKind.add(new Option(kind.name, id));
+    }
+    // The value's label follows the kind, e.g. "Page" or "Faults in a row"
+    breakpointKind.addEventListener('change', () => {
+        document.getElementById('breakpoint-value-label').textContent =
+            `${BREAKPOINT_KINDS[breakpointKind.value].parameter.label}:`;
+    });
+
+    document.getElementById('breakpoint-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const value = readBreakpointValue(BREAKPOINT_KINDS[breakpointKind.value]);
+        if (value === null) return;
+        breakpoints.push({ kind: breakpointKind.value, value });
+        breakpointValue.value = '';
+        updateBreakpoints();
+    });
+    setAutoPauseHandler((step) => {
+        const match = breakpointMatches.find(match => match.step === step);
+        breakpointStatus.textContent = match ?
+            `Paused at step ${step}: ${describeMatch(match)}.` :
+            `Paused at step ${step}.`;
+    });
+
+    /**
+     * Lists the breakpoints, finds where they fire in the simulation on screen
+     * and hands those steps to the animation and the timeline.
+     */
+    function updateBreakpoints() {
+        document.getElementById('breakpoint-list').replaceChildren(...breakpoints.map((breakpoint, index) => {
+            const item = document.createElement('li');
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = 'Remove';
+            remove.setAttribute('aria-label', `Remove breakpoint: ${describeBreakpoint(breakpoint)}`);
+            remove.addEventListener('click', () => {
+                breakpoints.splice(index, 1);
+                updateBreakpoints();
+            });
+            item.append(`Pause on ${describeBreakpoint(breakpoint)} `, remove);
+            return item;
+        }));
+
+        breakpointMatches = shownSimulation ? findBreakpointSteps(shownSimulation, breakpoints) : [];
+        setPauseSteps(breakpointMatches.map(match => match.step));
+        drawTimelineMarkers();
+    }
+
+    /**
+     * Marks the steps where a breakpoint fires under the timeline slider.
+     * Clicking a marker jumps to its step.
+     */
+    function drawTimelineMarkers() {
+        const lastStep = getLastStep();
+        const markers = new Map(); // Marker position (0..MAX_TIMELINE_MARKERS) -> the first match there
+        if (lastStep > 0) {
+            for (const match of breakpointMatches) {
+                const position = Math.round((match.step / lastStep) * MAX_TIMELINE_MARKERS);
+                if (!markers.has(position)) markers.set(position, match);
+            }
+        }
+        document.getElementById('timeline-markers').replaceChildren(...[...markers].map(([position, match]) => {
+            const marker = document.createElement('span');
+            marker.className = 'timeline-marker';
+            marker.style.left = `${(position / MAX_TIMELINE_MARKERS) * 100}%`;
+            marker.title = `Step ${match.step}: ${describeMatch(match)}`;
+            marker.addEventListener('click', () => jumpToStep(match.step));
+            return marker;
+        }));
+    }
+
+    /**
+     * Writes out what fired at a step, e.g. "fault on page 3, 4 faults in a row".
+     * @param {object} match - {step, breakpoints} from findBreakpointSteps.
+     * @returns {string} The breakpoints that fired, in words.
+     */
+    function describeMatch(match) {
+        return match.breakpoints.map(index => describeBreakpoint(breakpoints[index])).join(', ');
+    }
+
+    /**
+     * Plays until the next step where a breakpoint fires.
+     */
+    function runToNextBreakpoint() {
+        if (!shownSimulation) return;
+        const from = getCurrentStep();
+        const next = breakpointMatches.find(match => match.step > from);
+        if (!next) {
+            breakpointStatus.textContent = breakpoints.length === 0 ?
+                'No breakpoints are set.' :
+                `No breakpoint fires after step ${from}.`;
+            return;
+        }
+        breakpointStatus.textContent = '';
+        runToStep(next.step);
+    }
+
+    /**
+     * Plays until the next page fault.
+     */
+    function runToNextFault() {
+        if (!shownSimulation) return;
+        const from = getCurrentStep();
+        const next = findNextFault(shownSimulation, from);
+        if (next === -1) {
+            breakpointStatus.textContent = `No page fault after step ${from}.`;
+            return;
+        }
+        breakpointStatus.textContent = '';
+        runToStep(next);
+    }
+
+    // --- Quiz Mode ---
+    const quizCheckbox = document.getElementById('quiz-mode');
+    const quizPanel = document.getElementById('quiz-panel');
+    const quizPrompt = document.getElementById('quiz-prompt');
+    const quizChoices = document.getElementById('quiz-choices');
+    const quizFeedback = document.getElementById('quiz-feedback');
+    const quizExportFormat = document.getElementById('quiz-export-format');
+    for (const [id, format] of Object.entries(QUIZ_EXPORT_FORMATS)) {
+        quizExportFormat.add(new Option(format.name, id));
+    }
+
+    quizCheckbox.addEventListener('change', () => {
+        if (quizCheckbox.checked) startQuiz();
+        else stopQuiz();
+    });
+    document.getElementById('finish-quiz').addEventListener('click', finishQuiz);
+    document.getElementById('export-quiz').addEventListener('click', () => {
+        if (!quizSummary) return;
+        const format = QUIZ_EXPORT_FORMATS[quizExportFormat.value];
+        downloadText(`quiz-summary.${format.extension}`, format.build(quizSummary), format.mimeType);
+    });
+    // Clicking a frame on the canvas answers "evict this frame"
+    document.getElementById('animation-canvas').addEventListener('click', (e) => {
+        if (!quiz || !quiz.pending) return;
+        const frame = getFrameAt(e.clientX, e.clientY);
+        const choice = quiz.pending.choices.find(choice => choice.kind === 'victim' && choice.frame === frame);
+        if (choice) answerQuiz(choice);
+    });
+
+    /**
+     * Starts a quiz on the simulation on screen, from the step currently shown.
+     */
+    function startQuiz() {
+        stopQuiz();
+        if (!shownSimulation) {
+            quizPanel.hidden = false;
+            quizPrompt.textContent = 'Start a simulation to be quizzed on it.';
+            return;
+        }
+        if (activeConfig.compare) {
+            quizPanel.hidden = false;
+            quizPrompt.textContent = 'Quiz mode follows one policy; turn off comparison mode and start again.';
+            return;
+        }
+        quiz = {
+            session: createQuizSession({
+                student: '',
+                policy: getPolicy(shownSimulation.policy).name,
+                frameCount: getFrameCount(shownSimulation),
+                referenceText: activeConfig.referenceText ?? `the imported trace ${activeConfig.traceName}`
+            }),
+            revealed: getCurrentStep(),
+            pending: null
+        };
+        setStepGuard(guardQuizStep);
+        setVictimHintsVisible(false);
+        setGridRevealedStep(quiz.revealed);
+        quizPanel.hidden = false;
+        document.getElementById('quiz-summary').hidden = true;
+        quizPrompt.textContent = 'Step forward or press Play to be asked about the next reference.';
+        quizFeedback.textContent = '';
+        updateQuizScore();
+    }
+
+    /**
+     * Leaves quiz mode without a summary.
+     */
+    function stopQuiz() {
+        quiz = null;
+        setStepGuard(null);
+        setVictimHintsVisible(true);
+        setGridRevealedStep(null);
+        quizPanel.hidden = true;
+        quizChoices.replaceChildren();
+    }
+
+    /**
+     * The step guard while quizzing: steps already answered may be shown again,
+     * but moving past them asks about the next one instead.
+     * @param {number} step - The step the view is about to move to.
+     * @param {boolean} playing - Whether playback was running (it resumes after the answer).
+     * @returns {boolean} Whether the move may go ahead.
+     */
+    function guardQuizStep(step, playing) {
+        if (step <= quiz.revealed) return true;
+        askQuiz(quiz.revealed + 1, playing);
+        return false;
+    }
+
+    /**
+     * Asks what the reference at a step will do.
+     * @param {number} step - The step to ask about.
+     * @param {boolean} resume - Whether to resume playback after the answer.
+     */
+    function askQuiz(step, resume) {
+        // The student answers from the frames they can see, at the step before
+        if (getCurrentStep() !== step - 1) jumpToStep(step - 1);
+        const { page, write } = getFrameState(shownSimulation, step);
+        const choices = getQuizChoices(getFrameState(shownSimulation, step - 1).frames, page, shownSimulation.processes);
+        quiz.pending = { step, choices, resume };
+
+        quizPrompt.textContent = `Step ${step}: page ${page} is ${write ? 'written' : 'read'}. What happens?`;
+        quizChoices.replaceChildren(...choices.map(choice => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = choice.label;
+            button.addEventListener('click', () => answerQuiz(choice));
+            return button;
+        }));
+        quizChoices.firstChild.focus();
+    }
+
+    /**
+     * Checks the answer to the pending question and reveals its step.
+     * @param {object} choice - The answer, one of the pending question's choices.
+     */
+    function answerQuiz(choice) {
+        const { step, resume } = quiz.pending;
+        const stepData = getStep(shownSimulation, step);
+        const result = checkQuizAnswer(stepData, choice, getPolicy(shownSimulation.policy).name);
+        quiz.session.record(step, stepData, choice, result);
+        quiz.pending = null;
+        quiz.revealed = step;
+
+        quizChoices.replaceChildren();
+        quizPrompt.textContent = '';
+        quizFeedback.textContent = `${result.correct ? 'Correct!' : 'Not quite.'} ${result.explanation}`;
+        quizFeedback.className = result.correct ? 'quiz-correct' : 'quiz-wrong';
+        updateQuizScore();
+        setGridRevealedStep(step);
+        stepForward();
+
+        if (step === getLastStep()) {
+            finishQuiz();
+        } else if (resume) {
+            play();
+        }
+    }
+
+    /**
+     * Shows the running score.
+     */
+    function updateQuizScore() {
+        const { answered, correct } = summarizeQuiz(quiz.session);
+        document.getElementById('quiz-score').textContent = `Score: ${correct} of ${answered}`;
+    }
+
+    /**
+     * Ends the quiz and shows its summary, ready to export.
+     */
+    function finishQuiz() {
+        if (!quiz) return;
+        quiz.session.info.student = document.getElementById('quiz-student').value.trim();
+        quizSummary = summarizeQuiz(quiz.session);
+        quizCheckbox.checked = false;
+        stopQuiz();
+        // The panel stays up, so the last answer's explanation and the score can still be read
+        quizPanel.hidden = false;
+        quizPrompt.textContent = 'Quiz finished.';
+        document.getElementById('quiz-summary-text').textContent = QUIZ_EXPORT_FORMATS.txt.build(quizSummary);
+        document.getElementById('quiz-summary').hidden = false;
+    }
+
+    // --- Fault Curve Analysis ---
+    document.getElementById('run-analysis').addEventListener('click', () => {
+        // Reuse the form's validation for the reference string
+        const params = handleFormSubmit();
+        if (!params) return;
+
+        const pages = params.references;
+        const maxFrames = Math.min(10, Math.max(1, parseInt(document.getElementById('analysis-max-frames').value) || 1));
+
+        // Every policy runs once per frame count, so a long trace is swept in the worker
+        if (runningSweep) runningSweep.cancel();
+        analysisStatus.textContent = '';
+        analysisBar.value = 0;
+        const progressTimer = setTimeout(() => { analysisProgress.hidden = false; }, 200);
+
+        const job = startFaultCurves(pages, maxFrames, (fraction) => { analysisBar.value = fraction; });
+        runningSweep = job;
+        job.promise
+            .then((curves) => {
+                if (!curves) return; // Cancelled
+                const names = Object.fromEntries(Object.entries(POLICIES).map(([id, policy]) => [id, policy.name]));
+                drawFaultCurves(curves, names, loadConfiguration);
+                showAnomalies(curves, maxFrames);
+            })
+            .catch((error) => {
+                console.error('Fault curve sweep failed:', error);
+                analysisStatus.textContent = `The sweep failed: ${error.message}`;
+            })
+            .finally(() => {
+                if (runningSweep !== job) return; // A newer sweep owns the progress bar now
+                runningSweep = null;
+                clearTimeout(progressTimer);
+                analysisProgress.hidden = true;
+            });
+    });
+    const analysisProgress = document.getElementById('analysis-progress');
+    const analysisBar = document.getElementById('analysis-progress-bar');
+    const analysisStatus = document.getElementById('analysis-status');
+    document.getElementById('cancel-analysis').addEventListener('click', () => {
+        if (!runningSweep) return;
+        runningSweep.cancel(); // Resolves with null, which also hides the progress bar
+        analysisStatus.textContent = 'Sweep cancelled.';
+    });
+
+    // --- Stack Distance Analysis ---
+    document.getElementById('run-stack-distance').addEventListener('click', () => {
+        // Reuse the form's validation for the reference string and frame count
+        const params = handleFormSubmit();
+        if (!params) return;
+
+        const analysis = computeStackDistances(params.references.map(reference => reference.page));
+        drawStackDistances(analysis, params.numFrames);
+        const localFrames = params.processOptions !== null && params.processOptions.scope !== 'global';
+        showStackDistanceSummary(analysis, params.numFrames, localFrames);
+        showReuseStatistics(analysis);
+    });
+
+    // --- Working Set Analysis ---
+    const allocationSelect = document.getElementById('allocation-policy');
+    for (const [id, policy] of Object.entries(ALLOCATION_POLICIES)) {
+        allocationSelect.add(new Option(policy.name, id));
+    }
+    // The fault-rate thresholds only apply to PFF
+    const pffThresholds = document.getElementById('pff-thresholds');
+    allocationSelect.addEventListener('change', () => {
+        pffThresholds.hidden = !ALLOCATION_POLICIES[allocationSelect.value].usesThresholds;
+    });
+
+    document.getElementById('working-set-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const options = readWorkingSetOptions(ALLOCATION_POLICIES[allocationSelect.value]);
+        if (!options) return;
+        if (!shownSimulation) {
+            document.getElementById('working-set-summary').textContent =
+                'Start a simulation first; the chart follows its timeline.';
+            return;
+        }
+        plotWorkingSet(allocationSelect.value, options);
+    });
+
+    /**
+     * Computes the working set and a variable-allocation policy over the
+     * reference string on screen, plots them and puts the cursor on the current step.
+     * @param {string} policyId - A key of ALLOCATION_POLICIES.
+     * @param {object} options - The options from readWorkingSetOptions.
+     */
+    function plotWorkingSet(policyId, options) {
+        const pages = getReferences(shownSimulation).map(reference => reference.page);
+        const allocation = runAllocationPolicy(policyId, pages, options);
+        workingSetView = { policyId, options, pages, allocation };
+
+        const name = ALLOCATION_POLICIES[policyId].name;
+        drawWorkingSet({
+            sizes: computeWorkingSetSizes(pages, options.windowSize),
+            frames: allocation.frames,
+            faultTotals: allocation.faultTotals,
+            windowSize: options.windowSize,
+            policyName: name
+        }, jumpToStep);
+
+        const percent = (fraction) => `${Number((fraction * 100).toFixed(2))}%`;
+        const thresholds = ALLOCATION_POLICIES[policyId].usesThresholds ?
+            ` (fault rate kept between ${percent(options.lowerThreshold)} and ${percent(options.upperThreshold)})` : '';
+        document.getElementById('working-set-summary').textContent =
+            `${name} with Δ = ${options.windowSize}${thresholds}: ${allocation.pageFaults} faults, ` +
+            `${allocation.averageFrames.toFixed(2)} frames on average, ${allocation.peakFrames} at most.`;
+        showWorkingSetStep(getCurrentStep());
+    }
+
+    /**
+     * Moves the working-set chart's cursor and describes W(t, Δ) at a step.
+     * @param {number} step - The step on screen.
+     */
+    function showWorkingSetStep(step) {
+        if (!workingSetView) return;
+        const { policyId, options, pages, allocation } = workingSetView;
+        setWorkingSetStep(step);
+
+        const workingSet = getWorkingSet(pages, step, options.windowSize);
+        const listed = workingSet.slice(0, MAX_LISTED_PAGES).join(', ') +
+            (workingSet.length > MAX_LISTED_PAGES ? ', …' : '');
+        const frames = allocation.frames[step];
+        document.getElementById('working-set-readout').textContent =
+            `Step ${step}: W(${step}, ${options.windowSize}) = {${listed}}, ${workingSet.length} ` +
+            `page${workingSet.length === 1 ? '' : 's'}. ${ALLOCATION_POLICIES[policyId].name} holds ` +
+            `${frames} frame${frames === 1 ? '' : 's'}; ${allocation.faultTotals[step]} faults so far.`;
+    }
+
+    // --- Reference String Generator ---
+    const modelSelect = document.getElementById('generator-model');
+    for (const [id, model] of Object.entries(GENERATORS)) {
+        modelSelect.add(new Option(model.name, id));
+    }
+    renderGeneratorParams(GENERATORS[modelSelect.value]);
+    modelSelect.addEventListener('change', () => renderGeneratorParams(GENERATORS[modelSelect.value]));
+
+    document.getElementById('generator-new-seed').addEventListener('click', () => {
+        document.getElementById('generator-seed').value = Math.floor(Math.random() * 1000000);
+    });
+
+    document.getElementById('generator-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const options = readGeneratorOptions(GENERATORS[modelSelect.value]);
+        if (!options) return;
+
+        // Put the generated string into the main form and run it through the normal
+        // submit handler, so it gets exactly the same validation as a typed string
+        const pages = generateReferenceString(modelSelect.value, options);
+        setImportedTrace(null); // A generated string replaces any imported trace
+        document.getElementById('reference-string').value = pages.join(',');
+        form.requestSubmit();
+    });
+
+    // --- Trace File Import ---
+    const formatSelect = document.getElementById('trace-format');
+    for (const [id, name] of Object.entries(TRACE_FORMATS)) {
+        formatSelect.add(new Option(name, id));
+    }
+
+    const fileInput = document.getElementById('trace-file');
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) importTraceFile(fileInput.files[0]);
+        fileInput.value = ''; // Allow re-importing the same file
+    });
+
+    // Drag-and-drop onto the drop zone
+    const dropZone = document.getElementById('trace-drop-zone');
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault(); // Required to allow dropping
+        dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault(); // Stop the browser from opening the file
+        dropZone.classList.remove('drag-over');
+        if (e.dataTransfer.files.length > 0) importTraceFile(e.dataTransfer.files[0]);
+    });
+
+    document.getElementById('trace-clear').addEventListener('click', () => {
+        setImportedTrace(null);
+        document.getElementById('trace-status').textContent = '';
+    });
+
+    // --- Step View / Grid View ---
+    const stepTab = document.getElementById('view-step');
+    const gridTab = document.getElementById('view-grid');
+    stepTab.addEventListener('click', () => showView('step'));
+    gridTab.addEventListener('click', () => showView('grid'));
+
+    /**
+     * Switches between the step-by-step canvas and the frame-by-time grid.
+     * @param {string} view - 'step' or 'grid'.
+     */
+    function showView(view) {
+        const grid = view === 'grid';
+        document.getElementById('animation-canvas').style.display = grid ? 'none' : 'block';
+        document.getElementById('grid-scroll').style.display = grid ? 'block' : 'none';
+        stepTab.setAttribute('aria-selected', String(!grid));
+        gridTab.setAttribute('aria-selected', String(grid));
+        // Whichever view was hidden could not draw, so catch it up
+        if (grid) redrawGridView();
+        else redrawAnimation();
+    }
+
+    // --- Links and Save Slots ---
+    // Keep the URL hash and the grid's highlighted column in sync with the step on screen
+    setStepChangeHandler((step) => {
+        scheduleHashUpdate();
+        setGridStep(step);
+        showWorkingSetStep(step);
+    });
+
+    /**
+     * Fills the form from a configuration and runs it, starting at its saved step and speed.
+     * @param {object} config - A configuration from the URL hash or a save slot.
+     */
+    function restoreConfiguration(config) {
+        applyConfiguration(config);
+        if (config.speed !== null) {
+            speedSlider.value = config.speed;
+            setSpeed(speedSlider.value); // The slider clamps out-of-range values
+        }
+        startSimulation(config.step);
+    }
+
+    /**
+     * Restores a configuration from a link. A link with custom policy code only
+     * fills the form: code from someone else is never run before it has been seen.
+     * @param {object} config - A configuration from the URL hash.
+     */
+    function restoreLinkedConfiguration(config) {
+        if (!config.customPolicy) {
+            restoreConfiguration(config);
+            return;
+        }
+        applyConfiguration(config);
+        document.getElementById('custom-policy-options').open = true;
+        simulationStatus.textContent = 'This link includes custom policy code. ' +
+            'Read it in the Custom Policy Editor, then press Start Simulation to run it.';
+    }
+
+    // A link to a simulation is restored on load, and whenever the hash is edited by hand
+    const linkedConfig = decodeConfiguration(window.location.hash);
+    if (linkedConfig) restoreLinkedConfiguration(linkedConfig);
+    window.addEventListener('hashchange', () => {
+        const config = decodeConfiguration(window.location.hash);
+        if (config) restoreLinkedConfiguration(config);
+    });
+
+    const saveStatus = document.getElementById('save-status');
+    const slotSelect = document.getElementById('save-slots');
+    refreshSlotMenu();
+
+    document.getElementById('copy-link').addEventListener('click', () => {
+        if (!activeConfig) {
+            saveStatus.textContent = 'Start a simulation first, then copy its link.';
+            return;
+        }
+        if (activeConfig.traceName) {
+            saveStatus.textContent = `A link cannot hold the imported trace ${activeConfig.traceName}; ` +
+                'share the trace file and these settings instead.';
+            return;
+        }
+        writeHash(); // Don't wait for the debounce timer
+        navigator.clipboard.writeText(window.location.href)
+            .then(() => { saveStatus.textContent = `Copied a link to step ${getCurrentStep()}.`; })
+            .catch(() => { saveStatus.textContent = 'Could not copy; copy the link from the address bar instead.'; });
+    });
+
+    document.getElementById('save-slot').addEventListener('click', () => {
+        const name = readSlotName();
+        if (!name) return;
+        if (!activeConfig) {
+            saveStatus.textContent = 'Start a simulation first, then save it.';
+            return;
+        }
+        if (activeConfig.traceName) {
+            saveStatus.textContent = `Save slots cannot hold the imported trace ${activeConfig.traceName}; ` +
+                'import the file again to rerun it.';
+            return;
+        }
+        try {
+            const replaced = saveSlot(name, currentConfiguration());
+            refreshSlotMenu();
+            slotSelect.value = name;
+            saveStatus.textContent = replaced ? `Replaced "${name}".` : `Saved "${name}".`;
+        } catch (error) {
+            console.error('Saving failed:', error);
+            saveStatus.textContent = `Could not save "${name}": ${error.message}`;
+        }
+    });
+
+    document.getElementById('load-slot').addEventListener('click', () => {
+        const config = loadSlot(slotSelect.value);
+        if (!config) return;
+        restoreConfiguration(config);
+        saveStatus.textContent = `Loaded "${slotSelect.value}".`;
+    });
+
+    document.getElementById('delete-slot').addEventListener('click', () => {
+        const name = slotSelect.value;
+        if (!name || !confirm(`Delete the saved example "${name}"?`)) return;
+        try {
+            deleteSlot(name);
+            refreshSlotMenu();
+            saveStatus.textContent = `Deleted "${name}".`;
+        } catch (error) {
+            console.error('Deleting failed:', error);
+            saveStatus.textContent = `Could not delete "${name}": ${error.message}`;
+        }
+    });
+
+    // Replaying a JSON export restores its steps as they are, without re-running the policies
+    const exportFile = document.getElementById('export-file');
+    document.getElementById('open-export').addEventListener('click', () => exportFile.click());
+    exportFile.addEventListener('change', async () => {
+        const file = exportFile.files[0];
+        exportFile.value = ''; // Allow opening the same file again
+        if (!file) return;
+        try {
+            const { parameters, simulations } = parseSimulationExport(await file.text());
+            activeConfig = {
+                policy: simulations[0].policy,
+                compare: simulations.length > 1,
+                comparePolicies: simulations.map(data => data.policy),
+                numFrames: parameters.numFrames,
+                referenceText: parameters.referenceText
+            };
+            applyConfiguration(activeConfig); // So the form matches what is on screen
+            showSimulations(simulations, 0);
+            saveStatus.textContent = `Opened ${file.name}.`;
+        } catch (error) {
+            console.error('Opening the export failed:', error);
+            saveStatus.textContent = `Could not open ${file.name}: ${error.message}`;
+        }
+    });
+
+    /**
+     * Rebuilds the saved examples menu from localStorage.
+     */
+    function refreshSlotMenu() {
+        const names = listSaveSlots();
+        slotSelect.replaceChildren(...names.map(name => new Option(name, name)));
+        slotSelect.disabled = names.length === 0;
+        document.getElementById('load-slot').disabled = names.length === 0;
+        document.getElementById('delete-slot').disabled = names.length === 0;
+    }
+
+    /**
+     * Loads one point of the fault curve into the step-by-step visualizer.
+     * @param {string} policyId - The policy that was clicked.
+     * @param {number} frameCount - The frame count that was clicked.
+     */
+    function loadConfiguration(policyId, frameCount) {
+        const compareMode = document.getElementById('compare-mode');
+        if (compareMode.checked) {
+            compareMode.checked = false;
+            compareMode.dispatchEvent(new Event('change'));
+        }
+        policySelect.value = policyId;
+        document.getElementById('num-frames').value = frameCount;
+        form.requestSubmit(); // Runs the normal submit handler above
+        document.getElementById('visualization-section').scrollIntoView({ behavior: 'smooth' });
+    }
 });
 
+/**
+ * The configuration of the simulation on screen, including its current step and speed.
+ * @returns {object} A configuration for persistence.js (activeConfig must be set).
+ */
+function currentConfiguration() {
+    return {
+        ...activeConfig,
+        step: getCurrentStep(),
+        speed: parseInt(document.getElementById('speed-slider').value)
+    };
+}
+
+/**
+ * Offers some text as a file download.
+ * @param {string} name - The file name.
+ * @param {string} text - The file contents.
+ * @param {string} mimeType - The file's MIME type.
+ */
+function downloadText(name, text, mimeType) {
+    downloadBlob(name, new Blob([text], { type: mimeType }));
+}
+
+/**
+ * Offers a Blob as a file download.
+ * @param {string} name - The file name.
+ * @param {Blob} blob - The file contents.
+ */
+function downloadBlob(name, blob) {
+    const link = document.createElement('a');
+    link.download = name;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Writes the simulation on screen into the URL hash. replaceState is used so
+ * that stepping through a simulation does not fill up the browser history.
+ * A simulation of an imported trace has no link (the trace is not in its
+ * configuration), so the hash is cleared instead of pointing at another run.
+ */
+function writeHash() {
+    clearTimeout(hashTimeout);
+    if (!activeConfig) return;
+    if (activeConfig.traceName) {
+        if (window.location.hash) history.replaceState(null, '', window.location.pathname + window.location.search);
+        return;
+    }
+    history.replaceState(null, '', `#${encodeConfiguration(currentConfiguration())}`);
+}
+
+/**
+ * Updates the URL hash once playback or scrubbing settles, since browsers
+ * throttle frequent history updates.
+ */
+function scheduleHashUpdate() {
+    clearTimeout(hashTimeout);
+    hashTimeout = setTimeout(writeHash, 300);
+}
+
+/**
+ * Lists every Belady's anomaly found by the fault-curve analysis.
+ * @param {object[]} curves - The result of computeFaultCurves.
+ * @param {number} maxFrames - The largest frame count that was swept.
+ */
+function showAnomalies(curves, maxFrames) {
+    const items = [];
+    for (const curve of curves) {
+        for (const anomaly of curve.anomalies) {
+            const item = document.createElement('li');
+            item.className = 'anomaly';
+            item.textContent = `Belady's anomaly in ${POLICIES[curve.policy].name}: ` +
+                `${anomaly.frames - 1} → ${anomaly.frames} frames raises faults from ${anomaly.previousFaults} to ${anomaly.faults}.`;
+            items.push(item);
+        }
+    }
+    if (items.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = `No Belady's anomaly for any policy with 1 to ${maxFrames} frames.`;
+        items.push(item);
+    }
+    document.getElementById('anomaly-list').replaceChildren(...items);
+}
+
+/**
+ * Explains the stack-distance charts in words: where the hit ratio for the
+ * form's frame count comes from, the best any frame count can do, and the
+ * most common distance (a loop over that many pages).
+ * @param {object} analysis - The result of computeStackDistances.
+ * @param {number} frameCount - The frame count on the form.
+ * @param {boolean} localFrames - Whether processes only replace their own frames,
+ *   which LRU's single stack does not model.
+ */
+function showStackDistanceSummary(analysis, frameCount, localFrames) {
+    const { references, distinctPages, coldMisses, histogram } = analysis;
+    const percent = (count) => `${((count / references) * 100).toFixed(1)}%`;
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const hits = getLruHits(analysis, frameCount);
+
+    let text = `LRU with ${plural(frameCount, 'frame')} hits every reference at stack distance ` +
+        `${frameCount} or less: ${hits} of ${references} references (${percent(hits)}), ` +
+        (localFrames ? `as LRU would with global replacement (each process's own frames are not modelled). ` :
+            `the hit ratio the simulation reports for LRU. `);
+    const common = findCommonDistances(analysis);
+    if (common.length === 0) {
+        text += `No page is used twice, so every reference misses whatever the frame count (a pure scan).`;
+    } else {
+        // The largest distance is the frame count from which every reuse hits
+        text += `The first use of each of the ${plural(distinctPages, 'page')} always misses, so ` +
+            `${histogram.length - 1} frames or more reach the best possible ${percent(references - coldMisses)}. ` +
+            (common.length === 1 ? `The most common distance is ${common[0]} (${histogram[common[0]]} references); ` :
+                `The most common distances are ${common.join(', ')} (${histogram[common[0]]} references each); `) +
+            `a loop over k pages gives its references distance k, so LRU needs k frames to hit it at all.`;
+    }
+    document.getElementById('stack-distance-summary').textContent = text;
+}
+
+/**
+ * Fills the per-page reuse table with the most referenced pages.
+ * @param {object} analysis - The result of computeStackDistances.
+ */
+function showReuseStatistics(analysis) {
+    const format = (value) => (value === null ? '—' : Number(value.toFixed(1)));
+    const rows = analysis.pages.slice(0, MAX_LISTED_PAGES).map(entry => {
+        const row = document.createElement('tr');
+        for (const value of [entry.page, entry.references, format(entry.meanDistance),
+            format(entry.maxDistance), format(entry.meanInterval)]) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.append(cell);
+        }
+        return row;
+    });
+    document.getElementById('reuse-body').replaceChildren(...rows);
+    document.getElementById('reuse-table').style.display = rows.length > 0 ? '' : 'none';
+    document.getElementById('reuse-note').textContent = analysis.pages.length > MAX_LISTED_PAGES ?
+        `The ${MAX_LISTED_PAGES} most referenced of ${analysis.pages.length} pages. ` +
+        `Mean Interval is the average number of steps between a page's uses.` :
+        `Mean Interval is the average number of steps between a page's uses.`;
+}
+
+// Bumped on every import, so a slow import is abandoned when a newer one starts
+let importGeneration = 0;
+
+/**
+ * Reads and parses a trace file in chunks, showing progress as it goes,
+ * then loads the result as the simulation's reference string.
+ * @param {File} file - The file picked or dropped by the user.
+ */
+async function importTraceFile(file) {
+    const options = readTraceImportOptions();
+    if (!options) return;
+
+    const generation = ++importGeneration;
+    const status = document.getElementById('trace-status');
+    const progress = document.getElementById('trace-progress');
+    status.textContent = `Reading ${file.name}...`;
+    progress.value = 0;
+    progress.hidden = false;
+
+    try {
+        const text = await file.text();
+        const result = await parseTrace(
+            text,
+            options,
+            (fraction) => { progress.value = fraction; },
+            () => generation !== importGeneration // Cancelled by a newer import
+        );
+        if (!result) return;
+
+        if (result.references.length === 0) {
+            status.textContent = `No references found in ${file.name}.`;
+            return;
+        }
+
+        setImportedTrace({ name: file.name, references: result.references });
+        const writes = result.references.filter(ref => ref.write).length;
+        let summary = `Imported ${result.references.length} references (${writes} writes) ` +
+            `from ${file.name} as ${TRACE_FORMATS[result.format]}.`;
+        if (result.skipped > 0) {
+            summary += ` Skipped ${result.skipped} unreadable lines (first at line ${result.firstSkippedLine}).`;
+        }
+        status.textContent = summary;
+    } catch (error) {
+        console.error('Trace import failed:', error);
+        status.textContent = `Could not import ${file.name}: ${error.message}`;
+    } finally {
+        if (generation === importGeneration) progress.hidden = true;
+    }
+}
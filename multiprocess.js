@@ -0,0 +1,239 @@
+/**
+ * multiprocess.js
+ * * Several processes sharing one pool of frames. Each line of the reference
+ * string is one process, labelled with its name:
+ *   A: 1, 2, 3
+ *   B: 7, 8, 1
+ * A schedule interleaves the processes' references into one reference string
+ * whose pages are named "A:1", "B:7", ..., so page 1 of A and page 1 of B are
+ * different pages; algorithm.js runs that string like any other.
+ * The pool is shared either globally (a fault may take a frame from any
+ * process) or locally, with each process held to its own allocation of frames.
+ * This file does not interact with the DOM.
+ */
+
+import { parseReferenceString } from './parser.js';
+
+// A process label at the start of a line: a name starting with a letter, then ':'
+const LABEL_PATTERN = /^([ \t]*)([A-Za-z]\w*)[ \t]*:/;
+
+/**
+ * How the frame pool is shared, keyed by id.
+ * - name: The name shown in the UI.
+ * - allocate(processes, frameCount): The frames each process may hold (one
+ *   number per process), or null when any process may use any frame. The local
+ *   scopes throw a RangeError if there are fewer frames than processes.
+ */
+export const REPLACEMENT_SCOPES = {
+    global: {
+        name: 'Global replacement',
+        allocate: () => null
+    },
+    'local-fixed': {
+        name: 'Local, fixed allocation (equal shares)',
+        allocate: allocateEqually
+    },
+    'local-proportional': {
+        name: 'Local, proportional allocation (by process size)',
+        allocate: allocateProportionally
+    }
+};
+
+/**
+ * The schedules that interleave the processes, keyed by id.
+ * - name: The name shown in the UI.
+ */
+export const SCHEDULES = {
+    'round-robin': { name: 'Round robin' },
+    custom: { name: 'Custom order' }
+};
+
+// Colours that tell processes apart in the frames, in the order processes are listed
+export const PROCESS_COLORS = ["#ffb347", "#c58cff", "#7cf5d4", "#ff8cc6", "#f5e67c", "#8cb4ff"];
+
+/**
+ * Whether a reference string is written as labelled processes ("A: 1,2,3").
+ * @param {string} text - The raw reference string.
+ * @returns {boolean} true if any line starts with a process label.
+ */
+export function hasProcessLabels(text) {
+    return text.split('\n').some(line => LABEL_PATTERN.test(line));
+}
+
+/**
+ * Parses one labelled line per process. Each line's references use the normal
+ * reference string syntax (ranges, repeat groups, writes).
+ * @param {string} text - The raw text, e.g. "A: 1,2,3\nB: 7,8,1".
+ * @returns {object} {processes, error}. On success 'processes' is an array of
+ *   {name, references} in the order written and 'error' is null. On failure
+ *   'processes' is null and 'error' is {message, start, end}, indexing 'text'.
+ */
+export function parseProcesses(text) {
+    const processes = [];
+    let lineStart = 0;
+    for (const line of text.split('\n')) {
+        const fail = (message, start, end) => ({
+            processes: null,
+            error: { message, start: lineStart + start, end: lineStart + end }
+        });
+
+        if (line.trim() !== '') {
+            const label = LABEL_PATTERN.exec(line);
+            if (!label) {
+                return fail('Start every line with a process name, e.g. "A: 1,2,3".', 0, line.length);
+            }
+            const name = label[2];
+            const nameStart = label[1].length;
+            if (processes.some(process => process.name === name)) {
+                return fail(`Process ${name} is listed twice.`, nameStart, nameStart + name.length);
+            }
+
+            const body = line.slice(label[0].length);
+            const result = parseReferenceString(body);
+            if (result.error) {
+                return fail(result.error.message, label[0].length + result.error.start, label[0].length + result.error.end);
+            }
+            processes.push({ name, references: result.references });
+        }
+        lineStart += line.length + 1; // Past the newline
+    }
+
+    if (processes.length === 0) {
+        return { processes: null, error: { message: 'Enter at least one process.', start: 0, end: text.length } };
+    }
+    return { processes, error: null };
+}
+
+/**
+ * Reads a custom schedule: process names separated by commas or spaces, such
+ * as "A, A, B". Each name gives that process one reference, and the order repeats.
+ * @param {string} text - The schedule as typed.
+ * @param {object[]} processes - The processes from parseProcesses.
+ * @returns {object} {order, error}: 'order' holds process indexes; 'error' is
+ *   {message, start, end} (indexing 'text') or null.
+ */
+export function parseScheduleOrder(text, processes) {
+    const order = [];
+    const tokenPattern = /[^\s,]+/g;
+    let match;
+    while ((match = tokenPattern.exec(text)) !== null) {
+        const index = processes.findIndex(process => process.name === match[0]);
+        if (index === -1) {
+            return {
+                order: null,
+                error: { message: `There is no process called "${match[0]}".`, start: match.index, end: match.index + match[0].length }
+            };
+        }
+        order.push(index);
+    }
+
+    // Every process must get turns, or its references would never run
+    const missing = processes.find((process, index) => !order.includes(index));
+    if (missing) {
+        return { order: null, error: { message: `Give process ${missing.name} at least one turn.`, start: 0, end: text.length } };
+    }
+    return { order, error: null };
+}
+
+/**
+ * Interleaves the processes' references into one reference string.
+ * Processes that have run out of references are skipped.
+ * @param {object[]} processes - {name, references} per process.
+ * @param {object} schedule - {kind: 'round-robin', quantum} (each process runs
+ *   'quantum' references per turn) or {kind: 'custom', order} (process indexes
+ *   from parseScheduleOrder, one reference each, repeated).
+ * @returns {object[]} {page, write} references, with pages named "A:1".
+ */
+export function interleaveProcesses(processes, schedule) {
+    const turns = schedule.kind === 'custom' ?
+        schedule.order.map(index => ({ index, count: 1 })) :
+        processes.map((process, index) => ({ index, count: schedule.quantum }));
+
+    const positions = processes.map(() => 0); // Next reference of each process
+    let remaining = processes.reduce((total, process) => total + process.references.length, 0);
+    const references = [];
+    while (remaining > 0) {
+        for (const turn of turns) {
+            const process = processes[turn.index];
+            for (let i = 0; i < turn.count && positions[turn.index] < process.references.length; i++) {
+                const { page, write } = process.references[positions[turn.index]++];
+                references.push({ page: `${process.name}:${page}`, write });
+                remaining--;
+            }
+        }
+    }
+    return references;
+}
+
+/**
+ * The process a page belongs to.
+ * @param {number|string} page - A page ("A:1" in a multi-process run).
+ * @returns {string|null} The process name, or null for a single-process page number.
+ */
+export function getProcessName(page) {
+    return typeof page === 'string' ? page.slice(0, page.indexOf(':')) : null;
+}
+
+/**
+ * The colour of a page's process.
+ * @param {number|string} page - A page ("A:1" in a multi-process run).
+ * @param {object[]} processes - {name} per process, in the order listed.
+ * @returns {string|null} A colour from PROCESS_COLORS, or null for a single-process page.
+ */
+export function getProcessColor(page, processes) {
+    const index = processes.findIndex(process => process.name === getProcessName(page));
+    return index === -1 ? null : PROCESS_COLORS[index % PROCESS_COLORS.length];
+}
+
+// --- Frame Allocation ---
+
+/**
+ * Local replacement needs at least one frame per process: a process with no
+ * frames would have nothing to replace on its first fault.
+ * @throws {RangeError} If there are fewer frames than processes.
+ */
+function checkFramesPerProcess(processes, frameCount) {
+    if (frameCount < processes.length) {
+        throw new RangeError(`Local replacement needs at least one frame per process ` +
+            `(${processes.length} processes, ${frameCount} frames).`);
+    }
+}
+
+/**
+ * Fixed allocation: every process gets the same share; frames that do not
+ * divide evenly go to the first processes.
+ */
+function allocateEqually(processes, frameCount) {
+    checkFramesPerProcess(processes, frameCount);
+    const share = Math.floor(frameCount / processes.length);
+    const extra = frameCount % processes.length;
+    return processes.map((process, index) => share + (index < extra ? 1 : 0));
+}
+
+/**
+ * Proportional allocation: a_i = s_i / S × m, where s_i is the number of
+ * distinct pages process i uses and m is the frame count. Every process gets
+ * at least one frame, and the frames left over after rounding down go to the
+ * largest remainders.
+ */
+function allocateProportionally(processes, frameCount) {
+    checkFramesPerProcess(processes, frameCount);
+    const sizes = processes.map(process => new Set(process.references.map(reference => reference.page)).size);
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    const exact = sizes.map(size => (size / total) * frameCount);
+    const quotas = exact.map(share => Math.max(1, Math.floor(share)));
+
+    let left = frameCount - quotas.reduce((sum, quota) => sum + quota, 0);
+    const byRemainder = exact.map((share, index) => index)
+        .sort((a, b) => (exact[b] - Math.floor(exact[b])) - (exact[a] - Math.floor(exact[a])));
+    for (let i = 0; left > 0; i = (i + 1) % byRemainder.length, left--) {
+        quotas[byRemainder[i]]++;
+    }
+    // The minimum of one frame may have given out too many; take them back from the largest
+    while (left < 0) {
+        const largest = quotas.indexOf(Math.max(...quotas));
+        quotas[largest]--;
+        left++;
+    }
+    return quotas;
+}
@@ -0,0 +1,214 @@
+/**
+ * parser.js
+ * * The single parser for typed reference strings, shared by the input form
+ * and everything else that accepts a reference string.
+ * This file does not interact with the DOM.
+ *
+ * Supported syntax:
+ *   1, 2, 3        - entries separated by commas, spaces and/or newlines
+ *   1-5            - an inclusive range (5-1 counts down)
+ *   (1,2,3)x4      - a group repeated 4 times (groups can be nested)
+ *   3w or W3       - a write to page 3 (3r / R3 is an explicit read; plain 3 is a read)
+ *   1-5w           - a range of writes (the marker applies to the whole range)
+ * Negative page numbers and anything that is not a whole number are rejected.
+ * formatReferenceString does the reverse, for links and saved examples.
+ */
+
+// Guards against shorthand like (1-1000)x100000 producing a giant array
+export const MAX_REFERENCES = 100000;
+
+/**
+ * Parses a reference string.
+ * @param {string} text - The raw text typed by the user.
+ * @returns {object} {references, error}. On success 'references' is an array of
+ *   {page, write} objects and 'error' is null. On failure 'references' is null and
+ *   'error' is {message, start, end}, where start/end index the offending text.
+ */
+export function parseReferenceString(text) {
+    const state = { text, index: 0 };
+    try {
+        const references = parseList(state, null);
+        if (references.length === 0) {
+            throw parseError('Enter at least one page number.', 0, text.length);
+        }
+        return { references, error: null };
+    } catch (error) {
+        if (error.isParseError) {
+            return { references: null, error: { message: error.message, start: error.start, end: error.end } };
+        }
+        throw error; // A real bug, not a user mistake
+    }
+}
+
+/**
+ * Creates an error that points at text[start..end).
+ */
+function parseError(message, start, end) {
+    const error = new Error(message);
+    error.isParseError = true;
+    error.start = start;
+    error.end = Math.max(end, start + 1); // Always point at something, even at the end of the text
+    return error;
+}
+
+/**
+ * Parses entries until the end of the text, or until 'closer' (')') for a group.
+ * @param {object} state - {text, index}; 'index' is advanced as text is consumed.
+ * @param {string|null} closer - The character that ends this list, or null for the top level.
+ * @returns {object[]} The {page, write} references in this list.
+ */
+function parseList(state, closer) {
+    const pages = [];
+    let expectEntry = false; // true right after a comma
+
+    for (;;) {
+        skipWhitespace(state);
+        const char = state.text[state.index];
+
+        // End of this list
+        if (char === undefined || char === closer) {
+            if (expectEntry) {
+                throw parseError('Expected a page number after this comma.', state.index - 1, state.index);
+            }
+            if (char === undefined && closer) {
+                throw parseError(`Missing "${closer}" to close this group.`, state.text.length, state.text.length);
+            }
+            return pages;
+        }
+        if (char === ',') {
+            // Two commas in a row (e.g., "1,,2"), or a comma at the very start
+            throw parseError('Empty entry: expected a page number here.', state.index, state.index + 1);
+        }
+        if (char === ')') {
+            throw parseError('This ")" has no matching "(".', state.index, state.index + 1);
+        }
+
+        const entry = char === '(' ? parseGroup(state) : parseWord(state);
+        for (const page of entry) pages.push(page);
+        if (pages.length > MAX_REFERENCES) {
+            throw parseError(`Too many references (the limit is ${MAX_REFERENCES}).`, 0, state.index);
+        }
+
+        // Separator: a comma, whitespace, or the end of the list
+        const before = state.index;
+        skipWhitespace(state);
+        expectEntry = false;
+        if (state.text[state.index] === ',') {
+            state.index++;
+            expectEntry = true;
+        } else if (state.index === before && state.index < state.text.length && state.text[state.index] !== ')') {
+            // Something is glued to the previous entry, e.g. "(1,2)3"
+            throw parseError('Expected a comma or space before this.', state.index, state.index + 1);
+        }
+    }
+}
+
+/**
+ * Parses "(list)" followed by an optional repeat count "x4".
+ * @returns {object[]} The expanded references.
+ */
+function parseGroup(state) {
+    const open = state.index;
+    state.index++; // Skip '('
+    const inner = parseList(state, ')');
+    if (inner.length === 0) {
+        throw parseError('Empty group.', open, state.index + 1);
+    }
+    state.index++; // Skip ')'
+
+    // Optional repeat count, e.g. "x4" (spaces allowed around the x)
+    const repeat = /^\s*[xX×*]\s*(\S*?)(?=[\s,()]|$)/.exec(state.text.slice(state.index));
+    if (!repeat) return inner;
+
+    const countStart = state.index + repeat[0].length - repeat[1].length;
+    const count = repeat[1];
+    if (!/^\d+$/.test(count)) {
+        throw parseError(`"${count}" is not a valid repeat count.`, countStart, countStart + count.length);
+    }
+    state.index += repeat[0].length;
+
+    const times = Number(count);
+    if (times < 1) {
+        throw parseError('A group must repeat at least once.', countStart, state.index);
+    }
+    if (inner.length * times > MAX_REFERENCES) {
+        throw parseError(`Too many references (the limit is ${MAX_REFERENCES}).`, open, state.index);
+    }
+    const pages = [];
+    for (let i = 0; i < times; i++) pages.push(...inner);
+    return pages;
+}
+
+/**
+ * Parses a single word: a page number or a range like "1-5", with an optional
+ * read/write marker before or after it ("W3", "3w", "1-5w").
+ * A word runs until the next separator or bracket.
+ * @returns {object[]} The {page, write} reference (or references, for a range).
+ */
+function parseWord(state) {
+    const start = state.index;
+    while (state.index < state.text.length && !/[\s,()]/.test(state.text[state.index])) {
+        state.index++;
+    }
+    const word = state.text.slice(start, state.index);
+
+    const match = /^([rw]?)(\d+)(?:-(\d+))?([rw]?)$/i.exec(word);
+    if (match) {
+        const [, prefix, fromText, toText, suffix] = match;
+        if (prefix && suffix) {
+            throw parseError(`Use one read/write marker, not two ("${word}").`, start, state.index);
+        }
+        const write = (prefix || suffix).toLowerCase() === 'w';
+        const from = Number(fromText);
+        const to = toText === undefined ? from : Number(toText);
+        if (Math.abs(to - from) + 1 > MAX_REFERENCES) {
+            throw parseError(`Too many references (the limit is ${MAX_REFERENCES}).`, start, state.index);
+        }
+        const step = from <= to ? 1 : -1;
+        const references = [];
+        for (let page = from; page !== to + step; page += step) references.push({ page, write });
+        return references;
+    }
+
+    if (/^[rw]?-\d+/i.test(word)) {
+        throw parseError(`Negative page numbers are not allowed ("${word}").`, start, state.index);
+    }
+    throw parseError(`"${word}" is not a page number.`, start, state.index);
+}
+
+/**
+ * Turns references back into text that parseReferenceString reads as the same references.
+ * Runs of three or more consecutive pages with the same access type become ranges,
+ * which keeps long sequential traces short.
+ * @param {object[]} references - {page, write} references.
+ * @returns {string} E.g. "1-4,7w,2".
+ */
+export function formatReferenceString(references) {
+    const words = [];
+    let i = 0;
+    while (i < references.length) {
+        const { page, write } = references[i];
+        // Extend the run while pages keep counting up by one with the same access type
+        let end = i;
+        while (end + 1 < references.length &&
+               references[end + 1].page === references[end].page + 1 &&
+               references[end + 1].write === write) {
+            end++;
+        }
+        const marker = write ? 'w' : '';
+        if (end - i >= 2) {
+            words.push(`${page}-${references[end].page}${marker}`);
+            i = end + 1;
+        } else {
+            words.push(`${page}${marker}`);
+            i++;
+        }
+    }
+    return words.join(',');
+}
+
+function skipWhitespace(state) {
+    while (state.index < state.text.length && /\s/.test(state.text[state.index])) {
+        state.index++;
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * persistence.js
+ * * Keeps simulations around: encodes a configuration into the URL hash (so a
+ * link can point at "step 14 of this example") and stores named save slots
+ * in localStorage.
+ * A configuration is {policy, compare, comparePolicies, numFrames, referenceText,
+ * processOptions, translationOptions, customPolicy, step, speed}; processOptions ({schedule,
+ * quantum, order, scope}) is only set for multi-process reference strings, translationOptions
+ * ({pageSize, tlbSize, tlbPolicy, tlbLatency}) only with address translation on and
+ * customPolicy (the policy editor's code) only when the custom policy is run.
+ * This file does not interact with the DOM.
+ */
+
+// localStorage key holding every save slot, as one JSON object keyed by slot name
+const SLOTS_KEY = 'page-replacement-visualizer.slots';
+
+/**
+ * Encodes a configuration as URL hash parameters, e.g.
+ * "policy=lru&frames=3&refs=1-4%2C2&step=14&speed=1000".
+ * @param {object} config - The configuration to encode.
+ * @returns {string} The hash, without the leading '#'.
+ */
+export function encodeConfiguration(config) {
+    const params = new URLSearchParams();
+    if (config.compare) {
+        params.set('compare', config.comparePolicies.join(','));
+    } else {
+        params.set('policy', config.policy);
+    }
+    params.set('frames', config.numFrames);
+    params.set('refs', config.referenceText);
+    if (config.processOptions) {
+        params.set('schedule', config.processOptions.schedule);
+        params.set('quantum', config.processOptions.quantum);
+        params.set('order', config.processOptions.order);
+        params.set('scope', config.processOptions.scope);
+    }
+    if (config.translationOptions) {
+        params.set('pagesize', config.translationOptions.pageSize);
+        params.set('tlb', config.translationOptions.tlbSize);
+        params.set('tlbpolicy', config.translationOptions.tlbPolicy);
+        params.set('tlbtime', config.translationOptions.tlbLatency);
+    }
+    if (config.customPolicy) {
+        params.set('code', config.customPolicy);
+    }
+    params.set('step', config.step);
+    params.set('speed', config.speed);
+    return params.toString();
+}
+
+/**
+ * Reads a configuration back from a URL hash.
+ * Values are only checked for shape here; the input form validates them
+ * like anything the user typed.
+ * @param {string} hash - The hash, with or without the leading '#'.
+ * @returns {object|null} The configuration, or null if the hash does not hold one.
+ */
+export function decodeConfiguration(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('refs')) return null;
+
+    const comparePolicies = (params.get('compare') || '').split(',').filter(id => id !== '');
+    const speed = parseInt(params.get('speed'));
+    return {
+        policy: params.get('policy'),
+        compare: comparePolicies.length > 0,
+        comparePolicies,
+        numFrames: params.get('frames') || '',
+        referenceText: params.get('refs'),
+        processOptions: params.has('scope') ? {
+            schedule: params.get('schedule') || 'round-robin',
+            quantum: params.get('quantum') || '',
+            order: params.get('order') || '',
+            scope: params.get('scope')
+        } : null,
+        translationOptions: params.has('tlb') ? {
+            pageSize: params.get('pagesize') || '',
+            tlbSize: params.get('tlb'),
+            tlbPolicy: params.get('tlbpolicy') || 'lru',
+            tlbLatency: params.get('tlbtime') || ''
+        } : null,
+        customPolicy: params.get('code'), // null when the link has no custom policy
+        step: Math.max(0, parseInt(params.get('step')) || 0),
+        speed: Number.isNaN(speed) ? null : speed // null keeps the current speed
+    };
+}
+
+// --- Save Slots ---
+
+/**
+ * Lists the names of every save slot, alphabetically.
+ * @returns {string[]} The slot names.
+ */
+export function listSaveSlots() {
+    return Object.keys(readSlots()).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Stores a configuration under a name, replacing any slot with the same name.
+ * Throws if localStorage is unavailable or full.
+ * @param {string} name - The slot name.
+ * @param {object} config - The configuration to store.
+ * @returns {boolean} true if an existing slot was replaced.
+ */
+export function saveSlot(name, config) {
+    const slots = readSlots();
+    const replaced = Object.prototype.hasOwnProperty.call(slots, name);
+    slots[name] = config;
+    localStorage.setItem(SLOTS_KEY, JSON.stringify(slots));
+    return replaced;
+}
+
+/**
+ * Reads the configuration stored under a name.
+ * @param {string} name - The slot name.
+ * @returns {object|null} The configuration, or null if there is no such slot.
+ */
+export function loadSlot(name) {
+    const slots = readSlots();
+    return Object.prototype.hasOwnProperty.call(slots, name) ? slots[name] : null;
+}
+
+/**
+ * Removes a save slot. Throws if localStorage is unavailable.
+ * @param {string} name - The slot name.
+ */
+export function deleteSlot(name) {
+    const slots = readSlots();
+    delete slots[name];
+    localStorage.setItem(SLOTS_KEY, JSON.stringify(slots));
+}
+
+/**
+ * Reads every slot. Missing, corrupt or blocked storage counts as "no slots".
+ */
+function readSlots() {
+    try {
+        const slots = JSON.parse(localStorage.getItem(SLOTS_KEY));
+        return slots && typeof slots === 'object' ? slots : {};
+    } catch (error) {
+        console.error('Could not read save slots:', error);
+        return {};
+    }
+}
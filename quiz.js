@@ -0,0 +1,215 @@
+/**
+ * quiz.js
+ * * Practice mode: before a reference is shown, the student predicts what it
+ * does (a hit, a fault into an empty frame, or a fault that evicts a given
+ * frame), and the answer is checked against the simulation's step.
+ * A quiz session keeps every answer, so the run can end with a score and a
+ * summary file for graded lab exercises.
+ * This file does not interact with the DOM.
+ */
+
+import { getProcessName } from './multiprocess.js';
+
+/**
+ * Every summary format, keyed by id (used for the quiz export dropdown).
+ * - name: Label shown in the dropdown.
+ * - extension / mimeType: Used for the downloaded file.
+ * - build: (summary) => the file contents as a string (summary from summarizeQuiz).
+ */
+export const QUIZ_EXPORT_FORMATS = {
+    txt: { name: 'Plain Text (.txt)', extension: 'txt', mimeType: 'text/plain', build: buildTextSummary },
+    csv: { name: 'CSV (.csv)', extension: 'csv', mimeType: 'text/csv', build: buildCsvSummary },
+    json: { name: 'JSON (.json)', extension: 'json', mimeType: 'application/json', build: (summary) => JSON.stringify(summary, null, 2) }
+};
+
+/**
+ * The answers a student can give for the next reference, given the frames before it.
+ * While a frame is empty a fault needs no victim, so "Fault" is one answer;
+ * once every frame is full, each frame is a possible victim.
+ * Under local replacement a process that already holds its quota of frames
+ * replaces one of its own even while other frames are empty, so its own
+ * frames are offered as victims alongside the empty-frame fault.
+ * @param {Array<number|string>} frames - The frames before the reference (-1 = empty).
+ * @param {number|string} [page] - The page referenced (needed for a multi-process run).
+ * @param {object[]} [processes] - The run's processes, {name, quota} each, for a multi-process run.
+ * @returns {object[]} {kind, frame, label} answers: kind is 'hit', 'fault' or 'victim'
+ *   ('frame' is only set for 'victim').
+ */
+export function getQuizChoices(frames, page = null, processes = null) {
+    const choices = [{ kind: 'hit', frame: null, label: 'Hit' }];
+    const hasEmpty = frames.includes(-1);
+    let replaceable = frames.map((_, frame) => frame);
+    let atQuota = false;
+    if (processes && processes[0].quota !== null) {
+        // Local replacement: only the referencing process's own frames can be replaced
+        const name = getProcessName(page);
+        const quota = processes.find(process => process.name === name).quota;
+        replaceable = replaceable.filter(frame => frames[frame] !== -1 && getProcessName(frames[frame]) === name);
+        atQuota = replaceable.length >= quota;
+    }
+    if (hasEmpty) {
+        choices.push({ kind: 'fault', frame: null, label: 'Fault (into an empty frame)' });
+    }
+    if (!hasEmpty || atQuota) {
+        replaceable.forEach((frame) => {
+            choices.push({ kind: 'victim', frame, label: `Fault, evict page ${frames[frame]} (frame ${frame})` });
+        });
+    }
+    return choices;
+}
+
+/**
+ * The correct answer for a step.
+ * @param {object} step - The step being asked about (see the Step typedef in algorithm.js).
+ * @returns {object} {kind, frame}, as in getQuizChoices.
+ */
+export function getExpectedAnswer(step) {
+    switch (step.action) {
+        case 'hit':
+            return { kind: 'hit', frame: null };
+        case 'cold-fill':
+            return { kind: 'fault', frame: null };
+        default:
+            return { kind: 'victim', frame: step.victimIndex };
+    }
+}
+
+/**
+ * Checks an answer and explains the right one.
+ * @param {object} step - The step being asked about.
+ * @param {object} answer - {kind, frame}, one of the choices from getQuizChoices.
+ * @param {string} policyName - The policy's name, for the explanation.
+ * @returns {object} {correct, expected, explanation}.
+ */
+export function checkQuizAnswer(step, answer, policyName) {
+    const expected = getExpectedAnswer(step);
+    const correct = answer.kind === expected.kind && answer.frame === expected.frame;
+
+    let explanation;
+    if (expected.kind === 'hit') {
+        explanation = `Page ${step.page} was already in frame ${step.frameIndex}, so the reference is a hit.`;
+    } else if (expected.kind === 'fault') {
+        explanation = `Page ${step.page} was not in any frame, so it faults; frame ${step.frameIndex} ` +
+            `was still empty, so nothing is evicted.`;
+    } else {
+        explanation = `Page ${step.page} was not in any frame, so it faults. ${policyName} evicts page ` +
+            `${step.evictedPage} from frame ${step.victimIndex}`;
+        if (answer.kind === 'victim' && !correct) {
+            // Any other frame still holds the same page after the step
+            explanation += `, not page ${step.frames[answer.frame]} from frame ${answer.frame}`;
+        }
+        explanation += step.reason ? `: ${step.reason}.` : '.';
+    }
+    return { correct, expected, explanation };
+}
+
+/**
+ * Starts a quiz session for one simulation.
+ * @param {object} info - {student, policy, frameCount, referenceText}, kept for the summary.
+ * @returns {object} {info, answers, record(stepIndex, step, answer, result)}: 'answers'
+ *   grows by one {step, page, kind, answer, expected, correct} entry per recorded answer
+ *   (answer and expected as written by describeQuizAnswer).
+ */
+export function createQuizSession(info) {
+    const answers = [];
+    return {
+        info,
+        answers,
+        record(stepIndex, step, answer, result) {
+            answers.push({
+                step: stepIndex,
+                page: step.page,
+                kind: result.expected.kind,
+                answer: describeQuizAnswer(answer),
+                expected: describeQuizAnswer(result.expected),
+                correct: result.correct
+            });
+        }
+    };
+}
+
+/**
+ * Writes an answer out in words, e.g. "hit" or "evict frame 2".
+ * @param {object} answer - {kind, frame}.
+ * @returns {string} The answer in words.
+ */
+export function describeQuizAnswer(answer) {
+    switch (answer.kind) {
+        case 'hit':
+            return 'hit';
+        case 'fault':
+            return 'fault';
+        default:
+            return `evict frame ${answer.frame}`;
+    }
+}
+
+/**
+ * Totals a session's answers.
+ * @param {object} session - A session from createQuizSession.
+ * @returns {object} {...session.info, answered, correct, score, byKind, answers}:
+ *   'score' is the percentage correct (0 with nothing answered) and 'byKind'
+ *   counts {answered, correct} for hits, faults into empty frames and evictions.
+ */
+export function summarizeQuiz(session) {
+    const byKind = {
+        hit: { answered: 0, correct: 0 },
+        fault: { answered: 0, correct: 0 },
+        victim: { answered: 0, correct: 0 }
+    };
+    for (const answer of session.answers) {
+        byKind[answer.kind].answered++;
+        if (answer.correct) byKind[answer.kind].correct++;
+    }
+    const answered = session.answers.length;
+    const correct = session.answers.filter(answer => answer.correct).length;
+    return {
+        ...session.info,
+        answered,
+        correct,
+        score: answered > 0 ? (correct / answered) * 100 : 0,
+        byKind,
+        answers: session.answers
+    };
+}
+
+// --- Exporters ---
+
+/**
+ * A readable report: the score, the breakdown and every wrong answer.
+ */
+function buildTextSummary(summary) {
+    const lines = [
+        'Page Replacement Quiz',
+        '=====================',
+        `Student: ${summary.student || 'N/A'}`,
+        `Policy: ${summary.policy}, ${summary.frameCount} frames`,
+        `Reference string: ${summary.referenceText}`,
+        '',
+        `Score: ${summary.correct} of ${summary.answered} correct (${summary.score.toFixed(1)}%)`,
+        `  Hits: ${summary.byKind.hit.correct} of ${summary.byKind.hit.answered}`,
+        `  Faults into empty frames: ${summary.byKind.fault.correct} of ${summary.byKind.fault.answered}`,
+        `  Evictions: ${summary.byKind.victim.correct} of ${summary.byKind.victim.answered}`,
+        ''
+    ];
+    const mistakes = summary.answers.filter(answer => !answer.correct);
+    lines.push(mistakes.length === 0 ? 'No mistakes.' : 'Mistakes:');
+    for (const answer of mistakes) {
+        lines.push(`  Step ${answer.step} (page ${answer.page}): answered ${answer.answer}, expected ${answer.expected}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * One row per answer, with the student and policy on every row so several
+ * students' files can be concatenated.
+ */
+function buildCsvSummary(summary) {
+    const field = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const rows = [['student', 'policy', 'frames', 'step', 'page', 'answer', 'expected', 'correct']];
+    for (const answer of summary.answers) {
+        rows.push([field(summary.student || ''), summary.policy, summary.frameCount, answer.step,
+            field(String(answer.page)), answer.answer, answer.expected, answer.correct ? 1 : 0]);
+    }
+    return rows.map(row => row.join(',')).join('\n') + '\n';
+}
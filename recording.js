@@ -0,0 +1,177 @@
+/**
+ * recording.js
+ * * Records the playback of the simulation on screen as an animated GIF
+ * (encoded by gif-encoder.js) or a WebM video (a MediaRecorder on a canvas
+ * stream). Every step is drawn by animation.js onto an off-screen canvas of
+ * the chosen size, held as long as the animation speed holds it on screen,
+ * and optionally tweened in from the step before.
+ */
+
+import { drawRecordingFrame, getStepTiming, getCanvasSize } from './animation.js';
+import { createGifEncoder } from './gif-encoder.js';
+
+// The most frames one recording may have (a GIF keeps every one of them in memory)
+export const MAX_RECORDING_FRAMES = 3000;
+
+// Extra time the last step stays up, so the end can be seen before a GIF starts over
+const FINAL_HOLD = 1000;
+
+/**
+ * Every recording format, keyed by id (used for the recording format dropdown).
+ * - name: Label shown in the dropdown.
+ * - extension / mimeType: Used for the downloaded file.
+ * - isSupported: () => whether this browser can record it.
+ * - realTime: Whether recording takes as long as the playback (MediaRecorder
+ *   timestamps frames as they arrive).
+ */
+export const RECORDING_FORMATS = {
+    gif: {
+        name: 'Animated GIF (.gif)',
+        extension: 'gif',
+        mimeType: 'image/gif',
+        isSupported: () => true,
+        realTime: false
+    },
+    webm: {
+        name: 'WebM Video (.webm)',
+        extension: 'webm',
+        mimeType: 'video/webm',
+        isSupported: () => typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported('video/webm') &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function',
+        realTime: true
+    }
+};
+
+/**
+ * Every recording size, keyed by id (used for the resolution dropdown).
+ * 'width' and 'height' are null for the size of the canvas on screen.
+ */
+export const RECORDING_SIZES = {
+    canvas: { name: 'Same as the canvas', width: null, height: null },
+    '640x360': { name: '640 × 360', width: 640, height: 360 },
+    '960x540': { name: '960 × 540', width: 960, height: 540 },
+    '1280x720': { name: '1280 × 720', width: 1280, height: 720 }
+};
+
+/**
+ * Lists the frames of a recording: each is one step, drawn part-way through
+ * its tween or finished, and held for a while.
+ * @param {object} options - {fromStep, toStep, fps, transitions}, as from readRecordingOptions in ui.js.
+ * @returns {object[]} {step, progress, duration} per frame (duration in milliseconds).
+ */
+export function planRecording(options) {
+    const { fromStep, toStep, fps, transitions } = options;
+    const timing = getStepTiming();
+    const frameTime = 1000 / fps;
+    // The tween runs at the frame rate; the finished step fills the rest of the delay
+    const tweenFrames = transitions ? Math.max(1, Math.round(timing.transition / frameTime)) : 0;
+
+    const frames = [];
+    for (let step = fromStep; step <= toStep; step++) {
+        let held = timing.delay;
+        if (step > fromStep) {
+            for (let i = 1; i < tweenFrames; i++) {
+                frames.push({ step, progress: i / tweenFrames, duration: frameTime });
+                held -= frameTime;
+            }
+        }
+        frames.push({ step, progress: 1, duration: Math.max(frameTime, held) + (step === toStep ? FINAL_HOLD : 0) });
+    }
+    return frames;
+}
+
+/**
+ * Records the playback in the background.
+ * @param {object} options - {format, size, fps, fromStep, toStep, transitions, stats}, as from
+ *   readRecordingOptions in ui.js ('format' a key of RECORDING_FORMATS, 'size' of RECORDING_SIZES).
+ * @param {function} [onProgress] - Called with the fraction done (0 to 1).
+ * @returns {object} {promise, cancel}. 'promise' resolves with the recording as a
+ *   Blob, or with null if cancel() was called first. It rejects if the browser
+ *   fails to record.
+ */
+export function startRecording(options, onProgress) {
+    let cancelled = false;
+    let size = RECORDING_SIZES[options.size];
+    if (size.width === null) {
+        // A hidden canvas (e.g. behind the grid view) has no size to copy
+        const canvasSize = getCanvasSize();
+        size = canvasSize.width > 0 && canvasSize.height > 0 ? canvasSize : RECORDING_SIZES['960x540'];
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    // GIF frames are read back from the canvas
+    const ctx = canvas.getContext('2d', { willReadFrequently: options.format === 'gif' });
+
+    const frames = planRecording(options);
+    const record = options.format === 'gif' ? recordGif : recordWebm;
+    const promise = record(canvas, ctx, frames, options, (done) => {
+        if (onProgress) onProgress(done / frames.length);
+        return cancelled;
+    });
+    return {
+        promise,
+        // Stops after the frame being drawn; the promise resolves with null
+        cancel() {
+            cancelled = true;
+        }
+    };
+}
+
+/**
+ * Draws and encodes every frame as a GIF, giving the page a turn between frames.
+ * @param {function} advance - Called with the number of frames done; returns whether to stop.
+ */
+async function recordGif(canvas, ctx, frames, options, advance) {
+    const encoder = createGifEncoder(canvas.width, canvas.height);
+    for (let i = 0; i < frames.length; i++) {
+        const frame = frames[i];
+        drawRecordingFrame(ctx, frame.step, frame.progress, options.stats);
+        encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, frame.duration);
+        if (advance(i + 1)) return null;
+        await wait(0);
+    }
+    return new Blob([encoder.finish()], { type: RECORDING_FORMATS.gif.mimeType });
+}
+
+/**
+ * Plays every frame into a MediaRecorder in real time. The stream only takes
+ * a frame when asked to, so a held step is one frame that stays up.
+ * @param {function} advance - Called with the number of frames done; returns whether to stop.
+ */
+async function recordWebm(canvas, ctx, frames, options, advance) {
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType: RECORDING_FORMATS.webm.mimeType });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise((resolve, reject) => {
+        recorder.onstop = resolve;
+        recorder.onerror = (e) => reject(e.error || new Error('The browser stopped the recording.'));
+    });
+
+    // The first frame is on the canvas before recording starts
+    drawRecordingFrame(ctx, frames[0].step, frames[0].progress, options.stats);
+    recorder.start();
+    let cancelled = false;
+    for (let i = 0; i < frames.length && !cancelled; i++) {
+        const frame = frames[i];
+        if (i > 0) drawRecordingFrame(ctx, frame.step, frame.progress, options.stats);
+        track.requestFrame();
+        await wait(frame.duration);
+        cancelled = advance(i + 1);
+    }
+    recorder.stop();
+    track.stop();
+    await stopped;
+    return cancelled ? null : new Blob(chunks, { type: RECORDING_FORMATS.webm.mimeType });
+}
+
+/**
+ * Resolves after a delay.
+ */
+function wait(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
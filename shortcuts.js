@@ -0,0 +1,49 @@
+/**
+ * shortcuts.js
+ * * The keyboard shortcuts for the simulation controls. main.js binds them and
+ * builds the shortcut help overlay from the same list, so the two always agree.
+ * This file does not interact with the DOM.
+ */
+
+/**
+ * Every shortcut, keyed by id (main.js maps each id to what it does).
+ * - keys: The KeyboardEvent.key values that trigger it.
+ * - label: How the key is shown in the help overlay.
+ * - description: What it does, for the help overlay.
+ */
+export const SHORTCUTS = {
+    'toggle-play': { keys: [' '], label: 'Space', description: 'Play / pause' },
+    'step-forward': { keys: ['ArrowRight'], label: '→', description: 'Step forward' },
+    'step-backward': { keys: ['ArrowLeft'], label: '←', description: 'Step backward' },
+    'run-to-breakpoint': { keys: ['b'], label: 'B', description: 'Run to the next breakpoint' },
+    'run-to-fault': { keys: ['f'], label: 'F', description: 'Run to the next page fault' },
+    'first-step': { keys: ['Home'], label: 'Home', description: 'Go to the first step' },
+    'last-step': { keys: ['End'], label: 'End', description: 'Go to the last step' },
+    'speed-up': { keys: ['+', '='], label: '+', description: 'Play faster' },
+    'slow-down': { keys: ['-', '_'], label: '−', description: 'Play slower' },
+    help: { keys: ['?'], label: '?', description: 'Show or hide this list' }
+};
+
+// Keys are left alone while one of these has focus, so typing and slider/dropdown keys still work
+const TEXT_ENTRY_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+// Space activates a focused button or link; it must not also toggle playback
+const ACTIVATABLE_TAGS = ['BUTTON', 'A', 'SUMMARY'];
+
+/**
+ * Finds the shortcut a key press triggers.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @returns {string|null} The shortcut id, or null if the key is not a shortcut here.
+ */
+export function findShortcut(event) {
+    // Leave browser and system shortcuts (Ctrl+R, Alt+←, ...) alone
+    if (event.ctrlKey || event.metaKey || event.altKey) return null;
+
+    const target = event.target || {};
+    if (TEXT_ENTRY_TAGS.includes(target.tagName) || target.isContentEditable) return null;
+    if (event.key === ' ' && ACTIVATABLE_TAGS.includes(target.tagName)) return null;
+
+    for (const [id, shortcut] of Object.entries(SHORTCUTS)) {
+        if (shortcut.keys.includes(event.key)) return id;
+    }
+    return null;
+}
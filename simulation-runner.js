@@ -0,0 +1,140 @@
+/**
+ * simulation-runner.js
+ * * Starts simulations (and fault-curve sweeps) in simulation-worker.js and
+ * reports their progress.
+ * If workers are not available (e.g., some browsers block them for pages
+ * opened straight from disk), the same work runs on the main thread instead.
+ * A custom policy only ever runs in the worker, which is stopped if it takes
+ * longer than CUSTOM_POLICY_TIME_LIMIT.
+ */
+
+import { recordSimulation } from './step-store.js';
+import { computeFaultCurves } from './analysis.js';
+import { runTranslation } from './translation.js';
+import { CUSTOM_POLICY_ID, CUSTOM_POLICY_TIME_LIMIT } from './custom-policy.js';
+
+/**
+ * Runs one or more policies over the same input in the background.
+ * @param {object[]} runs - One {policyId, references, frameCount, latencies, processes, translation,
+ *   customPolicy} per policy ('processes' only for a multi-process run, as for runPolicy;
+ *   'translation' only with address translation on, as for runTranslation; 'customPolicy'
+ *   only for the custom policy, as for runPolicy).
+ * @param {function} [onProgress] - Called with the fraction done (0 to 1, over all runs).
+ * @returns {object} {promise, cancel}. 'promise' resolves with one simulation data
+ *   object per run (see recordSimulation, with its 'translation' added when asked for),
+ *   or with null if cancel() was called first. It rejects if a run fails, including a
+ *   custom policy that errs or runs out of time.
+ */
+export function startSimulations(runs, onProgress) {
+    // A stuck policy cannot stop itself, so the whole worker goes
+    const timeLimited = runs.some(run => run.policyId === CUSTOM_POLICY_ID);
+    return startWorkerJob({ runs }, (settle) => runOnMainThread(runs, settle), onProgress, timeLimited);
+}
+
+/**
+ * Sweeps the frame count for every policy in the background (see computeFaultCurves).
+ * @param {Array<number|object>} references - The reference string.
+ * @param {number} maxFrames - The largest frame count to try.
+ * @param {function} [onProgress] - Called with the fraction done (0 to 1, over all policies).
+ * @returns {object} {promise, cancel}. 'promise' resolves with the curves from
+ *   computeFaultCurves, or with null if cancel() was called first.
+ */
+export function startFaultCurves(references, maxFrames, onProgress) {
+    return startWorkerJob({ faultCurves: { references, maxFrames } }, (settle) => {
+        try {
+            settle(computeFaultCurves(references, maxFrames));
+        } catch (error) {
+            settle(null, error);
+        }
+    }, onProgress, false);
+}
+
+/**
+ * Posts a job to a new simulation worker and settles with its result.
+ * @param {object} message - The message for simulation-worker.js.
+ * @param {function} fallback - Runs the job on the main thread if no worker can start;
+ *   called with settle(value, error).
+ * @param {function} [onProgress] - Called with the fraction done.
+ * @param {boolean} timeLimited - Whether to stop the worker after CUSTOM_POLICY_TIME_LIMIT.
+ * @returns {object} {promise, cancel}, as for startSimulations.
+ */
+function startWorkerJob(message, fallback, onProgress, timeLimited) {
+    let worker = null;
+    let settle = null; // Resolves the promise; null once it has settled
+    let timeLimit = null; // Stops a custom policy that runs too long
+
+    const promise = new Promise((resolve, reject) => {
+        settle = (value, error) => {
+            settle = null;
+            clearTimeout(timeLimit);
+            if (worker) worker.terminate();
+            if (error) reject(error);
+            else resolve(value);
+        };
+        if (timeLimited) {
+            timeLimit = setTimeout(() => {
+                if (settle) settle(null, new Error(`The custom policy did not finish within ` +
+                    `${CUSTOM_POLICY_TIME_LIMIT / 1000} seconds. Check it for an endless loop.`));
+            }, CUSTOM_POLICY_TIME_LIMIT);
+        }
+
+        try {
+            worker = new Worker(new URL('./simulation-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Simulation worker unavailable, running on the main thread:', error);
+            fallback(settle);
+            return;
+        }
+
+        worker.onmessage = (e) => {
+            if (!settle) return;
+            const reply = e.data;
+            if (reply.type === 'progress') {
+                if (onProgress) onProgress(reply.fraction);
+            } else if (reply.type === 'done') {
+                settle(reply.results);
+            } else {
+                settle(null, new Error(reply.message));
+            }
+        };
+        // A worker that fails to load (rather than failing a run) falls back to the main thread
+        worker.onerror = (e) => {
+            if (!settle) return;
+            e.preventDefault();
+            console.warn('Simulation worker failed, running on the main thread:', e.message);
+            worker.terminate();
+            worker = null;
+            fallback(settle);
+        };
+        worker.postMessage(message);
+    });
+
+    return {
+        promise,
+        // Stops the worker straight away; the promise resolves with null
+        cancel() {
+            if (settle) settle(null);
+        }
+    };
+}
+
+/**
+ * The fallback: records every run on the main thread (which blocks it until done).
+ */
+function runOnMainThread(runs, settle) {
+    if (runs.some(run => run.policyId === CUSTOM_POLICY_ID)) {
+        settle(null, new Error('The custom policy needs a Web Worker to run in, and this page cannot start one. ' +
+            'Try serving the page from a local web server.'));
+        return;
+    }
+    try {
+        settle(runs.map(run => {
+            const data = recordSimulation(run.policyId, run.references, run.frameCount,
+                { latencies: run.latencies, processes: run.processes });
+            if (run.translation) data.translation = runTranslation(data, run.translation);
+            return data;
+        }));
+    } catch (error) {
+        settle(null, error);
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * simulation-worker.js
+ * * Runs simulations in a Web Worker, so long traces do not freeze the page.
+ * It records the steps compactly (see step-store.js) and sends the typed
+ * arrays back without copying them. Started and cancelled by simulation-runner.js.
+ * A custom policy (see custom-policy.js) keeps every step instead: rebuilding a
+ * step from a recording replays the policy, and its code must not run on the page.
+ *
+ * It also sweeps the frame count for the fault curves (see analysis.js).
+ *
+ * Messages in:  {runs: [{policyId, references, frameCount, latencies, processes, translation,
+ *               customPolicy}]}, or {faultCurves: {references, maxFrames}}
+ * Messages out: {type: 'progress', fraction} while running (0 to 1, over all runs),
+ *               {type: 'done', results} with one simulation data object per run
+ *               (or the curves from computeFaultCurves),
+ *               {type: 'error', message} if a run throws.
+ */
+
+import { runPolicy } from './algorithm.js';
+import { recordSimulation } from './step-store.js';
+import { CUSTOM_POLICY_ID } from './custom-policy.js';
+import { runTranslation } from './translation.js';
+import { computeFaultCurves } from './analysis.js';
+
+self.onmessage = (e) => {
+    const { runs, faultCurves } = e.data;
+    try {
+        if (faultCurves) {
+            const results = computeFaultCurves(faultCurves.references, faultCurves.maxFrames, undefined,
+                (fraction) => self.postMessage({ type: 'progress', fraction }));
+            self.postMessage({ type: 'done', results });
+            return;
+        }
+        const results = runs.map((run, index) => {
+            const options = {
+                latencies: run.latencies,
+                processes: run.processes,
+                customPolicy: run.customPolicy,
+                onProgress: (fraction) => self.postMessage({ type: 'progress', fraction: (index + fraction) / runs.length })
+            };
+            const data = run.policyId === CUSTOM_POLICY_ID ?
+                runPolicy(run.policyId, run.references, run.frameCount, options) :
+                recordSimulation(run.policyId, run.references, run.frameCount, options);
+            // The TLB follows the finished run (see translation.js)
+            if (run.translation) data.translation = runTranslation(data, run.translation);
+            return data;
+        });
+        // Hand over the typed arrays instead of cloning them
+        const buffers = results.filter(data => data.record).flatMap(data => Object.values(data.record)
+            .filter(value => ArrayBuffer.isView(value))
+            .map(array => array.buffer));
+        self.postMessage({ type: 'done', results }, buffers);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
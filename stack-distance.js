@@ -0,0 +1,138 @@
+/**
+ * stack-distance.js
+ * * Mattson's stack-distance analysis. LRU has the inclusion property: with
+ * k + 1 frames it holds every page it would hold with k frames. So every
+ * frame count can share one LRU stack (the most recently used page on top),
+ * and a reference's stack distance, its page's depth in that stack (1 = top),
+ * says exactly which frame counts hit it: LRU with k frames hits every
+ * reference whose distance is k or less. One pass over the reference string
+ * therefore gives LRU's hit ratio for every frame count at once.
+ * The reuse distance (the number of other distinct pages used since the page's
+ * last use) is the stack distance minus 1. A page's first reference has no
+ * distance: it misses with any number of frames.
+ * This file does not interact with the DOM.
+ */
+
+/**
+ * Computes the stack distance of every reference in one pass.
+ * Counting the distinct pages used since a page's last use is done with a
+ * Fenwick tree over time that marks the step each page was last used at, so
+ * the pass takes O(n log n) however deep the stack gets.
+ * @param {Array<number|string>} pages - The page referenced at each step (step 1 is pages[0]).
+ * @returns {object} {references, distinctPages, coldMisses, distances, histogram, lruHits,
+ *   hitRatios, pages}:
+ *   - distances[i]: The stack distance of pages[i] (0 for a first reference).
+ *   - histogram[d]: How many references have distance d (index 0 is unused).
+ *   - lruHits[k - 1] / hitRatios[k - 1]: LRU's hits and hit ratio (a percentage) with
+ *     k frames, for k = 1 to distinctPages; more frames than that hit no more.
+ *   - pages: Per page, most referenced first: {page, references, reuses, meanDistance,
+ *     maxDistance, meanInterval}. The means are null for a page used only once;
+ *     'meanInterval' is the average number of steps between its uses.
+ */
+export function computeStackDistances(pages) {
+    const count = pages.length;
+    const distances = new Int32Array(count);
+    const tree = new Int32Array(count + 1); // Fenwick tree; position t + 1 is step t + 1
+    const lastUse = new Map(); // Page -> the index of its last reference
+    const stats = new Map(); // Page -> {references, distanceSum, maxDistance, firstUse}
+
+    const add = (index, delta) => {
+        for (let i = index + 1; i <= count; i += i & -i) tree[i] += delta;
+    };
+    const marksUpTo = (index) => { // Pages whose last use is at 'index' or earlier
+        let total = 0;
+        for (let i = index + 1; i > 0; i -= i & -i) total += tree[i];
+        return total;
+    };
+
+    let maxDistance = 0;
+    for (let t = 0; t < count; t++) {
+        const page = pages[t];
+        if (lastUse.has(page)) {
+            const previous = lastUse.get(page);
+            // Every page last used after 'previous' sits above this one in the stack
+            const distance = marksUpTo(t - 1) - marksUpTo(previous) + 1;
+            distances[t] = distance;
+            maxDistance = Math.max(maxDistance, distance);
+            add(previous, -1);
+
+            const entry = stats.get(page);
+            entry.references++;
+            entry.distanceSum += distance;
+            entry.maxDistance = Math.max(entry.maxDistance, distance);
+        } else {
+            stats.set(page, { references: 1, distanceSum: 0, maxDistance: 0, firstUse: t });
+        }
+        add(t, 1);
+        lastUse.set(page, t);
+    }
+
+    const histogram = new Int32Array(maxDistance + 1);
+    for (const distance of distances) {
+        if (distance > 0) histogram[distance]++;
+    }
+
+    // Inclusion: k frames hit every reference of distance k or less
+    const distinctPages = stats.size;
+    const lruHits = new Int32Array(distinctPages);
+    const hitRatios = new Float64Array(distinctPages);
+    let hits = 0;
+    for (let k = 1; k <= distinctPages; k++) {
+        if (k <= maxDistance) hits += histogram[k];
+        lruHits[k - 1] = hits;
+        hitRatios[k - 1] = (hits / count) * 100;
+    }
+
+    const pageStats = [...stats].map(([page, entry]) => {
+        const reuses = entry.references - 1;
+        return {
+            page,
+            references: entry.references,
+            reuses,
+            meanDistance: reuses > 0 ? entry.distanceSum / reuses : null,
+            maxDistance: reuses > 0 ? entry.maxDistance : null,
+            meanInterval: reuses > 0 ? (lastUse.get(page) - entry.firstUse) / reuses : null
+        };
+    }).sort((a, b) => b.references - a.references);
+
+    return {
+        references: count,
+        distinctPages,
+        coldMisses: distinctPages,
+        distances,
+        histogram,
+        lruHits,
+        hitRatios,
+        pages: pageStats
+    };
+}
+
+/**
+ * LRU's hits with a given number of frames, read from a stack-distance analysis.
+ * @param {object} analysis - The result of computeStackDistances.
+ * @param {number} frameCount - The number of frames (1 or more).
+ * @returns {number} The number of hits; the same count runPolicy('lru', ...) reports.
+ */
+export function getLruHits(analysis, frameCount) {
+    if (analysis.distinctPages === 0) return 0;
+    return analysis.lruHits[Math.min(frameCount, analysis.distinctPages) - 1];
+}
+
+/**
+ * The distances the most references share, e.g. to spot a loop over k pages
+ * (which gives every reference in the loop distance k).
+ * @param {object} analysis - The result of computeStackDistances.
+ * @returns {number[]} The distances with the highest count, smallest first
+ *   (empty if no page is used twice).
+ */
+export function findCommonDistances(analysis) {
+    const { histogram } = analysis;
+    let most = 0;
+    for (let d = 1; d < histogram.length; d++) most = Math.max(most, histogram[d]);
+    const common = [];
+    if (most === 0) return common;
+    for (let d = 1; d < histogram.length; d++) {
+        if (histogram[d] === most) common.push(d);
+    }
+    return common;
+}
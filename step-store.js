@@ -0,0 +1,373 @@
+/**
+ * step-store.js
+ * * Compact storage for the steps of long simulations. Instead of a full copy of
+ * the frames and the policy's bookkeeping for every reference (what runPolicy
+ * keeps), a recording holds a few typed arrays saying what each reference did,
+ * plus a checkpoint of the frames every CHECKPOINT_INTERVAL references:
+ *   - The frames at any step are rebuilt from the checkpoint before it (cheap).
+ *   - A full step, with the policy's bookkeeping and the reason for its victim,
+ *     is rebuilt by replaying the policy up to it. Replays resume where the last
+ *     one stopped, so playing forward costs one reference per step, and save the
+ *     policy's state at every checkpoint they pass, so stepping back replays at
+ *     most CHECKPOINT_INTERVAL references.
+ * The rest of the app reads steps through getStepCount / getStep / getFrameState,
+ * which work the same for recordings and for plain 'steps' arrays (runPolicy
+ * results and imported JSON exports).
+ * Multi-process pages ("A:1") are stored as numbers too: indexes into the
+ * recording's 'pageNames' list.
+ * This file does not interact with the DOM.
+ */
+
+import { createSimulation, summarizeSimulation } from './algorithm.js';
+import { getProcessName } from './multiprocess.js';
+
+// References between two checkpoints (bounds the work of rebuilding one step's frames, or
+// of replaying back to a step the policy has already passed)
+export const CHECKPOINT_INTERVAL = 256;
+// How often recordSimulation reports progress
+const PROGRESS_INTERVAL = 65536;
+// Recently rebuilt full steps kept per simulation (the renderer asks for a step and the one before it)
+const STEP_CACHE_SIZE = 8;
+
+// Compact codes for step.action in a recording
+const ACTIONS = ['hit', 'cold-fill', 'eviction'];
+
+// Replay cursors and rebuilt steps, per recorded simulation
+const replays = new WeakMap();
+
+/**
+ * Runs a policy and records its steps compactly.
+ * @param {string} policyId - A key of the POLICIES registry.
+ * @param {Array<number|object>} pages - The reference string (page numbers or {page, write} objects).
+ * @param {number} frameCount - The number of frames.
+ * @param {object} [options] - latencies and processes (as for runPolicy), and onProgress:
+ *   called now and then with the fraction of references processed (0 to 1).
+ * @returns {object} A simulation data object with the same stats as runPolicy's,
+ *   but a 'record' (typed arrays only, so it can be transferred from a worker)
+ *   instead of a 'steps' array.
+ */
+export function recordSimulation(policyId, pages, frameCount, options = {}) {
+    const simulation = createSimulation(policyId, pages, frameCount, options);
+    const count = simulation.references.length;
+    const checkpoints = Math.floor(count / CHECKPOINT_INTERVAL) + 1;
+    const processCount = simulation.processes ? simulation.processes.length : 0;
+
+    // Pages are kept as doubles: traces can hold page numbers of 2^31 and above,
+    // which an Int32Array would wrap (4294967295 would even become -1, an empty frame)
+    const record = {
+        frameCount,
+        pages: new Float64Array(count),
+        writes: new Uint8Array(count),
+        actions: new Uint8Array(count),
+        frameIndexes: new Int32Array(count),
+        evictedPages: new Float64Array(count), // -1 = nothing evicted
+        writeBackFlags: new Uint8Array(count),
+        faultTotals: new Int32Array(count),
+        writeBackTotals: new Int32Array(count),
+        // The frames and dirty bits after steps 0, CHECKPOINT_INTERVAL, 2 * CHECKPOINT_INTERVAL, ...
+        checkpointFrames: new Float64Array(checkpoints * frameCount).fill(-1),
+        checkpointDirtyBits: new Uint8Array(checkpoints * frameCount),
+        // Multi-process runs: the page names, and the per-process totals at every checkpoint
+        pageNames: simulation.processes ? [] : null,
+        checkpointProcessFaults: new Int32Array(checkpoints * processCount),
+        checkpointProcessHits: new Int32Array(checkpoints * processCount)
+    };
+    const pageCodes = new Map(); // Page name -> its index in record.pageNames
+    const encode = (page) => {
+        if (!record.pageNames) return page;
+        if (!pageCodes.has(page)) {
+            pageCodes.set(page, record.pageNames.length);
+            record.pageNames.push(page);
+        }
+        return pageCodes.get(page);
+    };
+
+    // The frames are tracked here as well, so checkpoints need no copies from the simulation
+    const frames = Array(frameCount).fill(-1);
+    const dirtyBits = Array(frameCount).fill(0);
+    for (let i = 0; i < count; i++) {
+        const step = simulation.next(false);
+        record.pages[i] = encode(step.page);
+        record.writes[i] = step.write ? 1 : 0;
+        record.actions[i] = ACTIONS.indexOf(step.action);
+        record.frameIndexes[i] = step.frameIndex;
+        record.evictedPages[i] = step.evictedPage === null ? -1 : encode(step.evictedPage);
+        record.writeBackFlags[i] = step.writeBack ? 1 : 0;
+        record.faultTotals[i] = step.faults;
+        record.writeBackTotals[i] = step.writeBacks;
+
+        applyStep(frames, dirtyBits, step.action, step.frameIndex, record.pages[i], step.write);
+        if ((i + 1) % CHECKPOINT_INTERVAL === 0) {
+            const checkpoint = (i + 1) / CHECKPOINT_INTERVAL;
+            record.checkpointFrames.set(frames, checkpoint * frameCount);
+            record.checkpointDirtyBits.set(dirtyBits, checkpoint * frameCount);
+            if (processCount > 0) {
+                record.checkpointProcessFaults.set(step.processFaults, checkpoint * processCount);
+                record.checkpointProcessHits.set(step.processHits, checkpoint * processCount);
+            }
+        }
+        if (options.onProgress && (i + 1) % PROGRESS_INTERVAL === 0) {
+            options.onProgress((i + 1) / count);
+        }
+    }
+
+    return {
+        policy: policyId,
+        record,
+        ...summarizeSimulation(simulation),
+        totalSteps: count + 1
+    };
+}
+
+/**
+ * Updates frames and dirty bits for one step, the way the simulation did.
+ */
+function applyStep(frames, dirtyBits, action, frameIndex, page, write) {
+    if (action === 'hit') {
+        if (write) dirtyBits[frameIndex] = 1;
+    } else {
+        frames[frameIndex] = page;
+        dirtyBits[frameIndex] = write ? 1 : 0;
+    }
+}
+
+// --- Reading Steps ---
+
+/**
+ * The number of steps in a simulation, including the initial state.
+ * @param {object} data - A simulation data object (with 'steps' or a 'record').
+ * @returns {number} The step count.
+ */
+export function getStepCount(data) {
+    return data.record ? data.record.pages.length + 1 : data.steps.length;
+}
+
+/**
+ * The number of frames a simulation ran with.
+ * @param {object} data - A simulation data object.
+ * @returns {number} The frame count.
+ */
+export function getFrameCount(data) {
+    return data.record ? data.record.frameCount : data.steps[0].frames.length;
+}
+
+/**
+ * The reference string a simulation ran over.
+ * @param {object} data - A simulation data object.
+ * @returns {object[]} {page, write} references.
+ */
+export function getReferences(data) {
+    const references = [];
+    const count = getStepCount(data);
+    for (let i = 1; i < count; i++) {
+        references.push(data.record ?
+            { page: decodePage(data.record, data.record.pages[i - 1]), write: data.record.writes[i - 1] === 1 } :
+            { page: data.steps[i].page, write: data.steps[i].write });
+    }
+    return references;
+}
+
+/**
+ * Turns a page as stored in a recording back into the page itself.
+ */
+function decodePage(record, code) {
+    return record.pageNames && code !== -1 ? record.pageNames[code] : code;
+}
+
+/**
+ * A full step, exactly as runPolicy would have stored it (see the Step typedef in algorithm.js).
+ * For a recording the step is rebuilt by replaying the policy, so reading the
+ * steps in order is much cheaper than jumping around.
+ * @param {object} data - A simulation data object.
+ * @param {number} index - The step index (0 is the initial state).
+ * @returns {object} The step.
+ */
+export function getStep(data, index) {
+    if (!data.record) return data.steps[index];
+
+    let replay = replays.get(data);
+    if (!replay) {
+        replay = { references: getReferences(data), simulation: null, states: [], cache: new Map() };
+        replays.set(data, replay);
+    }
+    if (replay.cache.has(index)) return replay.cache.get(index);
+
+    // Step 'index' is built by processing reference index - 1. A replay that is past
+    // the step (or behind a saved point before it) resumes from the checkpoint before it,
+    // or starts over if the policy cannot save its state
+    const saved = replay.states[index === 0 ? 0 : Math.floor((index - 1) / CHECKPOINT_INTERVAL)];
+    const rewind = replay.simulation &&
+        (replay.simulation.time >= index || (saved && saved.time > replay.simulation.time));
+    if (rewind && saved) {
+        replay.simulation.restoreState(saved);
+    } else if (!replay.simulation || rewind) {
+        replay.simulation = createSimulation(data.policy, replay.references, data.record.frameCount,
+            { latencies: data.latencies, processes: data.processes });
+        replay.states[0] = replay.simulation.saveState();
+    }
+    const simulation = replay.simulation;
+    let step;
+    if (index === 0) {
+        step = simulation.initialStep();
+    } else {
+        while (simulation.time < index - 1) advanceReplay(replay, false);
+        step = advanceReplay(replay, true);
+    }
+
+    // Keep the last few steps, dropping the oldest
+    replay.cache.set(index, step);
+    if (replay.cache.size > STEP_CACHE_SIZE) replay.cache.delete(replay.cache.keys().next().value);
+    return step;
+}
+
+/**
+ * Processes the replay's next reference, saving the simulation's state at every
+ * CHECKPOINT_INTERVAL references it reaches (a step back then only replays from
+ * the checkpoint before it, not from the start).
+ * @param {object} replay - The replay cursor from getStep.
+ * @param {boolean} detailed - As for simulation.next.
+ * @returns {object} The step.
+ */
+function advanceReplay(replay, detailed) {
+    const simulation = replay.simulation;
+    const step = simulation.next(detailed);
+    if (simulation.time % CHECKPOINT_INTERVAL === 0) {
+        const checkpoint = simulation.time / CHECKPOINT_INTERVAL;
+        if (!replay.states[checkpoint]) replay.states[checkpoint] = simulation.saveState();
+    }
+    return step;
+}
+
+/**
+ * The frame-level part of a step: everything but the reason, prevState and the
+ * policy's bookkeeping. For a recording this is rebuilt from the nearest
+ * checkpoint without replaying the policy, so it is cheap at any step
+ * (the grid view reads one per visible column).
+ * @param {object} data - A simulation data object.
+ * @param {number} index - The step index (0 is the initial state).
+ * @returns {object} {frames, dirtyBits, page, write, action, frameIndex, fault,
+ *   evictedPage, victimIndex, writeBack, faults, hits, writeBacks}, plus process,
+ *   processFaults and processHits in a multi-process run.
+ */
+export function getFrameState(data, index) {
+    if (!data.record) return data.steps[index];
+
+    const record = data.record;
+    const frameCount = record.frameCount;
+    const checkpoint = Math.floor(index / CHECKPOINT_INTERVAL);
+    const offset = checkpoint * frameCount;
+    const frames = Array.from(record.checkpointFrames.subarray(offset, offset + frameCount));
+    const dirtyBits = Array.from(record.checkpointDirtyBits.subarray(offset, offset + frameCount));
+    for (let i = checkpoint * CHECKPOINT_INTERVAL; i < index; i++) {
+        applyStep(frames, dirtyBits, ACTIONS[record.actions[i]], record.frameIndexes[i], record.pages[i], record.writes[i] === 1);
+    }
+    const processTotals = data.processes ? getProcessTotals(data, checkpoint, index) : null;
+    if (record.pageNames) {
+        frames.forEach((page, frame) => { frames[frame] = decodePage(record, page); });
+    }
+
+    if (index === 0) {
+        return {
+            frames, dirtyBits, page: null, write: false, action: 'initial', frameIndex: null, fault: false,
+            evictedPage: null, victimIndex: null, writeBack: false, faults: 0, hits: 0, writeBacks: 0,
+            ...(processTotals && { process: null, ...processTotals })
+        };
+    }
+    const i = index - 1;
+    const action = ACTIONS[record.actions[i]];
+    const page = decodePage(record, record.pages[i]);
+    return {
+        frames,
+        dirtyBits,
+        page,
+        write: record.writes[i] === 1,
+        action,
+        frameIndex: record.frameIndexes[i],
+        fault: action !== 'hit',
+        evictedPage: action === 'eviction' ? decodePage(record, record.evictedPages[i]) : null,
+        victimIndex: action === 'eviction' ? record.frameIndexes[i] : null,
+        writeBack: record.writeBackFlags[i] === 1,
+        faults: record.faultTotals[i],
+        hits: index - record.faultTotals[i],
+        writeBacks: record.writeBackTotals[i],
+        ...(processTotals && {
+            process: data.processes.findIndex(process => process.name === getProcessName(page)),
+            ...processTotals
+        })
+    };
+}
+
+/**
+ * The per-process fault and hit totals of a multi-process recording after a
+ * step, counted on from the checkpoint before it.
+ * @returns {object} {processFaults, processHits}.
+ */
+function getProcessTotals(data, checkpoint, index) {
+    const record = data.record;
+    const count = data.processes.length;
+    const offset = checkpoint * count;
+    const processFaults = Array.from(record.checkpointProcessFaults.subarray(offset, offset + count));
+    const processHits = Array.from(record.checkpointProcessHits.subarray(offset, offset + count));
+    const indexOf = new Map(data.processes.map((process, i) => [process.name, i]));
+    for (let i = checkpoint * CHECKPOINT_INTERVAL; i < index; i++) {
+        const process = indexOf.get(getProcessName(decodePage(record, record.pages[i])));
+        if (ACTIONS[record.actions[i]] === 'hit') processHits[process]++;
+        else processFaults[process]++;
+    }
+    return { processFaults, processHits };
+}
+
+/**
+ * Returns a simulation with a plain 'steps' array (as runPolicy returns it),
+ * rebuilding every step of a recording. Used for JSON exports.
+ * @param {object} data - A simulation data object.
+ * @returns {object} The same simulation with all of its steps.
+ */
+export function expandSimulation(data) {
+    if (!data.record) return data;
+    const { record, policy, ...stats } = data;
+    const steps = [];
+    const count = getStepCount(data);
+    for (let i = 0; i < count; i++) steps.push(getStep(data, i));
+    return { policy, steps, ...stats };
+}
+
+/**
+ * Finds the first step at which several runs over the same reference string
+ * stop behaving identically: one policy hits where another faults, or two
+ * policies evict different pages.
+ * @param {object[]} runs - Simulation data objects (from runPolicy or recordSimulation).
+ * @returns {number} The step index, or -1 if the runs never diverge.
+ */
+export function findFirstDivergence(runs) {
+    if (runs.length < 2) return -1;
+    const totalSteps = getStepCount(runs[0]);
+    for (let i = 1; i < totalSteps; i++) {
+        const first = getOutcome(runs[0], i);
+        const differs = runs.some(run => {
+            const outcome = getOutcome(run, i);
+            return outcome.fault !== first.fault || outcome.evictedPage !== first.evictedPage;
+        });
+        if (differs) return i;
+    }
+    return -1;
+}
+
+/**
+ * What one reference did, read straight from the recording (no frames are
+ * rebuilt), so a whole run can be walked through cheaply.
+ * @param {object} data - A simulation data object.
+ * @param {number} index - The step index (1 or more).
+ * @returns {object} {page, fault, frameIndex, evictedPage} (a step has these fields too).
+ */
+export function getOutcome(data, index) {
+    if (!data.record) return data.steps[index];
+    const record = data.record;
+    const action = ACTIONS[record.actions[index - 1]];
+    return {
+        page: decodePage(record, record.pages[index - 1]),
+        fault: action !== 'hit',
+        frameIndex: record.frameIndexes[index - 1],
+        evictedPage: action === 'eviction' ? decodePage(record, record.evictedPages[index - 1]) : null
+    };
+}
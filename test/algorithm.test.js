@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the simulation engine: every policy against textbook
+ * reference strings with known fault counts, plus the step contract.
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { POLICIES, runPolicy, computeFaultCurves, findBeladyAnomalies } from '../engine.js';
+
+// Silberschatz, Operating System Concepts: the classic reference string with 3 frames
+const TEXTBOOK = [7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2, 1, 2, 0, 1, 7, 0, 1];
+// The string that shows Belady's anomaly for FIFO
+const BELADY = [1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5];
+
+test('every policy matches the textbook fault count', () => {
+    const expected = { lru: 12, fifo: 15, opt: 9, lfu: 13, mfu: 15, clock: 14, 'enhanced-clock': 14 };
+    assert.deepEqual(Object.keys(expected).sort(), Object.keys(POLICIES).sort(), 'a policy has no expected count');
+    for (const [id, faults] of Object.entries(expected)) {
+        const data = runPolicy(id, TEXTBOOK, 3);
+        assert.equal(data.pageFaults, faults, id);
+        assert.equal(data.pageHits, TEXTBOOK.length - faults, id);
+    }
+});
+
+test('FIFO shows Belady\'s anomaly and LRU and OPT do not', () => {
+    assert.equal(runPolicy('fifo', BELADY, 3).pageFaults, 9);
+    assert.equal(runPolicy('fifo', BELADY, 4).pageFaults, 10);
+    assert.equal(runPolicy('lru', BELADY, 3).pageFaults, 10);
+    assert.equal(runPolicy('lru', BELADY, 4).pageFaults, 8);
+    assert.equal(runPolicy('opt', BELADY, 3).pageFaults, 7);
+    assert.equal(runPolicy('opt', BELADY, 4).pageFaults, 6);
+
+    const [fifo, lru] = computeFaultCurves(BELADY, 5, ['fifo', 'lru']);
+    assert.deepEqual(fifo.faults, [12, 12, 9, 10, 5]);
+    assert.deepEqual(fifo.anomalies, [{ frames: 4, faults: 10, previousFaults: 9 }]);
+    assert.deepEqual(findBeladyAnomalies(lru.faults), []);
+});
+
+test('stats are numbers', () => {
+    const data = runPolicy('lru', TEXTBOOK, 3);
+    assert.equal(data.hitRatio, 40);
+    assert.equal(data.missRatio, 60);
+    assert.equal(typeof data.effectiveAccessTime, 'number');
+    assert.equal(runPolicy('lru', [], 3).hitRatio, 0);
+});
+
+test('dirty victims are written back', () => {
+    // 1w is evicted by 4 (dirty), 2 is evicted by 5 (clean)
+    const data = runPolicy('fifo', [{ page: 1, write: true }, 2, 3, 4, 5], 3);
+    assert.equal(data.writeBacks, 1);
+    assert.equal(data.steps[4].writeBack, true);
+    assert.equal(data.steps[5].writeBack, false);
+});
+
+test('steps record the action, the touched frame and the victim', () => {
+    const { steps } = runPolicy('lru', [1, 2, 1, 3], 2);
+    assert.equal(steps.length, 5);
+    assert.deepEqual(pick(steps[0]), { action: 'initial', frameIndex: null, victimIndex: null, evictedPage: null });
+    assert.deepEqual(pick(steps[1]), { action: 'cold-fill', frameIndex: 0, victimIndex: null, evictedPage: null });
+    assert.deepEqual(pick(steps[3]), { action: 'hit', frameIndex: 0, victimIndex: null, evictedPage: null });
+    // Page 2 is least recently used, so 3 replaces it in frame 1
+    assert.deepEqual(pick(steps[4]), { action: 'eviction', frameIndex: 1, victimIndex: 1, evictedPage: 2 });
+    assert.match(steps[4].reason, /Least recently used/);
+    assert.deepEqual(steps[4].frames, [1, 3]);
+});
+
+test('every policy\'s predicted next victim is the frame it actually evicts', () => {
+    const pages = [7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2, 1, 2, 0, 1, 7, 0, 1, 5, 6, 5, 2];
+    for (const [id, policy] of Object.entries(POLICIES)) {
+        const { steps } = runPolicy(id, pages, 3);
+        for (let i = 1; i < steps.length; i++) {
+            if (steps[i].action !== 'eviction') continue;
+            assert.equal(policy.nextVictim(steps[i - 1]), steps[i].victimIndex, `${id}, step ${i}`);
+        }
+    }
+});
+
+test('unknown policies are rejected', () => {
+    assert.throws(() => runPolicy('random', TEXTBOOK, 3), /Unknown replacement policy/);
+});
+
+function pick(step) {
+    const { action, frameIndex, victimIndex, evictedPage } = step;
+    return { action, frameIndex, victimIndex, evictedPage };
+}
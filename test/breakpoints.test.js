@@ -0,0 +1,67 @@
+/**
+ * Unit tests for the playback breakpoints.
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    runPolicy,
+    recordSimulation,
+    parseProcesses,
+    interleaveProcesses,
+    describeBreakpoint,
+    findBreakpointSteps,
+    findNextFault
+} from '../engine.js';
+
+// LRU, 3 frames: F F F h F(evicts 2) h F(evicts 3) F(evicts 4) h h
+const REFERENCES = [1, 2, 3, 1, 4, 1, 2, 5, 2, 1];
+
+test('every kind of breakpoint fires where its condition is met', () => {
+    const breakpoints = [
+        { kind: 'fault-on-page', value: '1' },
+        { kind: 'evict-page', value: '3' },
+        { kind: 'nth-fault', value: 5 },
+        { kind: 'consecutive-faults', value: 2 },
+        // The hit ratio is 1/4 at the first hit, climbs to 2/6 at step 6, then drops to 2/7
+        { kind: 'hit-ratio-below', value: 30 }
+    ];
+    const matches = findBreakpointSteps(runPolicy('lru', REFERENCES, 3), breakpoints);
+    assert.deepEqual(matches, [
+        { step: 1, breakpoints: [0] },
+        { step: 2, breakpoints: [3] }, // Once per run of faults, not on every step of it
+        { step: 7, breakpoints: [1, 2, 4] },
+        { step: 8, breakpoints: [3] }
+    ]);
+    assert.equal(describeBreakpoint(breakpoints[3]), '2 faults in a row');
+    assert.deepEqual(findBreakpointSteps(runPolicy('lru', REFERENCES, 3), []), []);
+});
+
+test('the hit ratio breakpoint ignores the faults before the first hit', () => {
+    const breakpoint = [{ kind: 'hit-ratio-below', value: 40 }];
+    // 0 at step 1, 1/2 at the first hit, then 1/3: a drop, without a pause at step 1
+    assert.deepEqual(findBreakpointSteps(runPolicy('fifo', [1, 1, 2, 3, 4], 3), breakpoint), [{ step: 3, breakpoints: [0] }]);
+    // FIFO, 3 frames: the only hit is the last reference (1/8), so the ratio never drops below 40%
+    assert.deepEqual(findBreakpointSteps(runPolicy('fifo', [1, 2, 3, 4, 1, 2, 5, 1], 3), breakpoint), []);
+});
+
+test('recordings and multi-process pages match like full runs', () => {
+    const breakpoints = [{ kind: 'fault-on-page', value: '2' }, { kind: 'consecutive-faults', value: 3 }];
+    assert.deepEqual(findBreakpointSteps(recordSimulation('fifo', REFERENCES, 3), breakpoints),
+        findBreakpointSteps(runPolicy('fifo', REFERENCES, 3), breakpoints));
+
+    const { processes } = parseProcesses('A: 1, 2\nB: 1, 2');
+    const references = interleaveProcesses(processes, { kind: 'round-robin', quantum: 1 });
+    const run = recordSimulation('lru', references, 2, {
+        processes: processes.map(process => ({ name: process.name, quota: null }))
+    });
+    assert.deepEqual(findBreakpointSteps(run, [{ kind: 'evict-page', value: 'A:1' }]), [{ step: 3, breakpoints: [0] }]);
+});
+
+test('the next fault is found after the given step', () => {
+    const run = recordSimulation('lru', REFERENCES, 3);
+    assert.equal(findNextFault(run, 3), 5);
+    assert.equal(findNextFault(run, 0), 1);
+    assert.equal(findNextFault(run, 8), -1);
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for the command-line front end (cli.js).
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { runCli } from '../cli.js';
+
+test('prints JSON stats for a reference string', async () => {
+    const result = await runCli(['--refs', '7,0,1,2,0,3,0,4,2,3,0,3,2,1,2,0,1,7,0,1', '--policy', 'lru,opt']);
+    assert.equal(result.exitCode, 0);
+    const report = JSON.parse(result.stdout);
+    assert.equal(report.frames, 3);
+    assert.equal(report.references, 20);
+    assert.deepEqual(report.results.map(r => [r.policy, r.pageFaults]), [['lru', 12], ['opt', 9]]);
+    assert.equal(report.results[0].hitRatio, 40);
+});
+
+test('prints CSV stats for a trace file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'page-replacement-'));
+    try {
+        const file = join(dir, 'trace.txt');
+        // Addresses in 4 KiB pages: 0, 1, 0 (write), 2, and one unreadable line
+        await writeFile(file, '0x0010 R\n0x1000 R\n0x0020 W\n0x2000 R\nnot a reference\n');
+        const result = await runCli([file, '--policy', 'fifo', '--frames', '2', '--format', 'csv']);
+        assert.equal(result.exitCode, 0);
+        assert.equal(result.stdout.split('\n')[1], 'fifo,2,4,3,1,1,25,75,8000100');
+        assert.match(result.stderr, /Skipped 1 unreadable line \(first at line 5\)/);
+    } finally {
+        await rm(dir, { recursive: true });
+    }
+});
+
+test('runs every policy with --policy all', async () => {
+    const result = await runCli(['--refs', '1-5', '--policy', 'all', '--frames', '2']);
+    assert.equal(JSON.parse(result.stdout).results.length, 7);
+});
+
+test('reports bad arguments with a non-zero exit code', async () => {
+    for (const args of [
+        ['--refs', '1,2', '--policy', 'random'],
+        ['--refs', '1,,2'],
+        ['--refs', '1,2', '--frames', '0'],
+        ['--refs', '1,2', '--format', 'xml'],
+        []
+    ]) {
+        const result = await runCli(args);
+        assert.equal(result.exitCode, 1, args.join(' '));
+        assert.match(result.stderr, /^page-replacement: /);
+    }
+});
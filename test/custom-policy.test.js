@@ -0,0 +1,93 @@
+/**
+ * Unit tests for user-defined policies.
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CUSTOM_POLICY_ID,
+    EXAMPLE_CUSTOM_POLICY,
+    checkCustomPolicy,
+    getPolicy,
+    runPolicy
+} from '../engine.js';
+
+const REFERENCES = [1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5];
+
+/**
+ * Runs a custom policy's code over REFERENCES with 3 frames.
+ */
+function runCustom(code, options = {}) {
+    return runPolicy(CUSTOM_POLICY_ID, REFERENCES, 3, { ...options, customPolicy: code });
+}
+
+test('the example policy is LRU and produces the same steps', () => {
+    const custom = runCustom(EXAMPLE_CUSTOM_POLICY);
+    const lru = runPolicy('lru', REFERENCES, 3);
+    assert.equal(custom.policy, CUSTOM_POLICY_ID);
+    assert.equal(custom.pageFaults, lru.pageFaults);
+    custom.steps.forEach((step, index) => {
+        assert.deepEqual(step.frames, lru.steps[index].frames, `step ${index}`);
+        assert.equal(step.action, lru.steps[index].action, `step ${index}`);
+    });
+    assert.equal(custom.steps[4].reason, 'Least recently used (step 1)');
+    assert.equal(getPolicy(CUSTOM_POLICY_ID).describe(custom.steps[4]).items.length, 3);
+});
+
+test('the policy sees its context and keeps its own state between calls', () => {
+    const code = `
+        function chooseVictim({ frames, candidates, page, step, history, pages, state }) {
+            state.calls = (state.calls || 0) + 1;
+            if (step === 4 && (history.length !== 3 || pages[page].frame !== -1 || pages[1].uses !== 1)) {
+                throw new Error('unexpected context');
+            }
+            return { frame: candidates[candidates.length - 1], reason: 'call ' + state.calls };
+        }`;
+    const run = runCustom(code);
+    const evictions = run.steps.filter(step => step.action === 'eviction');
+    assert.ok(evictions.every(step => step.victimIndex === 2));
+    assert.equal(evictions.at(-1).reason, `call ${evictions.length}`);
+});
+
+test('the history the policy gets cannot be changed', () => {
+    const code = `
+        function chooseVictim({ step, history }) {
+            if (history.length !== step - 1 || history[0].page !== 1) throw new Error('history changed');
+            try { history.length = 0; } catch (error) {}
+            try { history[0].page = 99; } catch (error) {}
+            return 0;
+        }`;
+    assert.doesNotThrow(() => runCustom(code));
+});
+
+test('custom runs report their progress', () => {
+    const fractions = [];
+    const references = Array.from({ length: 2500 }, (_, i) => i % 7);
+    runPolicy(CUSTOM_POLICY_ID, references, 3,
+        { customPolicy: EXAMPLE_CUSTOM_POLICY, onProgress: (fraction) => fractions.push(fraction) });
+    assert.deepEqual(fractions, [1000 / 2500, 2000 / 2500]);
+});
+
+test('bad return values and exceptions stop the run at the offending step', () => {
+    assert.throws(() => runCustom('function chooseVictim() { return 7; }'),
+        { message: 'At step 4 (page 4, frames 1, 2, 3): chooseVictim returned frame 7, but the frames are numbered 0 to 2.' });
+    assert.throws(() => runCustom('function chooseVictim() {}'), /^Error: At step 4 .*returned nothing;/);
+    assert.throws(() => runCustom('function chooseVictim() { return "0"; }'), /returned "0"/);
+    assert.throws(() => runCustom('function chooseVictim({ step }) { if (step > 6) null.x; return 0; }'),
+        /^Error: At step 7 .*: chooseVictim threw TypeError/);
+
+    // Under local replacement only the faulting process's frames may be chosen
+    const processes = [{ name: 'A', quota: 1 }, { name: 'B', quota: 1 }];
+    assert.throws(() => runPolicy(CUSTOM_POLICY_ID, ['A:1', 'B:1', 'A:2'], 2,
+        { processes, customPolicy: 'function chooseVictim() { return 1; }' }), /return one of the candidates \(0\)/);
+});
+
+test('code is checked before it runs', () => {
+    assert.equal(checkCustomPolicy(EXAMPLE_CUSTOM_POLICY), null);
+    assert.match(checkCustomPolicy('function chooseVictim( {'), /^The policy does not compile: /);
+    assert.equal(checkCustomPolicy('function pick() { return 0; }'), 'Define a function called chooseVictim.');
+    // Checking never runs the code
+    assert.equal(checkCustomPolicy('while (true) {} function chooseVictim() { return 0; }'), null);
+    assert.throws(() => runCustom('const chooseVictim = 3;'), /does not define a function called chooseVictim/);
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for the animated GIF encoder used by playback recordings.
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGifEncoder } from '../engine.js';
+
+/**
+ * Reads back every frame of a GIF written by createGifEncoder:
+ * {delay, pixels} per frame, with pixels as [r, g, b] triples.
+ */
+function decodeGif(bytes) {
+    const word = (at) => bytes[at] | (bytes[at + 1] << 8);
+    assert.equal(String.fromCharCode(...bytes.subarray(0, 6)), 'GIF89a');
+    const width = word(6);
+    const height = word(8);
+    const frames = [];
+    let at = 13;
+    let delay = 0;
+    while (bytes[at] !== 0x3B) {
+        if (bytes[at] === 0x21) { // Extension: read its delay, skip the rest
+            if (bytes[at + 1] === 0xF9) delay = word(at + 4) * 10;
+            at += 2;
+            while (bytes[at] !== 0) at += bytes[at] + 1;
+            at++;
+            continue;
+        }
+        assert.equal(bytes[at], 0x2C);
+        const palette = bytes.subarray(at + 10, at + 10 + 768);
+        const minCodeSize = bytes[at + 10 + 768];
+        at += 10 + 768 + 1;
+        const data = [];
+        while (bytes[at] !== 0) {
+            data.push(...bytes.subarray(at + 1, at + 1 + bytes[at]));
+            at += bytes[at] + 1;
+        }
+        at++;
+
+        // LZW, as a decoder reads it
+        const clearCode = 1 << minCodeSize;
+        const indices = [];
+        let table = [];
+        let codeSize = minCodeSize + 1;
+        let previous = null;
+        let bit = 0;
+        for (;;) {
+            let code = 0;
+            for (let i = 0; i < codeSize; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+            if (code === clearCode) {
+                table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+                codeSize = minCodeSize + 1;
+                previous = null;
+                continue;
+            }
+            if (code === clearCode + 1) break;
+            const entry = code < table.length ? table[code] : [...previous, previous[0]];
+            indices.push(...entry);
+            if (previous !== null && table.length < 4096) {
+                table.push([...previous, entry[0]]);
+                if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+            }
+            previous = entry;
+        }
+        assert.equal(indices.length, width * height);
+        frames.push({ delay, pixels: indices.map(index => [...palette.subarray(index * 3, index * 3 + 3)]) });
+    }
+    return { width, height, frames };
+}
+
+test('frames come back with their pixels and delays', () => {
+    const width = 120;
+    const height = 90;
+    // 200 distinct colours in a noisy pattern, enough to fill the LZW table several times
+    const colors = Array.from({ length: 200 }, (_, i) => [(i * 8) % 256, (i * 40) % 256, 255 - i]);
+    const pick = (i) => colors[(i * 7919 + (i >> 3) * 31) % colors.length];
+    const frame = (shift) => {
+        const rgba = new Uint8Array(width * height * 4);
+        for (let i = 0; i < width * height; i++) rgba.set([...pick(i + shift), 255], i * 4);
+        return rgba;
+    };
+
+    const encoder = createGifEncoder(width, height);
+    encoder.addFrame(frame(0), 500);
+    encoder.addFrame(frame(5), 40);
+    const gif = decodeGif(encoder.finish());
+
+    assert.equal(gif.width, width);
+    assert.equal(gif.height, height);
+    assert.deepEqual(gif.frames.map(f => f.delay), [500, 40]);
+    for (const [index, shift] of [[0, 0], [1, 5]]) {
+        gif.frames[index].pixels.forEach((pixel, i) => assert.deepEqual(pixel, pick(i + shift), `pixel ${i}`));
+    }
+});
+
+test('frames with more than 256 colours are mapped to the nearest palette colour', () => {
+    // A smooth gradient: 1024 colours, none used more than the others
+    const width = 1024;
+    const rgba = new Uint8Array(width * 4);
+    for (let x = 0; x < width; x++) rgba.set([x >> 2, 128, 255 - (x >> 2), 255], x * 4);
+
+    const encoder = createGifEncoder(width, 1);
+    encoder.addFrame(rgba, 100);
+    const [frame] = decodeGif(encoder.finish()).frames;
+    frame.pixels.forEach((pixel, x) => {
+        assert.ok(Math.abs(pixel[0] - (x >> 2)) <= 12 && Math.abs(pixel[2] - (255 - (x >> 2))) <= 12, `pixel ${x}`);
+    });
+});
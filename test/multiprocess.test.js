@@ -0,0 +1,121 @@
+/**
+ * Unit tests for multi-process reference strings and local vs global replacement.
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    POLICIES,
+    REPLACEMENT_SCOPES,
+    parseProcesses,
+    parseScheduleOrder,
+    interleaveProcesses,
+    runPolicy,
+    recordSimulation,
+    getStep,
+    getStepCount
+} from '../engine.js';
+
+/**
+ * Parses and interleaves a multi-process string and allocates 'frameCount'
+ * frames with the given scope, ready for runPolicy.
+ */
+function prepare(text, schedule, scope, frameCount) {
+    const { processes } = parseProcesses(text);
+    const quotas = REPLACEMENT_SCOPES[scope].allocate(processes, frameCount);
+    return {
+        references: interleaveProcesses(processes, schedule),
+        processes: processes.map((process, index) => ({ name: process.name, quota: quotas ? quotas[index] : null }))
+    };
+}
+
+test('processes are parsed one per line, with errors pointing into the text', () => {
+    const { processes, error } = parseProcesses('A: 1-3\n\nB: 7, 8w');
+    assert.equal(error, null);
+    assert.deepEqual(processes.map(process => process.name), ['A', 'B']);
+    assert.deepEqual(processes[1].references, [{ page: 7, write: false }, { page: 8, write: true }]);
+
+    const text = 'A: 1,2\nA: 3';
+    const duplicate = parseProcesses(text).error;
+    assert.equal(text.slice(duplicate.start, duplicate.end), 'A');
+    assert.equal(duplicate.start, 7);
+
+    const unlabelled = parseProcesses('A: 1\n4, 5').error;
+    assert.match(unlabelled.message, /process name/);
+});
+
+test('schedules interleave the processes until every one is done', () => {
+    const { processes } = parseProcesses('A: 1,2,3\nB: 7');
+    const pages = (schedule) => interleaveProcesses(processes, schedule).map(reference => reference.page);
+    assert.deepEqual(pages({ kind: 'round-robin', quantum: 2 }), ['A:1', 'A:2', 'B:7', 'A:3']);
+
+    const { order } = parseScheduleOrder('B, A A', processes);
+    assert.deepEqual(pages({ kind: 'custom', order }), ['B:7', 'A:1', 'A:2', 'A:3']);
+    assert.match(parseScheduleOrder('A, A', processes).error.message, /process B/);
+    assert.equal(parseScheduleOrder('A, C', processes).error.start, 3);
+});
+
+test('fixed allocation shares equally; proportional allocation follows process size', () => {
+    const { processes } = parseProcesses('A: 1-6\nB: 1\nC: 1-3');
+    assert.deepEqual(REPLACEMENT_SCOPES['local-fixed'].allocate(processes, 5), [2, 2, 1]);
+    // 6/10, 1/10 and 3/10 of 5 frames, with at least one frame each
+    assert.deepEqual(REPLACEMENT_SCOPES['local-proportional'].allocate(processes, 5), [3, 1, 1]);
+    assert.equal(REPLACEMENT_SCOPES.global.allocate(processes, 5), null);
+});
+
+test('local replacement protects a process from another one flooding the frames', () => {
+    // A reuses two pages; B touches a new page every time
+    const text = 'A: 1,2,1,2,1,2\nB: 5-10';
+    const schedule = { kind: 'round-robin', quantum: 1 };
+
+    const global = prepare(text, schedule, 'global', 3);
+    const globalRun = runPolicy('lru', global.references, 3, { processes: global.processes });
+    assert.equal(globalRun.pageFaults, 12);
+    assert.ok(globalRun.steps.some(step => / taken from process B$/.test(step.reason)));
+
+    const local = prepare(text, schedule, 'local-fixed', 3);
+    const localRun = runPolicy('lru', local.references, 3, { processes: local.processes });
+    assert.deepEqual(localRun.processes.map(process => [process.quota, process.pageFaults, process.pageHits]),
+        [[2, 2, 4], [1, 6, 0]]);
+    // Every eviction stays inside the faulting process
+    for (const step of localRun.steps.filter(step => step.action === 'eviction')) {
+        assert.equal(step.evictedPage.split(':')[0], step.page.split(':')[0]);
+        assert.match(step.reason, / among process [AB]'s frames$/);
+    }
+});
+
+test('every policy honours the allocation and recordings replay multi-process steps', () => {
+    const { references, processes } = prepare('A: (1-4)x5\nB: (10,11,12w)x6\nC: 20-25',
+        { kind: 'round-robin', quantum: 3 }, 'local-proportional', 6);
+    for (const policyId of Object.keys(POLICIES)) {
+        const full = runPolicy(policyId, references, 6, { processes });
+        const recorded = recordSimulation(policyId, references, 6, { processes });
+        assert.equal(recorded.pageFaults, full.pageFaults, policyId);
+        assert.equal(getStepCount(recorded), full.steps.length, policyId);
+
+        full.steps.forEach((step, index) => {
+            // No process ever holds more frames than its allocation
+            processes.forEach(process => {
+                const held = step.frames.filter(page => page !== -1 && page.startsWith(`${process.name}:`)).length;
+                assert.ok(held <= process.quota, `${policyId} step ${index}`);
+            });
+            const replayed = getStep(recorded, index);
+            assert.deepEqual(replayed.frames, step.frames, `${policyId} step ${index}`);
+            assert.deepEqual(replayed.processFaults, step.processFaults, `${policyId} step ${index}`);
+        });
+    }
+});
+
+test('local replacement refuses to leave a process without frames', () => {
+    const { processes } = parseProcesses('A: 1, 2\nB: 3\nC: 4');
+    for (const scope of ['local-fixed', 'local-proportional']) {
+        assert.throws(() => REPLACEMENT_SCOPES[scope].allocate(processes, 2), RangeError, scope);
+        assert.ok(REPLACEMENT_SCOPES[scope].allocate(processes, 3).every(quota => quota >= 1), scope);
+    }
+    const references = interleaveProcesses(processes, { kind: 'round-robin', quantum: 1 });
+    const quotas = [{ name: 'A', quota: 2 }, { name: 'B', quota: 0 }, { name: 'C', quota: 1 }];
+    for (const id of Object.keys(POLICIES)) {
+        assert.throws(() => runPolicy(id, references, 3, { processes: quotas }), RangeError, id);
+    }
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for quiz mode's questions, answer checking and summaries.
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    runPolicy,
+    QUIZ_EXPORT_FORMATS,
+    getQuizChoices,
+    checkQuizAnswer,
+    createQuizSession,
+    summarizeQuiz
+} from '../engine.js';
+
+// LRU, 2 frames: fault, fault, hit, fault (evicts 2 from frame 1), fault (evicts 1 from frame 0)
+const RUN = runPolicy('lru', [1, 2, 1, 3, 2], 2);
+
+test('the choices offer a victim per frame only once the frames are full', () => {
+    assert.deepEqual(getQuizChoices([1, -1]).map(choice => choice.kind), ['hit', 'fault']);
+    const full = getQuizChoices([1, 2]);
+    assert.deepEqual(full.map(choice => [choice.kind, choice.frame]), [['hit', null], ['victim', 0], ['victim', 1]]);
+    assert.equal(full[2].label, 'Fault, evict page 2 (frame 1)');
+});
+
+test('under local replacement a process at its quota is offered its own frames while others are empty', () => {
+    // A then B, one frame each: A's second page must replace A's first, though frame 1 is empty
+    const processes = [{ name: 'A', quota: 1 }, { name: 'B', quota: 1 }];
+    const references = ['A:1', 'A:2', 'B:3'].map(page => ({ page, write: false }));
+    const run = runPolicy('lru', references, 2, { processes });
+    assert.equal(run.steps[2].action, 'eviction');
+
+    const choices = getQuizChoices(run.steps[1].frames, 'A:2', processes);
+    assert.deepEqual(choices.map(choice => [choice.kind, choice.frame]), [['hit', null], ['fault', null], ['victim', 0]]);
+    assert.equal(checkQuizAnswer(run.steps[2], choices[2], 'LRU').correct, true);
+    // B is below its quota, so its fault can only fill the empty frame
+    assert.deepEqual(getQuizChoices(run.steps[2].frames, 'B:3', processes).map(choice => choice.kind), ['hit', 'fault']);
+});
+
+test('answers are checked against the step and wrong ones are explained', () => {
+    assert.equal(checkQuizAnswer(RUN.steps[1], { kind: 'fault', frame: null }, 'LRU').correct, true);
+    assert.equal(checkQuizAnswer(RUN.steps[3], { kind: 'hit', frame: null }, 'LRU').correct, true);
+
+    const right = checkQuizAnswer(RUN.steps[4], { kind: 'victim', frame: 1 }, 'LRU');
+    assert.equal(right.correct, true);
+    const wrong = checkQuizAnswer(RUN.steps[4], { kind: 'victim', frame: 0 }, 'LRU');
+    assert.equal(wrong.correct, false);
+    assert.deepEqual(wrong.expected, { kind: 'victim', frame: 1 });
+    assert.match(wrong.explanation, /LRU evicts page 2 from frame 1, not page 1 from frame 0: Least recently used/);
+    assert.equal(checkQuizAnswer(RUN.steps[4], { kind: 'hit', frame: null }, 'LRU').correct, false);
+});
+
+test('a session totals its answers and exports them', () => {
+    const session = createQuizSession({ student: 'Sam', policy: 'LRU', frameCount: 2, referenceText: '1,2,1,3,2' });
+    const answers = [
+        { kind: 'fault', frame: null },
+        { kind: 'hit', frame: null }, // Wrong: step 2 is a cold fill
+        { kind: 'hit', frame: null },
+        { kind: 'victim', frame: 1 },
+        { kind: 'victim', frame: 1 } // Wrong: step 5 evicts frame 0
+    ];
+    answers.forEach((answer, i) => {
+        const step = RUN.steps[i + 1];
+        session.record(i + 1, step, answer, checkQuizAnswer(step, answer, 'LRU'));
+    });
+
+    const summary = summarizeQuiz(session);
+    assert.equal(summary.answered, 5);
+    assert.equal(summary.correct, 3);
+    assert.equal(summary.score, 60);
+    assert.deepEqual(summary.byKind, {
+        hit: { answered: 1, correct: 1 },
+        fault: { answered: 2, correct: 1 },
+        victim: { answered: 2, correct: 1 }
+    });
+
+    const csv = QUIZ_EXPORT_FORMATS.csv.build(summary).trim().split('\n');
+    assert.equal(csv.length, 6);
+    assert.equal(csv[5], 'Sam,LRU,2,5,2,evict frame 1,evict frame 0,0');
+    assert.match(QUIZ_EXPORT_FORMATS.txt.build(summary), /Step 2 \(page 2\): answered hit, expected fault/);
+    assert.deepEqual(JSON.parse(QUIZ_EXPORT_FORMATS.json.build(summary)), summary);
+});
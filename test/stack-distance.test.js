@@ -0,0 +1,32 @@
+/**
+ * Unit tests for the stack-distance analysis.
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPolicy, computeStackDistances, getLruHits, findCommonDistances } from '../engine.js';
+
+const TEXTBOOK = [7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2, 1, 2, 0, 1, 7, 0, 1];
+
+test('one pass gives the hits LRU has with every frame count', () => {
+    const analysis = computeStackDistances(TEXTBOOK);
+    assert.equal(analysis.distinctPages, 6);
+    for (let frames = 1; frames <= 8; frames++) {
+        assert.equal(getLruHits(analysis, frames), runPolicy('lru', TEXTBOOK, frames).pageHits, `${frames} frames`);
+    }
+    // 1, 2, 3 | 1 again is under 2 and 3; 3 is under 1
+    assert.deepEqual([...computeStackDistances([1, 2, 3, 1, 3]).distances], [0, 0, 0, 3, 2]);
+});
+
+test('a loop over k pages gives every reuse a stack distance of k', () => {
+    const loop = [1, 2, 3, 4, 1, 2, 3, 4, 1, 2, 3, 4];
+    const analysis = computeStackDistances(loop);
+    assert.deepEqual(findCommonDistances(analysis), [4]);
+    assert.deepEqual([...analysis.hitRatios], [0, 0, 0, (8 / 12) * 100]);
+    assert.deepEqual(analysis.pages[0], {
+        page: 1, references: 3, reuses: 2, meanDistance: 4, maxDistance: 4, meanInterval: 4
+    });
+    // A scan never reuses a page
+    assert.deepEqual(findCommonDistances(computeStackDistances(['A:1', 'A:2', 'B:1'])), []);
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for the compact step storage: a recording must give back exactly
+ * the steps runPolicy keeps, wherever it is read from.
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    POLICIES, runPolicy, recordSimulation, getStepCount, getStep, getFrameState,
+    findFirstDivergence, CHECKPOINT_INTERVAL
+} from '../engine.js';
+
+// Long enough to cross a few frame checkpoints, with writes for the dirty bits
+const REFERENCES = Array.from({ length: CHECKPOINT_INTERVAL * 3 + 17 }, (_, i) =>
+    ({ page: (i * 7 + (i >> 3)) % 11, write: i % 5 === 0 }));
+
+test('recordings rebuild the same steps as runPolicy', () => {
+    for (const id of Object.keys(POLICIES)) {
+        const full = runPolicy(id, REFERENCES, 4);
+        const recorded = recordSimulation(id, REFERENCES, 4);
+        assert.equal(getStepCount(recorded), full.steps.length, id);
+        assert.equal(recorded.pageFaults, full.pageFaults, id);
+        assert.equal(recorded.writeBacks, full.writeBacks, id);
+
+        for (let i = 0; i < full.steps.length; i++) {
+            const { frames, dirtyBits, faults, evictedPage } = getFrameState(recorded, i);
+            assert.deepEqual({ frames, dirtyBits, faults, evictedPage }, {
+                frames: full.steps[i].frames, dirtyBits: full.steps[i].dirtyBits,
+                faults: full.steps[i].faults, evictedPage: full.steps[i].evictedPage
+            }, `${id}, step ${i}`);
+        }
+        // Out of order, so the replay has to start over
+        for (const i of [full.steps.length - 1, 5, CHECKPOINT_INTERVAL + 1, 0]) {
+            assert.deepEqual(getStep(recorded, i), full.steps[i], `${id}, step ${i}`);
+        }
+    }
+});
+
+test('stepping back resumes the replay from the checkpoint before the step', () => {
+    const last = REFERENCES.length;
+    for (const id of Object.keys(POLICIES)) {
+        const full = runPolicy(id, REFERENCES, 4);
+        const recorded = recordSimulation(id, REFERENCES, 4);
+        getStep(recorded, last); // Passes every checkpoint
+        for (let i = last; i >= 0; i -= 37) {
+            assert.deepEqual(getStep(recorded, i), full.steps[i], `${id}, step ${i}`);
+        }
+        assert.deepEqual(getStep(recorded, 0), full.steps[0], id);
+        assert.deepEqual(getStep(recorded, CHECKPOINT_INTERVAL * 2), full.steps[CHECKPOINT_INTERVAL * 2], id);
+    }
+});
+
+test('divergence is found the same way in recordings and step arrays', () => {
+    const references = [7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2, 1, 2, 0, 1, 7, 0, 1];
+    const full = findFirstDivergence([runPolicy('lru', references, 3), runPolicy('fifo', references, 3)]);
+    const recorded = findFirstDivergence([recordSimulation('lru', references, 3), recordSimulation('fifo', references, 3)]);
+    assert.equal(recorded, full);
+    assert.equal(full, 6); // Page 3: LRU evicts page 1, FIFO evicts page 0
+});
+
+test('pages of 2^31 and above are recorded without wrapping', () => {
+    const big = [3000000000, 4294967295, 2 ** 40, 3000000000, 7, 4294967295];
+    const full = runPolicy('fifo', big, 2);
+    const recorded = recordSimulation('fifo', big, 2);
+    for (let i = 0; i < full.steps.length; i++) {
+        assert.deepEqual(getFrameState(recorded, i).frames, full.steps[i].frames, `step ${i}`);
+        assert.deepEqual(getStep(recorded, i), full.steps[i], `step ${i}`);
+    }
+    assert.deepEqual(getFrameState(recorded, 4).frames, [2 ** 40, 3000000000]);
+    assert.equal(getFrameState(recorded, 4).evictedPage, 4294967295);
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for the trace exporters and the JSON re-import.
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    runPolicy,
+    recordSimulation,
+    EXPORT_FORMATS,
+    MAX_EXPORT_STEPS,
+    checkExportSize,
+    parseSimulationExport
+} from '../engine.js';
+
+const REFERENCES = [7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2];
+
+test('a JSON export leaves out prevState and the import puts it back', () => {
+    for (const id of ['lru', 'clock', 'opt']) {
+        const run = runPolicy(id, REFERENCES, 3);
+        const text = EXPORT_FORMATS.json.build([recordSimulation(id, REFERENCES, 3)]);
+        assert.ok(!text.includes('prevState'), id);
+        const { simulations } = parseSimulationExport(text);
+        assert.deepEqual(simulations[0].steps, run.steps, id);
+    }
+});
+
+test('every format refuses simulations with too many steps', () => {
+    const long = recordSimulation('fifo', Array.from({ length: MAX_EXPORT_STEPS }, (_, i) => i % 10), 3);
+    assert.match(checkExportSize([long]), /has 100001 steps, more than the 100000 an export may hold/);
+    for (const format of Object.values(EXPORT_FORMATS)) {
+        assert.throws(() => format.build([long]), RangeError, format.name);
+    }
+    assert.equal(checkExportSize([runPolicy('fifo', REFERENCES, 3)]), null);
+});
+
+test('the HTML export escapes page names', () => {
+    const run = runPolicy('fifo', ['A:<b>', 'A:x&y', 'A:<b>'], 2, { processes: [{ name: 'A', quota: null }] });
+    const html = EXPORT_FORMATS.html.build([run]);
+    assert.ok(!html.includes('<b>'));
+    assert.match(html, /<th class="fault">A:&lt;b&gt;<\/th>/);
+    assert.match(html, /<strong>A:x&amp;y<\/strong>/);
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for address translation through the TLB and the page table.
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    runPolicy,
+    recordSimulation,
+    getFrameState,
+    splitAddress,
+    computeTranslatedAccessTime,
+    runTranslation,
+    getTranslationState
+} from '../engine.js';
+
+/**
+ * Runs a policy over virtual addresses and follows it through a TLB.
+ */
+function translate(addresses, pageSize, frameCount, tlbSize, tlbPolicy, record = false) {
+    const pages = addresses.map(address => splitAddress(address, pageSize).page);
+    const data = record ? recordSimulation('lru', pages, frameCount) : runPolicy('lru', pages, frameCount);
+    data.translation = runTranslation(data, { addresses, pageSize, tlbSize, tlbPolicy, tlbLatency: 20 });
+    return data;
+}
+
+test('the effective access time follows the textbook formula', () => {
+    // 80% TLB hits, 20 ns TLB, 100 ns memory: 0.8 × 120 + 0.2 × 220
+    const latencies = { tlb: 20, memory: 100, diskRead: 0, diskWrite: 0 };
+    assert.equal(computeTranslatedAccessTime(10, 8, 0, 0, latencies), 140);
+    assert.equal(computeTranslatedAccessTime(0, 0, 0, 0, latencies), 0);
+});
+
+test('the TLB replaces entries by its own policy', () => {
+    // Pages 0, 1, 0, 2, 1, 0 with room for all of them in memory
+    const addresses = [0, 150, 20, 260, 110, 30];
+    const lru = translate(addresses, 100, 3, 2, 'lru').translation;
+    assert.deepEqual([...lru.tlbHits], [0, 0, 0, 1, 0, 0, 0]);
+    const fifo = translate(addresses, 100, 3, 2, 'fifo').translation;
+    assert.deepEqual([...fifo.tlbHits], [0, 0, 0, 1, 0, 1, 0]);
+    assert.equal(fifo.tlbHitRate, (2 / 6) * 100);
+    assert.deepEqual([...fifo.virtualPages], [0, 1, 2]);
+});
+
+test('an evicted page is flushed from the TLB and the address maps into its new frame', () => {
+    const data = translate([5, 4100, 9], 4096, 1, 2, 'lru');
+    const state = getTranslationState(data, data.translation, 2);
+    assert.equal(state.tlbFlushed, 0);
+    assert.deepEqual(state.entries, [{ page: 1, frame: 0 }]);
+    assert.equal(state.offset, 4);
+    assert.equal(state.physicalAddress, 4);
+    assert.equal(data.translation.tlbHitTotals[3], 0);
+});
+
+test('recordings rebuild the same TLB at every step, always matching the frames', () => {
+    const addresses = [];
+    for (let i = 0; i < 700; i++) addresses.push(((i * 7919) % 1237) * 64 + (i % 64));
+    const full = translate(addresses, 512, 5, 4, 'lru');
+    const recorded = translate(addresses, 512, 5, 4, 'lru', true);
+    assert.deepEqual([...recorded.translation.tlbHits], [...full.translation.tlbHits]);
+    for (let step = 0; step <= addresses.length; step += 37) {
+        const state = getTranslationState(recorded, recorded.translation, step);
+        assert.deepEqual(state, getTranslationState(full, full.translation, step), `step ${step}`);
+        const frames = getFrameState(recorded, step).frames;
+        for (const entry of state.entries) {
+            assert.equal(frames[entry.frame], entry.page, `step ${step}`);
+        }
+    }
+});
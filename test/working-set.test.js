@@ -0,0 +1,42 @@
+/**
+ * Unit tests for the working-set model and the variable-allocation policies.
+ * Run with "npm test".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeWorkingSetSizes, getWorkingSet, runAllocationPolicy } from '../engine.js';
+
+const TEXTBOOK = [7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2, 1, 2, 0, 1, 7, 0, 1];
+
+test('W(t, Δ) holds the distinct pages of the last Δ references', () => {
+    const sizes = computeWorkingSetSizes(TEXTBOOK, 4);
+    for (let t = 0; t <= TEXTBOOK.length; t++) {
+        const expected = new Set(TEXTBOOK.slice(Math.max(0, t - 4), t));
+        assert.deepEqual(getWorkingSet(TEXTBOOK, t, 4), [...expected].sort((a, b) => a - b), `step ${t}`);
+        assert.equal(sizes[t], expected.size, `step ${t}`);
+    }
+});
+
+test('multi-process page names are listed in order', () => {
+    const pages = ['B:1', 'A:10', 'A:2', 'B:1', 'A:1'];
+    assert.deepEqual(getWorkingSet(pages, 5, 5), ['A:1', 'A:2', 'A:10', 'B:1']);
+});
+
+test('the working-set policy holds exactly W(t, Δ) and faults on pages outside it', () => {
+    const result = runAllocationPolicy('working-set', TEXTBOOK, { windowSize: 3 });
+    assert.deepEqual([...result.frames], [...computeWorkingSetSizes(TEXTBOOK, 3)]);
+    // A reference faults when its page is not among the three before it
+    const faults = TEXTBOOK.filter((page, i) => !TEXTBOOK.slice(Math.max(0, i - 3), i).includes(page)).length;
+    assert.equal(result.pageFaults, faults);
+    assert.equal(result.peakFrames, 3);
+});
+
+test('PFF grows while faulting often and shrinks once the faults stop', () => {
+    // A loop over six pages, then a long run on two
+    const pages = [...Array(30)].map((_, i) => i % 6).concat([...Array(40)].map((_, i) => 10 + i % 2));
+    const result = runAllocationPolicy('pff', pages, { windowSize: 10, upperThreshold: 0.3, lowerThreshold: 0.1 });
+    assert.equal(result.frames[6], 6);
+    assert.equal(result.frames[pages.length], 2);
+    assert.throws(() => runAllocationPolicy('nope', pages, { windowSize: 3 }), /Unknown allocation policy/);
+});
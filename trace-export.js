@@ -0,0 +1,397 @@
+/**
+ * trace-export.js
+ * * Turns finished simulations into downloadable files (plain text, JSON, CSV,
+ * Markdown and HTML), and reads JSON exports back in so a simulation can be replayed.
+ * Every exporter takes the list of simulations on screen: one in single mode,
+ * several in comparison mode.
+ * This file does not interact with the DOM.
+ */
+
+import { getPolicy } from './algorithm.js';
+import { formatReferenceString } from './parser.js';
+import { getStepCount, getFrameCount, getStep, getReferences, expandSimulation } from './step-store.js';
+
+// Identifies our JSON exports, so other JSON files are rejected on import
+const JSON_FORMAT_ID = 'page-replacement-simulation';
+// Version 2 added the step fields 'action', 'frameIndex', 'victimIndex' and 'reason';
+// version 3 stores hitRatio and missRatio as numbers instead of strings
+const JSON_FORMAT_VERSION = 3;
+// The most steps one export may hold, over all of its simulations. Every step is
+// rebuilt in full and the file is built as one string, so a million-reference
+// recording would not fit in the tab's memory
+export const MAX_EXPORT_STEPS = 100000;
+// The fields every step has (see the Step typedef in algorithm.js), as opposed to a policy's bookkeeping
+const STEP_FIELDS = new Set(['frames', 'dirtyBits', 'page', 'write', 'action', 'frameIndex', 'fault', 'evictedPage',
+    'victimIndex', 'reason', 'writeBack', 'faults', 'hits', 'writeBacks', 'prevState', 'process', 'processFaults',
+    'processHits']);
+
+/**
+ * Every export format, keyed by id (used for the export format dropdown).
+ * - name: Label shown in the dropdown.
+ * - extension / mimeType: Used for the downloaded file.
+ * - build: (dataList) => the file contents as a string.
+ */
+export const EXPORT_FORMATS = {
+    txt: { name: 'Plain Text (.txt)', extension: 'txt', mimeType: 'text/plain', build: buildTextTrace },
+    json: { name: 'JSON (.json, can be re-imported)', extension: 'json', mimeType: 'application/json', build: buildJsonExport },
+    csv: { name: 'CSV (.csv)', extension: 'csv', mimeType: 'text/csv', build: buildCsvExport },
+    md: { name: 'Markdown Table (.md)', extension: 'md', mimeType: 'text/markdown', build: buildMarkdownExport },
+    html: { name: 'HTML Table (.html)', extension: 'html', mimeType: 'text/html', build: buildHtmlExport }
+};
+
+/**
+ * Checks that simulations are small enough to export.
+ * @param {object[]} dataList - The simulations to export.
+ * @returns {string|null} Why they cannot be exported, or null if they can.
+ */
+export function checkExportSize(dataList) {
+    const steps = dataList.reduce((total, data) => total + getStepCount(data), 0);
+    if (steps <= MAX_EXPORT_STEPS) return null;
+    return `This trace has ${steps} steps${dataList.length > 1 ? ' over all policies' : ''}, more than the ` +
+        `${MAX_EXPORT_STEPS} an export may hold. Export a shorter reference string instead.`;
+}
+
+/**
+ * Throws a RangeError if the simulations are too large to export (see checkExportSize).
+ */
+function assertExportSize(dataList) {
+    const problem = checkExportSize(dataList);
+    if (problem) throw new RangeError(problem);
+}
+
+// --- Exporters ---
+
+/**
+ * Builds the free-form, human-readable trace: every step with its bookkeeping.
+ * @param {object[]} dataList - The simulations to export.
+ * @returns {string} The trace text.
+ */
+function buildTextTrace(dataList) {
+    assertExportSize(dataList);
+    // In comparison mode every lane's trace goes into the same file
+    return dataList.map(data => {
+        const policy = getPolicy(data.policy);
+        let traceContent = `${policy.name} Execution Trace\n===================================\n`;
+
+        // Build a string by looping through every step
+        forEachStep(data, (step, index) => {
+            traceContent += `Step ${index}:\n`;
+            traceContent += `  - Referencing Page: ${step.page === null ? 'N/A' : step.page}\n`;
+            traceContent += `  - Access: ${step.write ? 'Write' : 'Read'}\n`;
+            traceContent += `  - Result: ${describeResult(step)}\n`;
+            if (step.action === 'eviction' && step.reason) traceContent += `  - Reason: ${step.reason}\n`;
+            traceContent += `  - Frames: [${step.frames.join(', ')}]\n`; // Show frame contents
+            traceContent += `  - Dirty Bits: [${step.dirtyBits.join(', ')}]\n`;
+            // Show the same bookkeeping the canvas panel shows for this policy
+            const panel = policy.describe(step);
+            const items = panel.items.map(item => (item.label ? `${item.label}: ${item.value}` : item.value));
+            traceContent += `  - ${panel.title}: [${items.join(', ')}]\n\n`;
+        });
+
+        return traceContent;
+    }).join('\n');
+}
+
+/**
+ * Describes what a step did, e.g. "Page Fault (Evicted 3 from Frame 1, write-back)".
+ */
+function describeResult(step) {
+    switch (step.action) {
+        case 'hit':
+            return `Page Hit (Frame ${step.frameIndex})`;
+        case 'cold-fill':
+            return `Page Fault (Loaded into empty Frame ${step.frameIndex})`;
+        case 'eviction':
+            return `Page Fault (Evicted ${step.evictedPage} from Frame ${step.victimIndex}${step.writeBack ? ', write-back' : ''})`;
+        default:
+            return 'Initial State';
+    }
+}
+
+/**
+ * Builds a JSON export: the input parameters plus every simulation's full
+ * data (summary stats and the complete 'steps' array), as algorithm.js returned it
+ * but without each step's prevState, which is the step before it again
+ * (parseSimulationExport puts it back).
+ * @param {object[]} dataList - The simulations to export.
+ * @returns {string} The JSON text.
+ */
+function buildJsonExport(dataList) {
+    assertExportSize(dataList);
+    const references = getReferences(dataList[0]);
+    const exported = {
+        format: JSON_FORMAT_ID,
+        version: JSON_FORMAT_VERSION,
+        parameters: {
+            compare: dataList.length > 1,
+            policies: dataList.map(data => data.policy),
+            numFrames: getFrameCount(dataList[0]),
+            referenceText: formatReferenceString(references),
+            references
+        },
+        // Recordings are written out as full steps
+        simulations: dataList.map(data => {
+            const { steps, ...stats } = expandSimulation(data);
+            return { ...stats, steps: steps.map(({ prevState, ...step }) => step) };
+        })
+    };
+    return JSON.stringify(exported, null, 2);
+}
+
+/**
+ * Builds a CSV export with one row per step (and per policy in comparison mode).
+ * Each frame gets its own column; empty frames are left blank.
+ * @param {object[]} dataList - The simulations to export.
+ * @returns {string} The CSV text.
+ */
+function buildCsvExport(dataList) {
+    assertExportSize(dataList);
+    const frameCount = getFrameCount(dataList[0]);
+    const frameColumns = Array.from({ length: frameCount }, (_, i) => `frame_${i}`);
+    const rows = [['policy', 'step', 'page', 'access', 'result', 'action', 'frame_index', 'evicted_page', 'write_back',
+        'reason', ...frameColumns, 'faults', 'hits', 'write_backs']];
+
+    for (const data of dataList) {
+        forEachStep(data, (step, index) => {
+            if (index === 0) return; // The initial state has no reference
+            rows.push([
+                data.policy,
+                index,
+                step.page,
+                step.write ? 'write' : 'read',
+                step.fault ? 'fault' : 'hit',
+                step.action,
+                step.frameIndex,
+                step.evictedPage === null ? '' : step.evictedPage,
+                step.writeBack ? 1 : 0,
+                csvField(step.reason || ''),
+                ...step.frames.map(page => (page === -1 ? '' : page)),
+                step.faults,
+                step.hits,
+                step.writeBacks
+            ]);
+        });
+    }
+    return rows.map(row => row.join(',')).join('\n') + '\n';
+}
+
+/**
+ * Quotes a CSV cell if it contains a comma, quote or line break.
+ */
+function csvField(text) {
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds the classic textbook frame-by-time table in Markdown: one column per
+ * reference, one row per frame, and an "F" under every fault. The page loaded
+ * by a fault is shown in bold.
+ * @param {object[]} dataList - The simulations to export.
+ * @returns {string} The Markdown text.
+ */
+function buildMarkdownExport(dataList) {
+    assertExportSize(dataList);
+    return dataList.map(data => {
+        const table = buildFrameTable(data);
+        const lines = [`## ${getPolicy(data.policy).name}`, ''];
+        lines.push(`| ${['Reference', ...table.header].join(' | ')} |`);
+        lines.push(`|${' --- |'.repeat(table.header.length + 1)}`);
+        for (const row of table.rows) {
+            const cells = row.cells.map(cell => (cell.loaded ? `**${cell.text}**` : cell.text));
+            lines.push(`| ${[row.label, ...cells].join(' | ')} |`);
+        }
+        lines.push('', summaryLine(data), '');
+        return lines.join('\n');
+    }).join('\n');
+}
+
+/**
+ * Builds the same frame-by-time table as a standalone HTML page, with fault
+ * columns shaded red and loaded pages in bold.
+ * @param {object[]} dataList - The simulations to export.
+ * @returns {string} The HTML text.
+ */
+function buildHtmlExport(dataList) {
+    assertExportSize(dataList);
+    const tables = dataList.map(data => {
+        const table = buildFrameTable(data);
+        const faultColumns = table.rows[table.rows.length - 1].cells.map(cell => cell.text === 'F');
+        const cellClass = (column) => (faultColumns[column] ? ' class="fault"' : '');
+
+        let html = `<h2>${escapeHtml(getPolicy(data.policy).name)}</h2>\n<table>\n`;
+        html += `<tr><th>Reference</th>${table.header.map((text, i) => `<th${cellClass(i)}>${escapeHtml(String(text))}</th>`).join('')}</tr>\n`;
+        for (const row of table.rows) {
+            const cells = row.cells.map((cell, i) => {
+                const text = escapeHtml(String(cell.text));
+                return `<td${cellClass(i)}>${cell.loaded ? `<strong>${text}</strong>` : text}</td>`;
+            });
+            html += `<tr><th>${escapeHtml(String(row.label))}</th>${cells.join('')}</tr>\n`;
+        }
+        html += `</table>\n<p>${escapeHtml(summaryLine(data))}</p>\n`;
+        return html;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Page Replacement Trace</title>
+<style>
+    body { font-family: Arial, sans-serif; }
+    table { border-collapse: collapse; margin-bottom: 0.5rem; }
+    th, td { border: 1px solid #999; padding: 0.25rem 0.5rem; text-align: center; min-width: 1.5rem; }
+    .fault { background-color: #ffe0e0; }
+</style>
+</head>
+<body>
+${tables.join('\n')}</body>
+</html>
+`;
+}
+
+/**
+ * Lays out one simulation as a frame-by-time table, shared by the Markdown and HTML exporters.
+ * @param {object} data - A simulation data object.
+ * @returns {object} {header, rows}. 'header' holds one label per reference ("3" or "3w");
+ *   each row is {label, cells}, with cells {text, loaded}. The last row marks faults.
+ */
+function buildFrameTable(data) {
+    const steps = [];
+    forEachStep(data, (step, index) => {
+        if (index > 0) steps.push(step); // Skip the initial state
+    });
+    const frameCount = getFrameCount(data);
+
+    const header = steps.map(step => `${step.page}${step.write ? 'w' : ''}`);
+    const rows = [];
+    for (let frame = 0; frame < frameCount; frame++) {
+        rows.push({
+            label: `Frame ${frame + 1}`,
+            cells: steps.map(step => ({
+                text: step.frames[frame] === -1 ? '' : String(step.frames[frame]),
+                // The frame that received the page on a fault
+                loaded: step.fault && frame === step.frameIndex
+            }))
+        });
+    }
+    rows.push({ label: 'Fault', cells: steps.map(step => ({ text: step.fault ? 'F' : '', loaded: false })) });
+    return { header, rows };
+}
+
+function summaryLine(data) {
+    return `Page faults: ${data.pageFaults}, page hits: ${data.pageHits}, ` +
+        `hit ratio: ${data.hitRatio.toFixed(2)}%, write-backs: ${data.writeBacks}.`;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Calls 'callback' with every step of a simulation and its index, in order
+ * (the cheap order for recorded simulations, which are replayed).
+ */
+function forEachStep(data, callback) {
+    const count = getStepCount(data);
+    for (let index = 0; index < count; index++) callback(getStep(data, index), index);
+}
+
+// --- Re-Import ---
+
+/**
+ * Reads a JSON export back in, so the exact same simulation can be replayed.
+ * @param {string} text - The contents of a file written by the JSON exporter.
+ * @returns {object} {parameters, simulations}. 'parameters' is {compare, policies,
+ *   numFrames, referenceText, references}; 'simulations' are simulation data objects
+ *   ready for animation.js.
+ * @throws {Error} With a readable message if the file is not a valid export.
+ */
+export function parseSimulationExport(text) {
+    let exported;
+    try {
+        exported = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON (${error.message}).`);
+    }
+
+    if (!exported || exported.format !== JSON_FORMAT_ID) {
+        throw new Error('The file is not a simulation exported by this visualizer.');
+    }
+    if (exported.version > JSON_FORMAT_VERSION) {
+        throw new Error(`The file was exported by a newer version (format ${exported.version}).`);
+    }
+
+    const { parameters, simulations } = exported;
+    if (!parameters || !Array.isArray(simulations) || simulations.length === 0) {
+        throw new Error('The file has no simulations in it.');
+    }
+    for (const data of simulations) {
+        if (!getPolicy(data.policy)) {
+            throw new Error(`Unknown policy "${data.policy}" in the file.`);
+        }
+        if (!Array.isArray(data.steps) || data.steps.length === 0 ||
+            data.steps.some(step => !Array.isArray(step.frames) || !Array.isArray(step.dirtyBits))) {
+            throw new Error(`The steps for ${getPolicy(data.policy).name} are missing or damaged.`);
+        }
+    }
+    if (simulations.some(data => data.steps.length !== simulations[0].steps.length)) {
+        throw new Error('The simulations in the file have different numbers of steps.');
+    }
+
+    if (exported.version < 2) simulations.forEach(upgradeSteps);
+    simulations.forEach(restorePrevStates);
+    if (exported.version < 3) {
+        for (const data of simulations) {
+            data.hitRatio = Number(data.hitRatio);
+            data.missRatio = Number(data.missRatio);
+        }
+    }
+    return { parameters, simulations };
+}
+
+/**
+ * Gives every step its prevState back: the frames, dirty bits and policy
+ * bookkeeping of the step before it (exports leave it out, as it repeats that step).
+ * @param {object} data - A simulation data object, updated in place.
+ */
+function restorePrevStates(data) {
+    data.steps.forEach((step, index) => {
+        if (step.prevState !== undefined) return;
+        if (index === 0) {
+            step.prevState = null; // Nothing came before the initial state
+            return;
+        }
+        const before = data.steps[index - 1];
+        step.prevState = { frames: before.frames, dirtyBits: before.dirtyBits };
+        // Whatever else the step holds is the policy's bookkeeping
+        for (const key of Object.keys(before)) {
+            if (!STEP_FIELDS.has(key)) step.prevState[key] = before[key];
+        }
+    });
+}
+
+/**
+ * Fills in the step fields that version 1 exports do not have. The touched frame
+ * and the victim's slot follow from the frames before and after each step; the
+ * policy's reason for a victim was not recorded, so it stays null.
+ * @param {object} data - A simulation data object, updated in place.
+ */
+function upgradeSteps(data) {
+    data.steps.forEach((step, index) => {
+        if (index === 0) {
+            Object.assign(step, { action: 'initial', frameIndex: null, victimIndex: null, reason: null });
+            return;
+        }
+        const before = data.steps[index - 1].frames;
+        step.frameIndex = step.fault ?
+            step.frames.findIndex((page, frame) => page !== before[frame]) :
+            step.frames.indexOf(step.page);
+        if (!step.fault) {
+            step.action = 'hit';
+        } else {
+            step.action = before[step.frameIndex] === -1 ? 'cold-fill' : 'eviction';
+        }
+        step.victimIndex = step.action === 'eviction' ? step.frameIndex : null;
+        step.reason = step.action === 'cold-fill' ? `Frame ${step.frameIndex} was empty` : null;
+    });
+}
@@ -0,0 +1,217 @@
+/**
+ * trace-import.js
+ * * Parses memory trace files into reference strings.
+ * Supported formats:
+ *   - lines:  one page number or address per line, optionally with an R/W marker
+ *             ("12", "0x7ff0a10 W", "R 0x400")
+ *   - csv:    comma-separated rows, with or without a header row
+ *             (e.g. "address,type" / "0x7ff0a10,W")
+ *   - lackey: output of Valgrind's "lackey --trace-mem=yes" tool
+ *             (" L 04222cac,8", " S 7ff000398,8", "I  0023c790,2")
+ * Raw addresses are converted to page numbers with a configurable page size,
+ * and every reference keeps its access type so dirty-page handling can use it.
+ * This file does not interact with the DOM.
+ */
+
+// How many lines to parse before yielding back to the browser
+const LINES_PER_CHUNK = 50000;
+
+// Matches one lackey record: access kind, hex address, size
+const LACKEY_LINE = /^\s*([ILSM])\s+([0-9a-fA-F]+),(\d+)/;
+const WRITE_TOKEN = /^(w|write|s|store|m|modify)$/i;
+const READ_TOKEN = /^(r|read|l|load|i|fetch)$/i;
+
+/**
+ * Names of the supported formats, keyed by id (used for the format dropdown).
+ */
+export const TRACE_FORMATS = {
+    auto: 'Auto-detect',
+    lines: 'One page/address per line',
+    csv: 'CSV',
+    lackey: 'Valgrind lackey --trace-mem'
+};
+
+/**
+ * Guesses the format of a trace from its first few meaningful lines.
+ * @param {string} text - The trace file contents.
+ * @returns {string} 'lackey', 'csv' or 'lines'.
+ */
+export function detectTraceFormat(text) {
+    const sample = text.slice(0, 10000).split(/\r?\n/)
+        .filter(line => line.trim() !== '' && !isCommentLine(line))
+        .slice(0, 50);
+
+    if (sample.some(line => LACKEY_LINE.test(line))) return 'lackey';
+    if (sample.some(line => line.includes(','))) return 'csv';
+    return 'lines';
+}
+
+/**
+ * Parses a trace without blocking the page: the work is split into chunks and
+ * the function yields to the event loop between them.
+ * @param {string} text - The trace file contents.
+ * @param {object} options - Import options:
+ *   format: 'auto' | 'lines' | 'csv' | 'lackey'
+ *   valueKind: 'auto' (hex = address, decimal = page) | 'address' | 'page'
+ *   pageSize: Page size in bytes, used to turn addresses into page numbers
+ *   includeInstructions: Whether lackey instruction fetches ("I") are kept
+ * @param {function} [onProgress] - Called with the fraction of lines parsed so far (0 to 1).
+ * @param {function} [isCancelled] - Polled between chunks; return true to stop early.
+ * @returns {Promise<object|null>} {references, format, skipped, firstSkippedLine},
+ *   or null if the import was cancelled. Each reference is {page, write}.
+ */
+export async function parseTrace(text, options, onProgress, isCancelled) {
+    const format = options.format === 'auto' ? detectTraceFormat(text) : options.format;
+    const lines = text.split(/\r?\n/);
+
+    const references = [];
+    let skipped = 0;
+    let firstSkippedLine = null;
+    let csvColumns = null; // Filled in from the header row, if the CSV has one
+    let rowOptions = options; // May switch to 'address' values if the CSV header says so
+
+    for (let start = 0; start < lines.length; start += LINES_PER_CHUNK) {
+        const end = Math.min(lines.length, start + LINES_PER_CHUNK);
+
+        for (let i = start; i < end; i++) {
+            const line = lines[i];
+            if (line.trim() === '' || isCommentLine(line)) continue;
+
+            let reference;
+            if (format === 'lackey') {
+                reference = parseLackeyLine(line, options);
+                if (reference === undefined) continue; // An instruction fetch we were told to ignore
+            } else if (format === 'csv') {
+                const cells = line.split(',').map(cell => cell.trim());
+                // A first row with no numbers in it is a header
+                if (references.length === 0 && skipped === 0 && csvColumns === null && isHeaderRow(cells)) {
+                    csvColumns = findCsvColumns(cells);
+                    if (csvColumns.isAddress && options.valueKind === 'auto') {
+                        rowOptions = { ...options, valueKind: 'address' };
+                    }
+                    continue;
+                }
+                reference = parseTokens(cells, csvColumns, rowOptions);
+            } else {
+                reference = parseTokens(line.trim().split(/[\s;]+/), null, options);
+            }
+
+            if (reference) {
+                references.push(reference);
+            } else {
+                skipped++;
+                if (firstSkippedLine === null) firstSkippedLine = i + 1;
+            }
+        }
+
+        if (onProgress) onProgress(end / lines.length);
+        if (end < lines.length) {
+            // Give the browser a chance to repaint and handle input
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled && isCancelled()) return null;
+        }
+    }
+
+    return { references, format, skipped, firstSkippedLine };
+}
+
+// --- Line Parsers ---
+
+/**
+ * Lines starting with '#' or '//' are comments; '==' lines are Valgrind's own log output.
+ */
+function isCommentLine(line) {
+    const trimmed = line.trimStart();
+    return trimmed.startsWith('#') || trimmed.startsWith('//') || trimmed.startsWith('==');
+}
+
+/**
+ * Parses one lackey record. Loads (L) and instruction fetches (I) are reads;
+ * stores (S) and modifies (M, a load followed by a store) are writes.
+ * @returns {object|null|undefined} A reference, null if unreadable, or undefined if ignored.
+ */
+function parseLackeyLine(line, options) {
+    const match = LACKEY_LINE.exec(line);
+    if (!match) return null;
+    const [, kind, hexAddress] = match;
+    if (kind === 'I' && !options.includeInstructions) return undefined;
+
+    const address = parseInt(hexAddress, 16);
+    return { page: Math.floor(address / options.pageSize), write: kind === 'S' || kind === 'M' };
+}
+
+/**
+ * Parses a row of tokens (a whitespace-separated line or CSV cells) into a reference.
+ * Without known columns, the access marker may come before or after the value
+ * ("W 0x10" or "0x10 W").
+ * @param {string[]} tokens - The row's tokens.
+ * @param {object|null} columns - {value, access} column indexes from a CSV header, or null.
+ * @param {object} options - The import options.
+ * @returns {object|null} A reference {page, write}, or null if the row is unreadable.
+ */
+function parseTokens(tokens, columns, options) {
+    let valueToken;
+    let accessToken;
+    if (columns) {
+        valueToken = tokens[columns.value];
+        accessToken = columns.access === -1 ? undefined : tokens[columns.access];
+    } else if (tokens.length > 1 && isAccessToken(tokens[0])) {
+        [accessToken, valueToken] = tokens;
+    } else {
+        [valueToken, accessToken] = tokens;
+    }
+
+    const page = toPageNumber(valueToken, options);
+    if (page === null) return null;
+
+    // An unknown access marker makes the whole row suspicious
+    if (accessToken !== undefined && accessToken !== '' && !isAccessToken(accessToken)) return null;
+    return { page, write: accessToken !== undefined && WRITE_TOKEN.test(accessToken) };
+}
+
+/**
+ * Converts a decimal or 0x-prefixed hex token into a page number.
+ * @returns {number|null} The page number, or null if the token is not a non-negative integer.
+ */
+function toPageNumber(token, options) {
+    if (token === undefined) return null;
+
+    let value;
+    let isHex = false;
+    if (/^0x[0-9a-f]+$/i.test(token)) {
+        value = parseInt(token, 16);
+        isHex = true;
+    } else if (/^\d+$/.test(token)) {
+        value = Number(token);
+    } else {
+        return null;
+    }
+
+    const isAddress = options.valueKind === 'address' || (options.valueKind === 'auto' && isHex);
+    return isAddress ? Math.floor(value / options.pageSize) : value;
+}
+
+function isAccessToken(token) {
+    return WRITE_TOKEN.test(token) || READ_TOKEN.test(token);
+}
+
+/**
+ * A header row is one where no cell is a number.
+ */
+function isHeaderRow(cells) {
+    return cells.every(cell => !/^(0x[0-9a-f]+|\d+)$/i.test(cell));
+}
+
+/**
+ * Finds the value and access columns from a CSV header row.
+ * @param {string[]} cells - The header cells.
+ * @returns {object} {value, access, isAddress}. 'access' is -1 if there is no access column;
+ *   'isAddress' is true when the value column is named like an address column.
+ */
+function findCsvColumns(cells) {
+    const lower = cells.map(cell => cell.toLowerCase());
+    let value = lower.findIndex(cell => /addr|page|vpn|value/.test(cell));
+    if (value === -1) value = 0;
+    const access = lower.findIndex(cell => /type|op|access|rw|r\/w|mode|kind/.test(cell));
+    return { value, access, isAddress: lower[value].includes('addr') };
+}
@@ -2,48 +2,677 @@
  * ui.js
  * * Handles all interactions with the UI input form.
  * Its primary job is to read and validate user input.
+ * Validation problems are shown inline, right under the field they belong to.
  */
 
+import { parseReferenceString } from './parser.js';
+import {
+    REPLACEMENT_SCOPES,
+    hasProcessLabels,
+    parseProcesses,
+    parseScheduleOrder,
+    interleaveProcesses
+} from './multiprocess.js';
+import { CUSTOM_POLICY_ID, MAX_CUSTOM_REFERENCES, checkCustomPolicy } from './custom-policy.js';
+
+// Bounds for the number of frames (matching the min/max on #num-frames)
+const MIN_FRAMES = 1;
+const MAX_FRAMES = 10;
+// Largest working-set window Δ (matching the max on #working-set-window)
+const MAX_WINDOW_SIZE = 10000;
+// Bounds for address translation (matching #page-size and #tlb-size)
+const MAX_PAGE_SIZE = 1048576; // 1 MiB
+const MAX_TLB_SIZE = 8;
+// Fastest recording frame rate (matching the max on #recording-fps)
+const MAX_RECORDING_FPS = 30;
+
+// --- Module-Level Variables ---
+// A trace imported from a file, {name, references}. While one is loaded it is
+// used instead of the typed reference string.
+let importedTrace = null;
+
 /**
  * Reads and validates the simulation parameters from the input form.
- * @returns {object|null} An object {numFrames, referenceString} if inputs are valid, or null if invalid.
+ * Problems are shown inline under the offending field.
+ * @returns {object|null} An object {policy, compare, comparePolicies, numFrames, references,
+ *   referenceText, traceName, latencies, processes, processOptions} if inputs are valid, or
+ *   null if invalid. 'references' is the imported trace if one is loaded, otherwise the parsed
+ *   reference string; 'referenceText' is the typed text (for links and save slots), or null
+ *   for an imported trace, which is too long for either: 'traceName' then names its file
+ *   (otherwise it is null). When the reference string has process labels, the
+ *   processes' references are interleaved into 'references', 'processes' holds one
+ *   {name, quota} per process (see runPolicy) and 'processOptions' the schedule and
+ *   frame-sharing settings; otherwise both are null. With address translation on, the
+ *   reference string holds virtual addresses: 'references' are their page numbers,
+ *   'translation' holds the addresses and the TLB settings (see runTranslation) and
+ *   'translationOptions' the settings as typed; otherwise both are null. 'customPolicy'
+ *   is the policy editor's code when the custom policy is among those run, otherwise null.
  */
 export function handleFormSubmit() {
     // Read the raw values from the input fields
-    const numFrames = document.getElementById('num-frames').value;
+    const policy = document.getElementById('policy-select').value;
+    const numFramesText = document.getElementById('num-frames').value;
     const referenceString = document.getElementById('reference-string').value;
-    
-    console.log('Handling form submit with inputs:', { numFrames, referenceString });
+    const compare = document.getElementById('compare-mode').checked;
+    const comparePolicies = [...document.querySelectorAll('#compare-policies input:checked')]
+        .map(input => input.value);
     
     // --- Validation ---
+    // Every check runs, so all problems are shown at once
+    clearFieldErrors('input-form');
+    let valid = true;
     
-    // 1. Check if fields are empty
-    if (!numFrames || !referenceString) {
-        console.error('Missing required fields');
-        alert('Please fill all fields.');
-        return null; // Stop execution and return null
+    // 1. The frame count must be a whole number within the form's bounds
+    const numFrames = readInteger('num-frames', MIN_FRAMES, MAX_FRAMES);
+    if (numFrames === null) {
+        showFieldError('num-frames', `Enter a whole number of frames from ${MIN_FRAMES} to ${MAX_FRAMES}.`);
+        valid = false;
     }
     
-    // 2. Validate the reference string format
-    const referenceArray = referenceString.split(',').map(item => {
-        // Trim whitespace and convert to a number
-        const num = parseInt(item.trim());
-        // If conversion fails (e.g., "a" or ""), return null
-        // Note: isNaN(num) will be true for empty strings after trim (e.g., "1,,2")
-        return isNaN(num) ? null : num;
-    });
+    // 2. Parse the reference string (unless an imported trace replaces it)
+    let references = importedTrace ? importedTrace.references : null;
+    let processes = null;
+    let processOptions = null;
+    if (!importedTrace && hasProcessLabels(referenceString)) {
+        // One labelled line per process, interleaved by the schedule
+        processOptions = readProcessOptions();
+        const result = readProcesses(referenceString, numFrames, processOptions);
+        if (result) {
+            ({ references, processes } = result);
+        } else {
+            valid = false;
+        }
+    } else if (!importedTrace) {
+        const result = parseReferenceString(referenceString);
+        if (result.error) {
+            console.error('Invalid reference string:', result.error.message);
+            showFieldError('reference-string', result.error.message, {
+                text: referenceString,
+                start: result.error.start,
+                end: result.error.end
+            });
+            valid = false;
+        } else {
+            references = result.references;
+        }
+    }
+    
+    // 3. Comparison mode needs at least two policies to compare
+    if (compare && comparePolicies.length < 2) {
+        showFieldError('compare-policies', 'Select at least two policies to compare.');
+        valid = false;
+    }
     
-    // 3. Check if any part of the string was invalid
-    if (referenceArray.includes(null)) {
-        console.error('Invalid reference string');
-        alert('Reference string must be comma-separated numbers (e.g., 1,2,3).');
-        return null; // Stop execution and return null
+    // 4. The cost model's latencies must be non-negative numbers
+    // (memory in nanoseconds, disk in milliseconds on the form)
+    const memory = readNumber('latency-memory', 0, Infinity);
+    const diskRead = readNumber('latency-disk-read', 0, Infinity);
+    const diskWrite = readNumber('latency-disk-write', 0, Infinity);
+    [['latency-memory', memory], ['latency-disk-read', diskRead], ['latency-disk-write', diskWrite]]
+        .filter(([, value]) => value === null)
+        .forEach(([fieldId]) => {
+            showFieldError(fieldId, 'Enter a latency of 0 or more.');
+            valid = false;
+        });
+    const latencies = { memory, diskRead: diskRead * 1e6, diskWrite: diskWrite * 1e6 };
+
+    // 5. Address translation reads the typed string as virtual addresses
+    let translation = null;
+    let translationOptions = null;
+    if (document.getElementById('translation-mode').checked) {
+        translationOptions = readTranslationOptions();
+        translation = readTranslation({ compare, processes, references });
+        if (translation) {
+            references = references.map(reference => ({
+                page: Math.floor(reference.page / translation.pageSize),
+                write: reference.write
+            }));
+        } else {
+            valid = false;
+        }
     }
+
+    // 6. A custom policy must compile (it only runs later, in the worker)
+    let customPolicy = null;
+    if ((compare ? comparePolicies : [policy]).includes(CUSTOM_POLICY_ID)) {
+        customPolicy = document.getElementById('custom-policy-code').value;
+        const problem = checkCustomPolicy(customPolicy) ||
+            (references && references.length > MAX_CUSTOM_REFERENCES ?
+                `The custom policy runs on at most ${MAX_CUSTOM_REFERENCES} references (this input has ${references.length}).` :
+                null);
+        if (problem) {
+            document.getElementById('custom-policy-options').open = true; // So the error can be seen
+            showFieldError('custom-policy-code', problem);
+            valid = false;
+        }
+    }
+    
+    if (!valid) return null;
     
     // If all checks pass, return the valid data
     return { 
-        numFrames: parseInt(numFrames), 
-        referenceString: referenceString // Return the original valid string
+        policy: policy, // A key of the POLICIES registry (e.g., 'lru')
+        compare: compare, // true when several policies should run side by side
+        comparePolicies: comparePolicies, // Policy ids to compare (only used when 'compare' is true)
+        numFrames: numFrames, 
+        references: references, // {page, write} objects, typed or from an imported trace
+        // The typed text as-is (keeping shorthand like (1,2)x4); an imported trace is not written out
+        referenceText: importedTrace ? null : referenceString.trim(),
+        traceName: importedTrace ? importedTrace.name : null,
+        latencies: latencies, // {memory, diskRead, diskWrite} in nanoseconds
+        processes: processes, // {name, quota} per process, or null for a single process
+        processOptions: processOptions, // {schedule, quantum, order, scope} as typed, or null
+        translation: translation, // {addresses, pageSize, tlbSize, tlbPolicy, tlbLatency}, or null
+        translationOptions: translationOptions, // The same settings as typed, or null
+        customPolicy: customPolicy // The custom policy's code, or null
+    };
+}
+
+/**
+ * Reads the address translation settings as they are on the form (validated by readTranslation).
+ * @returns {object} {pageSize, tlbSize, tlbPolicy, tlbLatency}.
+ */
+function readTranslationOptions() {
+    return {
+        pageSize: document.getElementById('page-size').value.trim(),
+        tlbSize: document.getElementById('tlb-size').value.trim(),
+        tlbPolicy: document.getElementById('tlb-policy').value,
+        tlbLatency: document.getElementById('latency-tlb').value.trim()
+    };
+}
+
+/**
+ * Validates the address translation settings. Problems are shown inline.
+ * @param {object} input - {compare, processes, references}: the rest of the form
+ *   (references is null if the reference string was invalid).
+ * @returns {object|null} {addresses, pageSize, tlbSize, tlbPolicy, tlbLatency}, or null if invalid.
+ */
+function readTranslation({ compare, processes, references }) {
+    let valid = true;
+    // Translation follows one address space through one policy
+    if (importedTrace) {
+        showFieldError('translation-mode', 'Imported traces are already page numbers; clear the trace to type virtual addresses.');
+        valid = false;
+    } else if (processes) {
+        showFieldError('translation-mode', 'Address translation works on a single process; remove the process labels.');
+        valid = false;
+    } else if (compare) {
+        showFieldError('translation-mode', 'Address translation follows one policy; turn off comparison mode.');
+        valid = false;
+    }
+
+    // A power of two, so the offset is the address's low bits
+    const pageSize = readInteger('page-size', 1, MAX_PAGE_SIZE);
+    if (pageSize === null || (pageSize & (pageSize - 1)) !== 0) {
+        showFieldError('page-size', `Enter a power of two from 1 to ${MAX_PAGE_SIZE} bytes (e.g., 4096).`);
+        valid = false;
+    }
+    const tlbSize = readInteger('tlb-size', 1, MAX_TLB_SIZE);
+    if (tlbSize === null) {
+        showFieldError('tlb-size', `Enter a whole number of entries from 1 to ${MAX_TLB_SIZE}.`);
+        valid = false;
+    }
+    const tlbLatency = readNumber('latency-tlb', 0, Infinity);
+    if (tlbLatency === null) {
+        showFieldError('latency-tlb', 'Enter a latency of 0 or more.');
+        valid = false;
+    }
+
+    if (!valid || !references) return null;
+    return {
+        addresses: references.map(reference => reference.page),
+        pageSize,
+        tlbSize,
+        tlbPolicy: document.getElementById('tlb-policy').value,
+        tlbLatency
+    };
+}
+
+/**
+ * Reads the multi-process settings as they are on the form (validated by readProcesses).
+ * @returns {object} {schedule, quantum, order, scope}.
+ */
+function readProcessOptions() {
+    return {
+        schedule: document.getElementById('process-schedule').value,
+        quantum: document.getElementById('process-quantum').value.trim(),
+        order: document.getElementById('process-order').value.trim(),
+        scope: document.getElementById('replacement-scope').value
+    };
+}
+
+/**
+ * Parses a multi-process reference string and interleaves it by the chosen schedule.
+ * Problems are shown inline.
+ * @param {string} text - The reference string, one labelled line per process.
+ * @param {number|null} numFrames - The frame count (null if it was invalid).
+ * @param {object} options - The settings from readProcessOptions.
+ * @returns {object|null} {references, processes}, or null if invalid.
+ */
+function readProcesses(text, numFrames, options) {
+    const parsed = parseProcesses(text);
+    if (parsed.error) {
+        showFieldError('reference-string', parsed.error.message, { text, ...parsed.error });
+        return null;
+    }
+    const processes = parsed.processes;
+
+    let schedule;
+    if (options.schedule === 'custom') {
+        const result = parseScheduleOrder(options.order, processes);
+        if (result.error) {
+            showFieldError('process-order', result.error.message);
+            return null;
+        }
+        schedule = { kind: 'custom', order: result.order };
+    } else {
+        const quantum = readInteger('process-quantum', 1, 1000);
+        if (quantum === null) {
+            showFieldError('process-quantum', 'Enter a whole number of references from 1 to 1000.');
+            return null;
+        }
+        schedule = { kind: 'round-robin', quantum };
+    }
+
+    // Local replacement splits the frames up, so every process needs at least one
+    const scope = REPLACEMENT_SCOPES[options.scope];
+    if (numFrames === null) return null;
+    if (options.scope !== 'global' && numFrames < processes.length) {
+        showFieldError('replacement-scope',
+            `Local replacement needs at least one frame per process (${processes.length} processes, ${numFrames} frames).`);
+        return null;
+    }
+    const quotas = scope.allocate(processes, numFrames);
+    return {
+        references: interleaveProcesses(processes, schedule),
+        processes: processes.map((process, index) => ({ name: process.name, quota: quotas ? quotas[index] : null }))
+    };
+}
+
+/**
+ * Fills the input form from a saved or linked configuration (see persistence.js).
+ * Values are not validated here; the next form submit does that as usual.
+ * @param {object} config - {policy, compare, comparePolicies, numFrames, referenceText,
+ *   processOptions, translationOptions, customPolicy} (the last three may be missing or null).
+ */
+export function applyConfiguration(config) {
+    const policySelect = document.getElementById('policy-select');
+    if ([...policySelect.options].some(option => option.value === config.policy)) {
+        policySelect.value = config.policy;
+    }
+
+    const compareMode = document.getElementById('compare-mode');
+    compareMode.checked = config.compare;
+    compareMode.dispatchEvent(new Event('change')); // Shows/hides the checkbox list
+    if (config.compare) {
+        document.querySelectorAll('#compare-policies input').forEach(input => {
+            input.checked = config.comparePolicies.includes(input.value);
+        });
+    }
+
+    document.getElementById('num-frames').value = config.numFrames;
+    setImportedTrace(null); // The configuration carries its own reference string
+    document.getElementById('reference-string').value = config.referenceText;
+
+    if (config.processOptions) {
+        const { schedule, quantum, order, scope } = config.processOptions;
+        const scheduleSelect = document.getElementById('process-schedule');
+        scheduleSelect.value = schedule;
+        scheduleSelect.dispatchEvent(new Event('change')); // Shows the quantum or the order field
+        document.getElementById('process-quantum').value = quantum;
+        document.getElementById('process-order').value = order;
+        document.getElementById('replacement-scope').value = scope;
+    }
+
+    if (config.customPolicy) {
+        document.getElementById('custom-policy-code').value = config.customPolicy;
+    }
+
+    // A configuration without translation settings was made with it off
+    const translationMode = document.getElementById('translation-mode');
+    translationMode.checked = Boolean(config.translationOptions);
+    translationMode.dispatchEvent(new Event('change')); // Shows or hides the TLB settings
+    if (config.translationOptions) {
+        const { pageSize, tlbSize, tlbPolicy, tlbLatency } = config.translationOptions;
+        document.getElementById('page-size').value = pageSize;
+        document.getElementById('tlb-size').value = tlbSize;
+        document.getElementById('tlb-policy').value = tlbPolicy;
+        document.getElementById('latency-tlb').value = tlbLatency;
+    }
+}
+
+/**
+ * Loads (or clears, when given null) an imported trace. While a trace is
+ * loaded, the typed reference string is disabled and shows a summary instead.
+ * @param {object|null} trace - {name, references}, or null to go back to the typed string.
+ */
+export function setImportedTrace(trace) {
+    importedTrace = trace;
+    const field = document.getElementById('reference-string');
+    field.disabled = trace !== null;
+    field.placeholder = trace ?
+        `Using imported trace ${trace.name} (${trace.references.length} references)` :
+        'e.g., 1,2,3,2,4,1,3,5,4,1';
+    if (trace) field.value = '';
+    document.getElementById('trace-clear').hidden = trace === null;
+}
+
+/**
+ * Reads the name for a new save slot.
+ * @returns {string|null} The trimmed name, or null (with an inline error) if it is empty.
+ */
+export function readSlotName() {
+    clearFieldErrors('saves-section');
+    const name = document.getElementById('save-name').value.trim();
+    if (name === '') {
+        showFieldError('save-name', 'Enter a name for this example.');
+        return null;
+    }
+    return name;
+}
+
+/**
+ * Reads the value of a breakpoint being added.
+ * @param {object} kind - The chosen entry of BREAKPOINT_KINDS in breakpoints.js.
+ * @returns {string|number|null} A page (as a string) or a number, depending on the
+ *   kind's parameter type, or null (with an inline error) if it is invalid.
+ */
+export function readBreakpointValue(kind) {
+    clearFieldErrors('breakpoint-form');
+    switch (kind.parameter.type) {
+        case 'page': {
+            const page = document.getElementById('breakpoint-value').value.trim();
+            if (!/^[^\s,]+$/.test(page)) {
+                showFieldError('breakpoint-value', 'Enter one page as it appears in the reference string, e.g. 3 or A:3.');
+                return null;
+            }
+            return page;
+        }
+        case 'count': {
+            const count = readInteger('breakpoint-value', 1, Number.MAX_SAFE_INTEGER);
+            if (count === null) showFieldError('breakpoint-value', 'Enter a whole number of 1 or more.');
+            return count;
+        }
+        default: {
+            const percent = readNumber('breakpoint-value', 0, 100);
+            if (percent === null) showFieldError('breakpoint-value', 'Enter a percentage from 0 to 100.');
+            return percent;
+        }
+    }
+}
+
+/**
+ * Reads and validates the playback recording options.
+ * @param {number} lastStep - The last step of the simulation on screen.
+ * @returns {object|null} {format, size, fps, fromStep, toStep, transitions, stats}, or null if invalid.
+ */
+export function readRecordingOptions(lastStep) {
+    clearFieldErrors('recording-form');
+    let valid = true;
+
+    const fps = readInteger('recording-fps', 1, MAX_RECORDING_FPS);
+    if (fps === null) {
+        showFieldError('recording-fps', `Frame rate must be a whole number from 1 to ${MAX_RECORDING_FPS}.`);
+        valid = false;
+    }
+    const fromStep = readInteger('recording-from', 0, lastStep);
+    if (fromStep === null) {
+        showFieldError('recording-from', `The first step must be a whole number from 0 to ${lastStep}.`);
+        valid = false;
+    }
+    const toStep = readInteger('recording-to', 0, lastStep);
+    if (toStep === null) {
+        showFieldError('recording-to', `The last step must be a whole number from 0 to ${lastStep}.`);
+        valid = false;
+    } else if (fromStep !== null && toStep < fromStep) {
+        showFieldError('recording-to', 'The last step cannot come before the first one.');
+        valid = false;
+    }
+
+    if (!valid) return null;
+    return {
+        format: document.getElementById('recording-format').value,
+        size: document.getElementById('recording-size').value,
+        fps: fps,
+        fromStep: fromStep,
+        toStep: toStep,
+        transitions: document.getElementById('recording-transitions').checked,
+        stats: document.getElementById('recording-stats').checked
+    };
+}
+
+/**
+ * Reads and validates the trace import options.
+ * @returns {object|null} {format, valueKind, pageSize, includeInstructions}, or null if invalid.
+ */
+export function readTraceImportOptions() {
+    clearFieldErrors('import-section');
+    const pageSize = readInteger('trace-page-size', 1, Number.MAX_SAFE_INTEGER);
+    if (pageSize === null) {
+        showFieldError('trace-page-size', 'Page size must be a whole number of bytes (e.g., 4096).');
+        return null;
+    }
+    return {
+        format: document.getElementById('trace-format').value,
+        valueKind: document.getElementById('trace-values').value,
+        pageSize: pageSize,
+        includeInstructions: document.getElementById('trace-include-instructions').checked
+    };
+}
+
+/**
+ * Rebuilds the model-specific inputs of the generator form.
+ * @param {object} model - An entry of the GENERATORS registry in generator.js.
+ */
+export function renderGeneratorParams(model) {
+    const container = document.getElementById('generator-params');
+    const fields = [];
+    for (const param of model.params) {
+        const label = document.createElement('label');
+        label.htmlFor = `generator-param-${param.key}`;
+        label.textContent = `${param.label} (${param.min}-${param.max}):`;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = `generator-param-${param.key}`;
+        input.min = param.min;
+        input.max = param.max;
+        input.step = param.step;
+        input.value = param.defaultValue;
+
+        fields.push(label, input);
+    }
+    container.replaceChildren(...fields);
+}
+
+/**
+ * Reads and validates the generator form.
+ * @param {object} model - The selected entry of the GENERATORS registry.
+ * @returns {object|null} The options {length, pageRange, seed, ...model params}, or null if invalid.
+ */
+export function readGeneratorOptions(model) {
+    clearFieldErrors('generator-form');
+    let valid = true;
+
+    // --- Validation ---
+
+    // 1. Shared parameters must be whole numbers in range
+    const length = readInteger('generator-length', 1, 1000);
+    if (length === null) {
+        showFieldError('generator-length', 'Length must be a whole number from 1 to 1000.');
+        valid = false;
+    }
+    const pageRange = readInteger('generator-range', 1, 100);
+    if (pageRange === null) {
+        showFieldError('generator-range', 'Page range must be a whole number from 1 to 100.');
+        valid = false;
+    }
+    const seed = readInteger('generator-seed', Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER);
+    if (seed === null) {
+        showFieldError('generator-seed', 'Seed must be a whole number.');
+        valid = false;
+    }
+
+    // 2. Model parameters must be numbers within their declared bounds
+    // (whole numbers for those that step by a whole number, such as lengths and sizes)
+    const options = { length, pageRange, seed };
+    for (const param of model.params) {
+        const fieldId = `generator-param-${param.key}`;
+        const raw = document.getElementById(fieldId).value.trim();
+        const value = Number(raw);
+        const whole = Number.isInteger(param.step);
+        if (raw === '' || isNaN(value) || value < param.min || value > param.max ||
+            (whole && !Number.isInteger(value))) {
+            showFieldError(fieldId, `${param.label} must be a ${whole ? 'whole number' : 'number'} ` +
+                `from ${param.min} to ${param.max}.`);
+            valid = false;
+        }
+        options[param.key] = value;
+    }
+    return valid ? options : null;
+}
+
+/**
+ * Reads and validates the working-set analysis options.
+ * @param {object} policy - The selected entry of ALLOCATION_POLICIES in working-set.js.
+ * @returns {object|null} {windowSize, upperThreshold, lowerThreshold} (thresholds as
+ *   fractions from 0 to 1), or null if invalid.
+ */
+export function readWorkingSetOptions(policy) {
+    clearFieldErrors('working-set-form');
+    let valid = true;
+
+    const windowSize = readInteger('working-set-window', 1, MAX_WINDOW_SIZE);
+    if (windowSize === null) {
+        showFieldError('working-set-window', `Window Δ must be a whole number from 1 to ${MAX_WINDOW_SIZE}.`);
+        valid = false;
+    }
+
+    // The thresholds only matter (and are only shown) for PFF
+    let upper = null;
+    let lower = null;
+    if (policy.usesThresholds) {
+        upper = readNumber('pff-upper', 0, 100);
+        if (upper === null) {
+            showFieldError('pff-upper', 'Enter a fault rate from 0 to 100%.');
+            valid = false;
+        }
+        lower = readNumber('pff-lower', 0, 100);
+        if (lower === null) {
+            showFieldError('pff-lower', 'Enter a fault rate from 0 to 100%.');
+            valid = false;
+        } else if (upper !== null && lower > upper) {
+            showFieldError('pff-lower', 'The lower threshold cannot be above the upper one.');
+            valid = false;
+        }
+    }
+
+    if (!valid) return null;
+    return {
+        windowSize,
+        upperThreshold: upper === null ? null : upper / 100,
+        lowerThreshold: lower === null ? null : lower / 100
     };
 }
 
+// --- Inline Validation Helpers ---
+
+/**
+ * Reads a field as a whole number within [min, max].
+ * Unlike parseInt, "3abc" or "2.5" are rejected rather than cut short.
+ * @param {string} fieldId - The id of the input to read.
+ * @param {number} min - The smallest allowed value.
+ * @param {number} max - The largest allowed value.
+ * @returns {number|null} The number, or null if the field is not a whole number in range.
+ */
+function readInteger(fieldId, min, max) {
+    const raw = document.getElementById(fieldId).value.trim();
+    if (!/^-?\d+$/.test(raw)) return null;
+    const value = Number(raw);
+    return value >= min && value <= max ? value : null;
+}
+
+/**
+ * Reads a field as a (possibly fractional) number within [min, max].
+ * @param {string} fieldId - The id of the input to read.
+ * @param {number} min - The smallest allowed value.
+ * @param {number} max - The largest allowed value.
+ * @returns {number|null} The number, or null if the field is empty, not a number or out of range.
+ */
+function readNumber(fieldId, min, max) {
+    const raw = document.getElementById(fieldId).value.trim();
+    const value = Number(raw);
+    if (raw === '' || isNaN(value)) return null;
+    return value >= min && value <= max ? value : null;
+}
+
+/**
+ * Shows an error message under a field and marks the field as invalid.
+ * @param {string} fieldId - The id of the field the error belongs to.
+ * @param {string} message - The message to show.
+ * @param {object} [highlight] - {text, start, end}: also shows 'text' with text[start..end)
+ *   marked, and selects that range in the field so the offending token is easy to find.
+ */
+function showFieldError(fieldId, message, highlight) {
+    const field = document.getElementById(fieldId);
+
+    // Reuse the field's error element, or create one right after the field
+    let error = document.getElementById(`${fieldId}-error`);
+    if (!error) {
+        error = document.createElement('p');
+        error.id = `${fieldId}-error`;
+        error.className = 'field-error';
+        error.setAttribute('role', 'alert');
+        field.insertAdjacentElement('afterend', error);
+    }
+
+    const parts = [document.createTextNode(message)];
+    if (highlight) {
+        parts.push(buildErrorContext(highlight));
+        // Point the text cursor at the offending token
+        field.focus();
+        field.setSelectionRange(highlight.start, Math.min(highlight.end, highlight.text.length));
+    }
+    error.replaceChildren(...parts);
+    error.hidden = false;
+
+    field.setAttribute('aria-invalid', 'true');
+    field.setAttribute('aria-describedby', error.id);
+}
+
+/**
+ * Builds a short excerpt of the input with the offending token wrapped in <mark>.
+ * @param {object} highlight - {text, start, end}.
+ * @returns {HTMLElement} A <code> element with the excerpt.
+ */
+function buildErrorContext({ text, start, end }) {
+    const context = 20; // Characters of context to show on each side
+    const from = Math.max(0, start - context);
+    const to = Math.min(text.length, end + context);
+
+    const excerpt = document.createElement('code');
+    excerpt.className = 'error-context';
+    const mark = document.createElement('mark');
+    // Mark a visible placeholder when the problem is "something is missing at the end"
+    mark.textContent = text.slice(start, end) || '␣';
+    excerpt.append(
+        (from > 0 ? '…' : '') + text.slice(from, start),
+        mark,
+        text.slice(end, to) + (to < text.length ? '…' : '')
+    );
+    return excerpt;
+}
+
+/**
+ * Hides every error message inside a container and un-marks its fields.
+ * @param {string} containerId - The id of the form or section to clear.
+ */
+function clearFieldErrors(containerId) {
+    document.querySelectorAll(`#${containerId} .field-error`).forEach(error => {
+        error.hidden = true;
+    });
+    document.querySelectorAll(`#${containerId} [aria-invalid]`).forEach(field => {
+        field.removeAttribute('aria-invalid');
+        field.removeAttribute('aria-describedby');
+    });
+}
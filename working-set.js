@@ -0,0 +1,196 @@
+/**
+ * working-set.js
+ * * Denning's working-set model and the variable-allocation policies built on it.
+ * Unlike the policies in algorithm.js, these give a process no fixed number of
+ * frames: its allocation grows and shrinks with its locality.
+ *   - W(t, Δ): the distinct pages referenced in the window of the last Δ references
+ *     (steps t - Δ + 1 to t).
+ *   - The working-set policy keeps exactly W(t, Δ) resident.
+ *   - The page-fault-frequency (PFF) policy watches the fault rate instead, and
+ *     adds or removes a frame when it leaves the band between two thresholds.
+ * Results are indexed by step like the simulations in algorithm.js (step 0 is the
+ * state before the first reference), so a chart can follow the timeline.
+ * This file does not interact with the DOM.
+ */
+
+/**
+ * All variable-allocation policies, keyed by id.
+ * - name: The name shown in the UI.
+ * - usesThresholds: Whether the policy reads the upper/lower fault-rate thresholds.
+ * - run(pages, options, frames, faultTotals): Fills in the frames held and the
+ *   running fault count at each step (see runAllocationPolicy).
+ */
+export const ALLOCATION_POLICIES = {
+    'working-set': {
+        name: 'Working Set',
+        usesThresholds: false,
+        run: runWorkingSetPolicy
+    },
+    pff: {
+        name: 'Page-Fault Frequency (PFF)',
+        usesThresholds: true,
+        run: runPffPolicy
+    }
+};
+
+/**
+ * Computes the working-set size |W(t, Δ)| at every step.
+ * @param {number[]} pages - The page referenced at each step (step 1 is pages[0]).
+ * @param {number} windowSize - Δ, the number of references in the window.
+ * @returns {Int32Array} 'sizes[t]' is |W(t, Δ)|; sizes[0] is 0.
+ */
+export function computeWorkingSetSizes(pages, windowSize) {
+    const sizes = new Int32Array(pages.length + 1);
+    const slidingWindow = createWindow(pages, windowSize);
+    for (let t = 1; t <= pages.length; t++) {
+        slidingWindow.advance(t);
+        sizes[t] = slidingWindow.size();
+    }
+    return sizes;
+}
+
+/**
+ * Lists the pages in W(t, Δ).
+ * @param {Array<number|string>} pages - The page referenced at each step ("A:1" in a multi-process run).
+ * @param {number} step - t, the step (0 gives an empty set).
+ * @param {number} windowSize - Δ.
+ * @returns {Array<number|string>} The pages, in ascending order (page names by
+ *   process, then by page number).
+ */
+export function getWorkingSet(pages, step, windowSize) {
+    const from = Math.max(0, step - windowSize);
+    return [...new Set(pages.slice(from, step))].sort(comparePages);
+}
+
+/**
+ * Orders page numbers numerically and page names ("A:2" before "A:10") by their text.
+ */
+function comparePages(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Runs a variable-allocation policy over a reference string.
+ * @param {string} policyId - A key of the ALLOCATION_POLICIES registry.
+ * @param {number[]} pages - The page referenced at each step.
+ * @param {object} options - windowSize (Δ); for PFF also upperThreshold and
+ *   lowerThreshold, fault rates from 0 to 1 measured over the last Δ references.
+ * @returns {object} {policy, frames, faultTotals, pageFaults, averageFrames, peakFrames}.
+ *   'frames[t]' is the number of frames held after step t and 'faultTotals[t]'
+ *   the faults up to and including step t (both with index 0 = the initial state).
+ */
+export function runAllocationPolicy(policyId, pages, options) {
+    const policy = ALLOCATION_POLICIES[policyId];
+    if (!policy) {
+        throw new Error(`Unknown allocation policy: ${policyId}`);
+    }
+
+    const frames = new Int32Array(pages.length + 1);
+    const faultTotals = new Int32Array(pages.length + 1);
+    policy.run(pages, options, frames, faultTotals);
+
+    let total = 0;
+    let peak = 0;
+    for (let t = 1; t <= pages.length; t++) {
+        total += frames[t];
+        peak = Math.max(peak, frames[t]);
+    }
+    return {
+        policy: policyId,
+        frames,
+        faultTotals,
+        pageFaults: faultTotals[pages.length],
+        averageFrames: pages.length > 0 ? total / pages.length : 0,
+        peakFrames: peak
+    };
+}
+
+// --- Policies ---
+// Each one fills in 'frames' and 'faultTotals' (see runAllocationPolicy).
+
+/**
+ * Working set: the resident pages are exactly W(t, Δ), so a reference faults
+ * when its page was not used in the previous Δ references, and a page is
+ * released as soon as it slides out of the window.
+ */
+function runWorkingSetPolicy(pages, { windowSize }, frames, faultTotals) {
+    const slidingWindow = createWindow(pages, windowSize);
+    for (let t = 1; t <= pages.length; t++) {
+        const fault = !slidingWindow.contains(pages[t - 1]); // Checked against W(t - 1, Δ)
+        slidingWindow.advance(t);
+        frames[t] = slidingWindow.size();
+        faultTotals[t] = faultTotals[t - 1] + (fault ? 1 : 0);
+    }
+}
+
+/**
+ * Page-fault frequency: pages are replaced LRU within the current allocation,
+ * and the fault rate over the last Δ references decides its size:
+ *   - A fault while the rate is above the upper threshold (or with nothing
+ *     resident yet) gets a new frame instead of replacing a page.
+ *   - While the rate is below the lower threshold, the least recently used page
+ *     is released, at most once every Δ references so the rate can catch up.
+ *   - In between, a fault replaces one page and the allocation stays the same.
+ */
+function runPffPolicy(pages, { windowSize, upperThreshold, lowerThreshold }, frames, faultTotals) {
+    const resident = new Set(); // Insertion order = least recently used first
+    const faultFlags = new Uint8Array(pages.length + 1);
+    let recentFaults = 0; // Faults in the last Δ references
+    let lastRelease = 0; // The step a frame was last released at
+    const releaseLeastRecent = () => resident.delete(resident.values().next().value);
+
+    for (let t = 1; t <= pages.length; t++) {
+        const page = pages[t - 1];
+        if (t > windowSize) recentFaults -= faultFlags[t - windowSize];
+        const fault = !resident.has(page);
+        if (fault) {
+            faultFlags[t] = 1;
+            recentFaults++;
+        }
+        const rate = recentFaults / Math.min(t, windowSize);
+
+        if (!fault) {
+            resident.delete(page); // Move to the most recently used end
+        } else if (resident.size > 0 && rate <= upperThreshold) {
+            releaseLeastRecent();
+        }
+        resident.add(page);
+
+        if (rate < lowerThreshold && resident.size > 1 && t - lastRelease >= windowSize) {
+            releaseLeastRecent();
+            lastRelease = t;
+        }
+
+        frames[t] = resident.size;
+        faultTotals[t] = faultTotals[t - 1] + faultFlags[t];
+    }
+}
+
+/**
+ * A sliding window over the reference string that counts how often each page
+ * occurs in it, so W(t, Δ) is updated in constant time per step.
+ * @returns {object} {advance(t), contains(page), size()}; advance(t) moves the
+ *   window to end at step t (steps must be visited in order).
+ */
+function createWindow(pages, windowSize) {
+    const counts = new Map(); // Page -> references to it inside the window
+    return {
+        advance(t) {
+            const page = pages[t - 1];
+            counts.set(page, (counts.get(page) || 0) + 1);
+            if (t > windowSize) {
+                const leaving = pages[t - windowSize - 1];
+                const count = counts.get(leaving) - 1;
+                if (count === 0) counts.delete(leaving);
+                else counts.set(leaving, count);
+            }
+        },
+        contains(page) {
+            return counts.has(page);
+        },
+        size() {
+            return counts.size;
+        }
+    };
+}